@@ -0,0 +1,4079 @@
+// Frontend JavaScript
+document.addEventListener('DOMContentLoaded', () => {
+    // Configuration
+    const config = {
+        apiEndpoint: window.location.origin + '/api',
+        maxQuestionLength: 1000,
+        maxImageSizeMB: 5,
+        recordingTimeLimit: 60,
+        outboxDatabase: 'learnify-offline',
+        jobPollMs: 1500,
+        jobTimeoutMs: 3 * 60 * 1000
+    };
+
+    // State Management
+    const state = {
+        selectedSubject: null,
+        selectedClass: null,
+        selectedMethod: null,
+        currentQuestion: null,
+        questionImage: null,
+        audioRecorder: null,
+        audioChunks: [],
+        audioMimeType: null,
+        extraction: null,
+        isExtracting: false,
+        isRecording: false,
+        isDarkMode: false,
+        aiHelperOpen: false,
+        activeTab: 'solution',
+        sessionId: null,
+        authToken: null,
+        user: null,
+        authMode: 'login',
+        currentPage: null,
+        pageBeforeHistory: null,
+        pageBeforeAuth: null,
+        currentSolutionId: null,
+        isBookmarked: false,
+        historyPage: 1,
+        streamController: null,
+        activeHintMode: false,
+        revealedSteps: 1,
+        isCheckingAnswer: false,
+        quiz: null,
+        quizResponses: [],
+        quizIndex: 0,
+        quizTimer: null,
+        quizDeadline: null,
+        isQuizBusy: false,
+        pageBeforeReview: null,
+        reviewCards: [],
+        reviewIndex: 0,
+        reviewDueCount: 0,
+        nextReviewAt: null,
+        isGradingReview: false,
+        pageBeforeStats: null,
+        isRegenerating: false,
+        adminPage: 1,
+        chatThreadId: null,
+        isChatting: false,
+        activeAssignment: null,
+        classroom: null,
+        chapters: [],
+        selectedChapter: null,
+        language: localStorage.getItem('language') === 'ne' ? 'ne' : 'en',
+        sharedSlug: null,
+        syncingOutbox: false
+    };
+
+    // DOM Elements
+    const elements = {
+        pages: {
+            welcome: document.getElementById('welcome-page'),
+            subject: document.getElementById('subject-page'),
+            method: document.getElementById('method-page'),
+            question: document.getElementById('question-page'),
+            results: document.getElementById('results-page'),
+            history: document.getElementById('history-page'),
+            quiz: document.getElementById('quiz-page'),
+            review: document.getElementById('review-page'),
+            stats: document.getElementById('stats-page'),
+            admin: document.getElementById('admin-page'),
+            classroom: document.getElementById('classroom-page'),
+            auth: document.getElementById('auth-page')
+        },
+        buttons: {
+            getStarted: document.getElementById('get-started-btn'),
+            continue: document.getElementById('continue-btn'),
+            back: document.getElementById('back-btn'),
+            backToMethod: document.getElementById('back-to-method-btn'),
+            start: document.getElementById('start-btn'),
+            submit: document.getElementById('submit-btn'),
+            upload: document.getElementById('upload-btn'),
+            removeImage: document.getElementById('remove-image-btn'),
+            retakeImage: document.getElementById('retake-image-btn'),
+            record: document.getElementById('record-btn'),
+            newQuestion: document.getElementById('new-question-btn'),
+            saveSolution: document.getElementById('save-solution-btn'),
+            shareSolution: document.getElementById('share-solution-btn'),
+            printSolution: document.getElementById('print-solution-btn'),
+            themeToggle: document.getElementById('theme-toggle'),
+            themeIcon: document.getElementById('theme-icon'),
+            aiHelperBtn: document.getElementById('ai-helper-btn'),
+            closeHelper: document.getElementById('close-helper'),
+            aiHelperSend: document.getElementById('ai-helper-send'),
+            clearText: document.getElementById('clear-text-btn'),
+            mathEquation: document.getElementById('math-equation-btn'),
+            devanagari: document.getElementById('devanagari-btn'),
+            language: document.getElementById('language-btn'),
+            showExample: document.getElementById('show-example-btn'),
+            showFormula: document.getElementById('show-formula-btn'),
+            showDiagram: document.getElementById('show-diagram-btn'),
+            closeMathModal: document.getElementById('close-math-modal'),
+            insertMath: document.getElementById('insert-math-btn'),
+            history: document.getElementById('history-btn'),
+            backFromHistory: document.getElementById('back-from-history-btn'),
+            historyPrev: document.getElementById('history-prev-btn'),
+            historyNext: document.getElementById('history-next-btn'),
+            studySheet: document.getElementById('study-sheet-btn'),
+            createShare: document.getElementById('create-share-btn'),
+            sharedStart: document.getElementById('shared-start-btn'),
+            account: document.getElementById('account-btn'),
+            welcomeLogin: document.getElementById('welcome-login-btn'),
+            backFromAuth: document.getElementById('back-from-auth-btn'),
+            authSwitch: document.getElementById('auth-switch-btn'),
+            authSubmit: document.getElementById('auth-submit-btn'),
+            logout: document.getElementById('logout-btn'),
+            cancelStream: document.getElementById('cancel-stream-btn'),
+            nextHint: document.getElementById('next-hint-btn'),
+            checkAnswer: document.getElementById('check-answer-btn'),
+            practice: document.getElementById('practice-btn'),
+            backFromQuiz: document.getElementById('back-from-quiz-btn'),
+            startQuiz: document.getElementById('start-quiz-btn'),
+            quizPrev: document.getElementById('quiz-prev-btn'),
+            quizNext: document.getElementById('quiz-next-btn'),
+            submitQuiz: document.getElementById('submit-quiz-btn'),
+            retakeQuiz: document.getElementById('retake-quiz-btn'),
+            review: document.getElementById('review-btn'),
+            backFromReview: document.getElementById('back-from-review-btn'),
+            showReviewAnswer: document.getElementById('show-review-answer-btn'),
+            openReviewSolution: document.getElementById('open-review-solution-btn'),
+            stats: document.getElementById('stats-btn'),
+            backFromStats: document.getElementById('back-from-stats-btn'),
+            sendFeedback: document.getElementById('send-feedback-btn'),
+            regenerate: document.getElementById('regenerate-btn'),
+            admin: document.getElementById('admin-btn'),
+            backFromAdmin: document.getElementById('back-from-admin-btn'),
+            adminPrev: document.getElementById('admin-prev-btn'),
+            adminNext: document.getElementById('admin-next-btn'),
+            joinClassroom: document.getElementById('join-classroom-btn'),
+            classrooms: document.getElementById('classrooms-btn'),
+            backFromClassroom: document.getElementById('back-from-classroom-btn'),
+            createClassroom: document.getElementById('create-classroom-btn'),
+            createAssignment: document.getElementById('create-assignment-btn')
+        },
+        containers: {
+            textInput: document.getElementById('text-input-container'),
+            imageInput: document.getElementById('image-input-container'),
+            voiceInput: document.getElementById('voice-input-container'),
+            imagePreview: document.getElementById('image-preview'),
+            recordingStatus: document.getElementById('recording-status'),
+            extractedText: document.getElementById('extracted-text-container'),
+            loading: document.getElementById('loading-container'),
+            results: document.getElementById('results-container'),
+            aiHelperBubble: document.getElementById('ai-helper-bubble'),
+            aiHelperMessages: document.getElementById('ai-helper-messages'),
+            mathModal: document.getElementById('math-modal'),
+            devanagariKeyboard: document.getElementById('devanagari-keyboard'),
+            devanagariKeys: document.getElementById('devanagari-keys'),
+            historyList: document.getElementById('history-list'),
+            authForm: document.getElementById('auth-form'),
+            accountDetails: document.getElementById('account-details'),
+            streamStatus: document.getElementById('stream-status'),
+            hintControls: document.getElementById('hint-controls'),
+            answerCheckResult: document.getElementById('answer-check-result'),
+            latexPalette: document.getElementById('latex-palette'),
+            quizSetup: document.getElementById('quiz-setup'),
+            quizRunner: document.getElementById('quiz-runner'),
+            quizResults: document.getElementById('quiz-results'),
+            quizOptions: document.getElementById('quiz-options'),
+            quizReview: document.getElementById('quiz-review'),
+            reviewCard: document.getElementById('review-card'),
+            reviewAnswer: document.getElementById('review-answer-container'),
+            reviewEmpty: document.getElementById('review-empty'),
+            statsTotals: document.getElementById('stats-totals'),
+            statsDailyChart: document.getElementById('stats-daily-chart'),
+            statsSubjectLegend: document.getElementById('stats-subject-legend'),
+            statsMethods: document.getElementById('stats-methods'),
+            statsFeedback: document.getElementById('stats-feedback'),
+            statsWeakTopics: document.getElementById('stats-weak-topics'),
+            feedbackDetails: document.getElementById('feedback-details'),
+            adminFeedbackList: document.getElementById('admin-feedback-list'),
+            assignmentsCard: document.getElementById('assignments-card'),
+            assignmentList: document.getElementById('assignment-list'),
+            classroomOverview: document.getElementById('classroom-overview'),
+            classroomList: document.getElementById('classroom-list'),
+            classroomDetail: document.getElementById('classroom-detail'),
+            classroomAssignments: document.getElementById('classroom-assignments'),
+            submissionsView: document.getElementById('submissions-view'),
+            chapterPicker: document.getElementById('chapter-picker'),
+            libraryResources: document.getElementById('library-resources'),
+            sharePanel: document.getElementById('share-panel'),
+            shareList: document.getElementById('share-list'),
+            sharedBanner: document.getElementById('shared-banner'),
+            offlineBanner: document.getElementById('offline-banner'),
+            jobProgress: document.getElementById('job-progress')
+        },
+        inputs: {
+            questionText: document.getElementById('question-text'),
+            transliterate: document.getElementById('transliterate-toggle'),
+            imageUpload: document.getElementById('image-upload'),
+            previewImg: document.getElementById('preview-img'),
+            extractedText: document.getElementById('extracted-text'),
+            aiHelperInput: document.getElementById('ai-helper-input'),
+            mathEquationInput: document.getElementById('math-equation-input'),
+            historySubject: document.getElementById('history-subject-filter'),
+            historyClass: document.getElementById('history-class-filter'),
+            historyMethod: document.getElementById('history-method-filter'),
+            historyBookmarked: document.getElementById('history-bookmarked-filter'),
+            authName: document.getElementById('auth-name'),
+            authEmail: document.getElementById('auth-email'),
+            authPassword: document.getElementById('auth-password'),
+            hintMode: document.getElementById('hint-mode-toggle'),
+            answerCheck: document.getElementById('answer-check-input'),
+            quizTopic: document.getElementById('quiz-topic'),
+            quizCount: document.getElementById('quiz-count'),
+            quizTimed: document.getElementById('quiz-timed'),
+            quizAnswer: document.getElementById('quiz-answer-input'),
+            statsPeriod: document.getElementById('stats-period'),
+            feedbackCategory: document.getElementById('feedback-category'),
+            feedbackReason: document.getElementById('feedback-reason'),
+            adminSubject: document.getElementById('admin-subject-filter'),
+            adminCategory: document.getElementById('admin-category-filter'),
+            joinCode: document.getElementById('join-code-input'),
+            classroomName: document.getElementById('classroom-name'),
+            assignmentTitle: document.getElementById('assignment-title'),
+            assignmentSubject: document.getElementById('assignment-subject'),
+            assignmentClass: document.getElementById('assignment-class'),
+            assignmentDue: document.getElementById('assignment-due'),
+            assignmentQuestions: document.getElementById('assignment-questions'),
+            chapter: document.getElementById('chapter-select'),
+            shareExpiry: document.getElementById('share-expiry'),
+            shareHideImage: document.getElementById('share-hide-image')
+        },
+        displays: {
+            selection: document.getElementById('selection-display'),
+            method: document.getElementById('current-method-display'),
+            question: document.getElementById('question-display'),
+            extractionMeta: document.getElementById('extraction-meta'),
+            solution: document.getElementById('solution-content'),
+            explanation: document.getElementById('explanation-content'),
+            resources: document.getElementById('resources-content'),
+            historyPage: document.getElementById('history-page-display'),
+            authTitle: document.getElementById('auth-title'),
+            authSwitchText: document.getElementById('auth-switch-text'),
+            accountEmail: document.getElementById('account-email'),
+            hintProgress: document.getElementById('hint-progress'),
+            mathPreview: document.getElementById('math-preview'),
+            quizSelection: document.getElementById('quiz-selection-display'),
+            quizProgress: document.getElementById('quiz-progress'),
+            quizTimer: document.getElementById('quiz-timer'),
+            quizQuestion: document.getElementById('quiz-question'),
+            quizScore: document.getElementById('quiz-score'),
+            quizSummary: document.getElementById('quiz-summary'),
+            reviewBadge: document.getElementById('review-badge'),
+            reviewDue: document.getElementById('review-due-display'),
+            reviewMeta: document.getElementById('review-meta'),
+            reviewQuestion: document.getElementById('review-question'),
+            reviewAnswer: document.getElementById('review-answer'),
+            reviewNext: document.getElementById('review-next-display'),
+            statsDailyRange: document.getElementById('stats-daily-range'),
+            adminPage: document.getElementById('admin-page-display'),
+            classroomTitle: document.getElementById('classroom-title'),
+            classroomSubtitle: document.getElementById('classroom-subtitle'),
+            classroomCode: document.getElementById('classroom-code'),
+            classroomStudents: document.getElementById('classroom-students'),
+            questionImage: document.getElementById('question-image'),
+            sharedMeta: document.getElementById('shared-meta'),
+            offlineStatus: document.getElementById('offline-status'),
+            jobProgressBar: document.getElementById('job-progress-bar'),
+            jobStage: document.getElementById('job-stage')
+        },
+        tabs: {
+            solution: document.getElementById('solution-tab'),
+            explanation: document.getElementById('explanation-tab'),
+            resources: document.getElementById('resources-tab')
+        }
+    };
+
+    // Utility Functions
+    function showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `fixed bottom-4 left-1/2 transform -translate-x-1/2 px-4 py-2 rounded-lg shadow-lg ${
+            type === 'error' ? 'bg-red-500 text-white' : 
+            type === 'success' ? 'bg-green-500 text-white' : 'bg-gray-800 text-white'
+        }`;
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        
+        setTimeout(() => {
+            toast.remove();
+        }, 3000);
+    }
+
+    // The server answers in the language sent here
+    function authHeaders(headers = {}) {
+        const localized = { ...headers, 'Accept-Language': state.language };
+        return state.authToken ? { ...localized, Authorization: `Bearer ${state.authToken}` } : localized;
+    }
+
+    // Localisation
+    // Nepali text keyed by the English source; anything missing falls back to English
+    const translations = {
+        ne: {
+            '"Your 24/7 AI-Powered Study Companion"': '"तपाईंको २४/७ एआई अध्ययन साथी"',
+            '(optional)': '(ऐच्छिक)',
+            '10 questions': '१० प्रश्न',
+            '15 questions': '१५ प्रश्न',
+            '5 questions': '५ प्रश्न',
+            'A question you asked offline could not be answered: {error}': 'अफलाइन सोधिएको एउटा प्रश्नको उत्तर दिन सकिएन: {error}',
+            'Account': 'खाता',
+            'Account created! Your history is saved.': 'खाता बन्यो! तपाईंको इतिहास सुरक्षित छ।',
+            'Add a title, a due date and at least one question': 'शीर्षक, म्याद र कम्तीमा एउटा प्रश्न थप्नुहोस्',
+            'Additional Options': 'थप विकल्पहरू',
+            'AI Homework Helper': 'एआई गृहकार्य सहयोगी',
+            'All caught up!': 'सबै पूरा भयो!',
+            'All classes': 'सबै कक्षा',
+            'All complaints': 'सबै गुनासा',
+            'All methods': 'सबै तरिका',
+            'All subjects': 'सबै विषय',
+            'Already have an account?': 'पहिले नै खाता छ?',
+            'Analyzing question...': 'प्रश्न विश्लेषण गर्दै...',
+            'Answer': 'उत्तर',
+            'Answer:': 'उत्तर:',
+            'Answers checked': 'जाँचिएका उत्तर',
+            'Answers students marked as not helpful': 'विद्यार्थीहरूले उपयोगी नभएको भनेका उत्तरहरू',
+            'Any chapter': 'कुनै पनि पाठ',
+            'Ask me anything...': 'मलाई जे पनि सोध्नुहोस्...',
+            'Ask questions verbally': 'बोलेर प्रश्न सोध्नुहोस्',
+            'Ask your own question': 'आफ्नै प्रश्न सोध्नुहोस्',
+            'Ask Your Question': 'आफ्नो प्रश्न सोध्नुहोस्',
+            'Assignment published': 'गृहकार्य प्रकाशित भयो',
+            'Assignment question {number}': 'गृहकार्य प्रश्न {number}',
+            'Assignments and student work': 'गृहकार्य र विद्यार्थीका काम',
+            'Average quiz score': 'औसत क्विज अंक',
+            'By Thakur Digital - Advanced Learning Solutions': 'ठाकुर डिजिटलद्वारा - उन्नत सिकाइ समाधान',
+            'Chapter': 'पाठ',
+            'Chapter {number}: {title}': 'पाठ {number}: {title}',
+            'Check': 'जाँच्नुहोस्',
+            'Check my answer': 'मेरो उत्तर जाँच्नुहोस्',
+            'Check out this solution for {subject}': '{subject} को यो समाधान हेर्नुहोस्',
+            'Check your question': 'आफ्नो प्रश्न जाँच्नुहोस्',
+            'Choose your Subject': 'आफ्नो विषय छान्नुहोस्',
+            'Class {level}': 'कक्षा {level}',
+            'Classroom created. Join code: {code}': 'कक्षाकोठा बन्यो। सामेल हुने कोड: {code}',
+            'Classroom join code': 'कक्षाकोठामा सामेल हुने कोड',
+            'Clear': 'मेटाउनुहोस्',
+            'Click below and speak clearly': 'तल थिचेर स्पष्टसँग बोल्नुहोस्',
+            'Click to browse or drag & drop': 'फाइल छान्न थिच्नुहोस् वा तानेर छोड्नुहोस्',
+            'Code {code}': 'कोड {code}',
+            'Common formula: {formula}': 'सामान्य सूत्र: {formula}',
+            'Continue': 'अगाडि बढ्नुहोस्',
+            'Copy': 'कपी गर्नुहोस्',
+            'Could not access microphone. Please check permissions.': 'माइक्रोफोन खोल्न सकिएन। अनुमति जाँच्नुहोस्।',
+            'Could not check your answer. Please try again.': 'तपाईंको उत्तर जाँच्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not copy the link. Copy it from the list instead.': 'लिङ्क कपी गर्न सकिएन। बरु सूचीबाट कपी गर्नुहोस्।',
+            'Could not create a link': 'लिङ्क बनाउन सकिएन',
+            'Could not create a quiz. Please try again.': 'क्विज बनाउन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not create the classroom': 'कक्षाकोठा बनाउन सकिएन',
+            'Could not create the study sheet. Please try again.': 'अध्ययन पाना बनाउन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not export this solution. Please try again.': 'यो समाधान डाउनलोड गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not get a new answer. Please try again.': 'नयाँ उत्तर ल्याउन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not join the classroom': 'कक्षाकोठामा सामेल हुन सकिएन',
+            'Could not load an explanation for this question': 'यो प्रश्नको व्याख्या ल्याउन सकिएन',
+            'Could not load low-rated solutions': 'कम मूल्याङ्कन गरिएका समाधान ल्याउन सकिएन',
+            'Could not load submissions': 'बुझाइएका कामहरू ल्याउन सकिएन',
+            'Could not load your classrooms': 'तपाईंका कक्षाकोठा ल्याउन सकिएन',
+            'Could not load your history': 'तपाईंको इतिहास ल्याउन सकिएन',
+            'Could not load your progress': 'तपाईंको प्रगति ल्याउन सकिएन',
+            'Could not load your review cards': 'तपाईंका पुनरावलोकन कार्ड ल्याउन सकिएन',
+            'Could not load your shared links': 'तपाईंका साझा लिङ्क ल्याउन सकिएन',
+            'Could not open this classroom': 'यो कक्षाकोठा खोल्न सकिएन',
+            'Could not open this shared solution': 'यो साझा समाधान खोल्न सकिएन',
+            'Could not open this solution': 'यो समाधान खोल्न सकिएन',
+            'Could not publish the assignment': 'गृहकार्य प्रकाशित गर्न सकिएन',
+            'Could not reach the server. Please try again.': 'सर्भरसँग जोडिन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not read your question. You can type it in the box instead.': 'तपाईंको प्रश्न पढ्न सकिएन। बरु बाकसमा टाइप गर्न सक्नुहुन्छ।',
+            'Could not revoke the link. Please try again.': 'लिङ्क रद्द गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not save this solution. Please try again.': 'यो समाधान सुरक्षित गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not save your question for later. Please try again when you are online.': 'तपाईंको प्रश्न पछिका लागि सुरक्षित गर्न सकिएन। अनलाइन हुँदा फेरि प्रयास गर्नुहोस्।',
+            'Could not save your review. Please try again.': 'तपाईंको पुनरावलोकन सुरक्षित गर्न सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not send your feedback. Please try again.': 'तपाईंको प्रतिक्रिया पठाउन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Could not sign you in': 'साइन इन गर्न सकिएन',
+            'Could not submit your quiz. Please try again.': 'तपाईंको क्विज बुझाउन सकिएन। फेरि प्रयास गर्नुहोस्।',
+            'Create': 'बनाउनुहोस्',
+            'Create a classroom to start assigning questions.': 'प्रश्न दिन सुरु गर्न कक्षाकोठा बनाउनुहोस्।',
+            'Create Account': 'खाता बनाउनुहोस्',
+            'Create an account': 'खाता बनाउनुहोस्',
+            'Create link': 'लिङ्क बनाउनुहोस्',
+            'Daily Review': 'दैनिक पुनरावलोकन',
+            'Diagram': 'चित्र',
+            'Diagram for {subject} would be displayed here in a full implementation.': '{subject} को चित्र पूर्ण संस्करणमा यहाँ देखाइनेछ।',
+            'Download as': 'डाउनलोड ढाँचा',
+            'Due': 'म्याद',
+            'Due {date}': 'म्याद {date}',
+            'e.g. Fractions, Photosynthesis, Tenses': 'जस्तै भिन्न, प्रकाश संश्लेषण, काल',
+            'Easy': 'सजिलो',
+            'Email': 'इमेल',
+            'English': 'अङ्ग्रेजी',
+            'Enter the join code from your teacher': 'शिक्षकले दिएको सामेल हुने कोड लेख्नुहोस्',
+            'Error generating solution': 'समाधान बनाउँदा त्रुटि भयो',
+            'Error processing your question. Please try again.': 'तपाईंको प्रश्न प्रशोधन गर्दा त्रुटि भयो। फेरि प्रयास गर्नुहोस्।',
+            'Expired': 'म्याद सकियो',
+            'Expires in 1 day': '१ दिनमा म्याद सकिन्छ',
+            'Expires in 30 days': '३० दिनमा म्याद सकिन्छ',
+            'Expires in 7 days': '७ दिनमा म्याद सकिन्छ',
+            'Expires {date}': 'म्याद {date} सम्म',
+            'Explanation': 'व्याख्या',
+            'Fix anything we read wrong before submitting.': 'बुझाउनुअघि गलत पढिएको कुरा सच्याउनुहोस्।',
+            'Forgot': 'बिर्सें',
+            'G.K.': 'सा.ज्ञा.',
+            'General Knowledge': 'सामान्य ज्ञान',
+            'Generating solution...': 'समाधान बनाउँदै...',
+            'Get instant solutions, explanations, and learning resources': 'तुरुन्तै समाधान, व्याख्या र सिकाइ सामग्री पाउनुहोस्',
+            'Get Started': 'सुरु गर्नुहोस्',
+            'Give the classroom a name': 'कक्षाकोठाको नाम दिनुहोस्',
+            'Good': 'राम्रो',
+            'Graphs & Charts': 'ग्राफ र चार्ट',
+            'Hard': 'गाह्रो',
+            'Helpful': 'उपयोगी',
+            'Here is a new answer based on your feedback': 'तपाईंको प्रतिक्रियाअनुसार नयाँ उत्तर यहाँ छ',
+            'Hide the original photo': 'मूल फोटो लुकाउनुहोस्',
+            'Hint mode (one step at a time)': 'सङ्केत मोड (एक पटकमा एक चरण)',
+            'Hints': 'सङ्केतहरू',
+            'History': 'इतिहास',
+            'How can I help with your homework today?': 'आज तपाईंको गृहकार्यमा कसरी मद्दत गरूँ?',
+            'How to Solve?': 'कसरी हल गर्ने?',
+            'How well did you remember it?': 'तपाईंलाई कत्तिको सम्झना भयो?',
+            'How you ask': 'तपाईं कसरी सोध्नुहुन्छ',
+            'Image': 'तस्बिर',
+            'Image Solver': 'तस्बिरबाट समाधान',
+            'Image Upload': 'तस्बिर अपलोड',
+            'Insert': 'थप्नुहोस्',
+            'Insert Math Equation': 'गणितीय समीकरण थप्नुहोस्',
+            'It was hard to follow': 'बुझ्न गाह्रो भयो',
+            'It was too advanced for my class': 'मेरो कक्षाका लागि धेरै कठिन भयो',
+            'Join': 'सामेल हुनुहोस्',
+            'Join code:': 'सामेल हुने कोड:',
+            'Joined {name}': '{name} मा सामेल हुनुभयो',
+            'Language': 'भाषा',
+            'Language changed to English': 'भाषा नेपालीमा बदलियो',
+            'Last 30 days': 'पछिल्ला ३० दिन',
+            'Last 7 days': 'पछिल्ला ७ दिन',
+            'Last 90 days': 'पछिल्ला ९० दिन',
+            'late': 'ढिलो',
+            'Link copied': 'लिङ्क कपी भयो',
+            'Link revoked': 'लिङ्क रद्द भयो',
+            'Low-Rated Solutions': 'कम मूल्याङ्कन गरिएका समाधान',
+            'Math Equations': 'गणितीय समीकरण',
+            'Mathematics': 'गणित',
+            'Method: {method} Input': 'तरिका: {method}',
+            'My Classrooms': 'मेरा कक्षाकोठा',
+            'Nepali': 'नेपाली',
+            'Nepali Keyboard': 'नेपाली किबोर्ड',
+            'Never expires': 'म्याद कहिल्यै सकिँदैन',
+            'New': 'नयाँ',
+            'New Assignment': 'नयाँ गृहकार्य',
+            'New classroom name, e.g. Class 8 Section A': 'नयाँ कक्षाकोठाको नाम, जस्तै कक्षा ८ क समूह',
+            'New Question': 'नयाँ प्रश्न',
+            'New Quiz': 'नयाँ क्विज',
+            'New to Learnify Pro?': 'Learnify Pro मा नयाँ हुनुहुन्छ?',
+            'Next': 'अर्को',
+            'Next hint': 'अर्को सङ्केत',
+            'Next review in {count} day': '{count} दिनपछि फेरि पुनरावलोकन',
+            'Next review in {count} days': '{count} दिनपछि फेरि पुनरावलोकन',
+            'No assignments yet. Ask your teacher for a join code.': 'अहिलेसम्म कुनै गृहकार्य छैन। शिक्षकसँग सामेल हुने कोड माग्नुहोस्।',
+            'No links yet': 'अहिलेसम्म कुनै लिङ्क छैन',
+            'No login required': 'लगइन आवश्यक छैन',
+            'No questions match these filters': 'यी फिल्टरसँग मिल्ने कुनै प्रश्न छैन',
+            'No questions yet. Ask one to see it here!': 'अहिलेसम्म कुनै प्रश्न छैन। यहाँ हेर्न एउटा सोध्नुहोस्!',
+            'No solutions have been rated as not helpful.': 'कुनै पनि समाधानलाई उपयोगी नभएको भनिएको छैन।',
+            'No specific formula for {subject}. Check the examples for guidance.': '{subject} का लागि कुनै विशेष सूत्र छैन। उदाहरणहरू हेर्नुहोस्।',
+            'No students have joined this classroom yet.': 'यो कक्षाकोठामा अहिलेसम्म कुनै विद्यार्थी सामेल भएका छैनन्।',
+            'No students have joined yet.': 'अहिलेसम्म कुनै विद्यार्थी सामेल भएका छैनन्।',
+            'Not answered': 'उत्तर दिइएको छैन',
+            'Not Helpful': 'उपयोगी भएन',
+            'Nothing left to review today': 'आज पुनरावलोकन गर्न केही बाँकी छैन',
+            'Nothing stands out yet. Check your answers and take quizzes to find the topics that need practice.': 'अहिलेसम्म केही देखिएको छैन। अभ्यास चाहिने विषय पत्ता लगाउन उत्तर जाँच्नुहोस् र क्विज खेल्नुहोस्।',
+            'One question per line': 'प्रत्येक लाइनमा एउटा प्रश्न',
+            'Or practise with a quiz': 'वा क्विजबाट अभ्यास गर्नुहोस्',
+            'Or type your equation in LaTeX': 'वा आफ्नो समीकरण LaTeX मा लेख्नुहोस्',
+            'Page {page} of {total}': 'पृष्ठ {page} / {total}',
+            'Password (at least 8 characters)': 'पासवर्ड (कम्तीमा ८ अक्षर)',
+            'Photo hidden': 'फोटो लुकाइएको',
+            'Please enter your question': 'कृपया आफ्नो प्रश्न लेख्नुहोस्',
+            'Please keep questions under {count} characters': 'कृपया प्रश्न {count} अक्षरभन्दा छोटो राख्नुहोस्',
+            'Please record your question': 'कृपया आफ्नो प्रश्न रेकर्ड गर्नुहोस्',
+            'Please type the question from your image': 'कृपया तस्बिरको प्रश्न टाइप गर्नुहोस्',
+            'Please upload a valid image file': 'कृपया सही तस्बिर फाइल अपलोड गर्नुहोस्',
+            'Please upload an image': 'कृपया तस्बिर अपलोड गर्नुहोस्',
+            'Please upload images smaller than {size}MB': 'कृपया {size}MB भन्दा सानो तस्बिर अपलोड गर्नुहोस्',
+            'Practice Quiz': 'अभ्यास क्विज',
+            'Preparing your download...': 'डाउनलोड तयार हुँदैछ...',
+            'Preparing your study sheet...': 'अध्ययन पाना तयार हुँदैछ...',
+            'Preview': 'पूर्वावलोकन',
+            'Previous': 'अघिल्लो',
+            'Print': 'छाप्नुहोस्',
+            'Problem:': 'समस्या:',
+            'Publish Assignment': 'गृहकार्य प्रकाशित गर्नुहोस्',
+            'Question {number} of {total}': 'प्रश्न {number} / {total}',
+            'Questions asked': 'सोधिएका प्रश्न',
+            'Questions per subject': 'विषयअनुसार प्रश्न',
+            'Questions you asked on this device join your account': 'यो उपकरणमा सोधिएका प्रश्नहरू तपाईंको खातामा जोडिन्छन्',
+            'Quizzes taken': 'खेलिएका क्विज',
+            'Rate solutions with 👍 or 👎 to see this.': 'यो हेर्न समाधानलाई 👍 वा 👎 दिनुहोस्।',
+            'Reading your image...': 'तपाईंको तस्बिर पढ्दै...',
+            'Recording...': 'रेकर्ड हुँदैछ...',
+            'Regenerate with this complaint': 'यो गुनासोसहित फेरि बनाउनुहोस्',
+            'Remove': 'हटाउनुहोस्',
+            "Reopen questions you've asked before": 'पहिले सोधेका प्रश्नहरू फेरि खोल्नुहोस्',
+            'Resources': 'सामग्री',
+            'Retake': 'फेरि खिच्नुहोस्',
+            'Reviewed {count} time': '{count} पटक पुनरावलोकन गरियो',
+            'Reviewed {count} times': '{count} पटक पुनरावलोकन गरियो',
+            'Revoke': 'रद्द गर्नुहोस्',
+            'Revoked': 'रद्द गरियो',
+            'Save History': 'इतिहास सुरक्षित',
+            'Save Solution': 'समाधान सुरक्षित गर्नुहोस्',
+            'Saved': 'सुरक्षित गरियो',
+            'Saved only': 'सुरक्षित गरिएका मात्र',
+            'Science': 'विज्ञान',
+            'Searching knowledge base...': 'ज्ञान भण्डारमा खोज्दै...',
+            'See full explanation': 'पूरा व्याख्या हेर्नुहोस्',
+            'See full solution': 'पूरा समाधान हेर्नुहोस्',
+            'Select a Method': 'तरिका छान्नुहोस्',
+            'Select a subject and your class': 'विषय र कक्षा छान्नुहोस्',
+            'Select Image': 'तस्बिर छान्नुहोस्',
+            'Select Your Class': 'आफ्नो कक्षा छान्नुहोस्',
+            'Send': 'पठाउनुहोस्',
+            'Share': 'साझा गर्नुहोस्',
+            'Share a join code with your students': 'विद्यार्थीहरूलाई सामेल हुने कोड दिनुहोस्',
+            'Share a read-only link': 'पढ्न मात्र मिल्ने लिङ्क साझा गर्नुहोस्',
+            'Shared solution (read-only)': 'साझा गरिएको समाधान (पढ्न मात्र)',
+            'Shared solution not found': 'साझा गरिएको समाधान भेटिएन',
+            'Show answer': 'उत्तर देखाउनुहोस्',
+            'Show Example': 'उदाहरण देखाउनुहोस्',
+            'Show Formula': 'सूत्र देखाउनुहोस्',
+            'Showing step {current} of {total}': 'चरण {current} / {total} देखाइँदै',
+            'Sign In': 'साइन इन',
+            'Sign in': 'साइन इन गर्नुहोस्',
+            'Sign Out': 'साइन आउट',
+            'Signed in as': 'साइन इन गरिएको खाता',
+            'Signed out': 'साइन आउट भयो',
+            'Social Studies': 'सामाजिक अध्ययन',
+            'Solution': 'समाधान',
+            'Solution removed from saved': 'समाधान सुरक्षित सूचीबाट हटाइयो',
+            'Solution saved to your history!': 'समाधान तपाईंको इतिहासमा सुरक्षित भयो!',
+            'Solution:': 'समाधान:',
+            'Solve some questions and they will show up here for review.': 'केही प्रश्न हल गर्नुहोस्, ती पुनरावलोकनका लागि यहाँ देखिनेछन्।',
+            'Something went wrong. Trying again...': 'केही गडबड भयो। फेरि प्रयास गर्दै...',
+            'Speak your question': 'आफ्नो प्रश्न बोल्नुहोस्',
+            'Start': 'सुरु',
+            'Start Quiz': 'क्विज सुरु गर्नुहोस्',
+            'Start Recording': 'रेकर्ड सुरु गर्नुहोस्',
+            'Start with {method}': '{method} बाट सुरु गर्नुहोस्',
+            'Step-by-Step': 'चरणबद्ध',
+            'Still writing the solution...': 'समाधान लेखिँदैछ...',
+            'Stop': 'रोक्नुहोस्',
+            'Stopped generating the solution': 'समाधान बनाउन रोकियो',
+            'Students: {names}': 'विद्यार्थीहरू: {names}',
+            'Study sheet PDF': 'अध्ययन पाना PDF',
+            'Submit Question': 'प्रश्न बुझाउनुहोस्',
+            'Submit Quiz': 'क्विज बुझाउनुहोस्',
+            'Tell us what to fix (optional)': 'के सच्याउनुपर्छ भन्नुहोस् (ऐच्छिक)',
+            'Text': 'लिखित',
+            'Text Input': 'लेखेर सोध्ने',
+            'Text Solver': 'लेखेर समाधान',
+            'Thanks for your feedback!': 'प्रतिक्रियाका लागि धन्यवाद!',
+            "Thanks! We've noted what went wrong.": 'धन्यवाद! के गलत भयो हामीले टिपेका छौँ।',
+            'The answer is wrong': 'उत्तर गलत छ',
+            'The answer to your offline question is ready': 'अफलाइन सोधिएको तपाईंको प्रश्नको उत्तर तयार छ',
+            'The connection dropped before the solution finished': 'समाधान पूरा हुनुअघि नै जडान टुट्यो',
+            'The helper could not reply. Please try again.': 'सहयोगीले जवाफ दिन सकेन। फेरि प्रयास गर्नुहोस्।',
+            'This is taking longer than usual. The answer will appear in your history when it is ready.': 'यसमा सामान्यभन्दा बढी समय लागिरहेको छ। उत्तर तयार भएपछि तपाईंको इतिहासमा देखिनेछ।',
+            'This shared link is no longer available': 'यो साझा लिङ्क अब उपलब्ध छैन',
+            'This solution has not been stored yet': 'यो समाधान अझै सुरक्षित भएको छैन',
+            "Time's up! Submitting your quiz.": 'समय सकियो! तपाईंको क्विज बुझाइँदैछ।',
+            'Timed (1 minute per question)': 'समयसहित (प्रति प्रश्न १ मिनेट)',
+            'Title, e.g. Linear equations practice': 'शीर्षक, जस्तै रेखीय समीकरण अभ्यास',
+            'to keep your history on every device': 'हरेक उपकरणमा आफ्नो इतिहास राख्न',
+            'Too advanced': 'धेरै कठिन',
+            'Topic (optional)': 'शीर्षक (ऐच्छिक)',
+            'Topics to work on': 'अभ्यास गर्नुपर्ने विषयवस्तु',
+            'Transcribing your recording...': 'तपाईंको रेकर्डिङ लेख्दै...',
+            'Type a number (with units if needed)': 'सङ्ख्या लेख्नुहोस् (आवश्यक भए एकाइसहित)',
+            'Type in English letters and convert each word to Devanagari (namaste → नमस्ते)': 'अङ्ग्रेजी अक्षरमा लेख्नुहोस्, हरेक शब्द देवनागरीमा बदलिन्छ (namaste → नमस्ते)',
+            'Type or correct your question here...': 'आफ्नो प्रश्न यहाँ लेख्नुहोस् वा सच्याउनुहोस्...',
+            'Type or paste your questions': 'प्रश्न लेख्नुहोस् वा टाँस्नुहोस्',
+            'Type your answer': 'आफ्नो उत्तर लेख्नुहोस्',
+            'Type your answer first': 'पहिले आफ्नो उत्तर लेख्नुहोस्',
+            'Type your final answer, or your working with the answer on the last line...': 'अन्तिम उत्तर लेख्नुहोस्, वा आफ्नो काम लेखेर अन्तिम लाइनमा उत्तर लेख्नुहोस्...',
+            'Type your question': 'आफ्नो प्रश्न लेख्नुहोस्',
+            'Type your question here...': 'आफ्नो प्रश्न यहाँ लेख्नुहोस्...',
+            'Unclear': 'अस्पष्ट',
+            'Upload a picture': 'तस्बिर अपलोड गर्नुहोस्',
+            'Upload Image': 'तस्बिर अपलोड गर्नुहोस्',
+            'Upload problems from photos': 'फोटोबाट प्रश्न अपलोड गर्नुहोस्',
+            'Voice': 'आवाज',
+            'Voice Question': 'आवाजमा प्रश्न',
+            'Voice Solver': 'आवाजबाट समाधान',
+            'Wait for the solution to finish before checking your answer': 'उत्तर जाँच्नुअघि समाधान पूरा हुन पर्खनुहोस्',
+            'Wait for the solution to finish before rating it': 'मूल्याङ्कन गर्नुअघि समाधान पूरा हुन पर्खनुहोस्',
+            'Waiting in line...': 'पालो पर्खँदै...',
+            'Was due {date}': 'म्याद {date} मा सकियो',
+            'Was this solution helpful?': 'के यो समाधान उपयोगी भयो?',
+            'We could not read a question. Please type it in the box.': 'प्रश्न पढ्न सकिएन। कृपया बाकसमा टाइप गर्नुहोस्।',
+            "We'll try to improve! Tell us what went wrong, or ask for a new answer.": 'हामी सुधार गर्ने प्रयास गर्नेछौँ! के गलत भयो भन्नुहोस्, वा नयाँ उत्तर माग्नुहोस्।',
+            'Welcome back!': 'फेरि स्वागत छ!',
+            'Welcome back, {name}!': 'फेरि स्वागत छ, {name}!',
+            'Were the solutions helpful?': 'के समाधानहरू उपयोगी भए?',
+            'What went wrong?': 'के गलत भयो?',
+            'Why: {reason}': 'किन: {reason}',
+            'Work through the hints first to unlock the explanation': 'व्याख्या खोल्न पहिले सङ्केतहरू पूरा गर्नुहोस्',
+            'Wrong': 'गलत',
+            'You are offline': 'तपाईं अफलाइन हुनुहुन्छ',
+            'You are offline. Your question will be sent when you reconnect.': 'तपाईं अफलाइन हुनुहुन्छ। फेरि जोडिएपछि तपाईंको प्रश्न पठाइनेछ।',
+            'Your Account': 'तपाईंको खाता',
+            'Your Assignments': 'तपाईंका गृहकार्य',
+            'Your equation will appear here': 'तपाईंको समीकरण यहाँ देखिनेछ',
+            'Your History': 'तपाईंको इतिहास',
+            'Your name': 'तपाईंको नाम',
+            'Your next card is due {date}.': 'तपाईंको अर्को कार्ड {date} मा आउनेछ।',
+            'Your Progress': 'तपाईंको प्रगति',
+            '{answered}/{total} answered': '{answered}/{total} उत्तर दिइयो',
+            '{confidence}% confidence': '{confidence}% विश्वास',
+            '{correct} of {total} correct in {minutes}m {seconds}s': '{minutes} मिनेट {seconds} सेकेन्डमा {total} मध्ये {correct} सही',
+            '{count} answers to your offline questions are ready': 'अफलाइन सोधिएका {count} प्रश्नका उत्तर तयार छन्',
+            '{count} card due': '{count} कार्ड बाँकी',
+            '{count} cards due': '{count} कार्ड बाँकी',
+            '{count} hint used': '{count} सङ्केत प्रयोग भयो',
+            '{count} hints used': '{count} सङ्केत प्रयोग भए',
+            '{count} question': '{count} प्रश्न',
+            '{count} question waiting to send': '{count} प्रश्न पठाउन बाँकी',
+            '{count} questions': '{count} प्रश्न',
+            '{count} questions waiting to send': '{count} प्रश्न पठाउन बाँकी',
+            '{count} student': '{count} विद्यार्थी',
+            '{count} students': '{count} विद्यार्थी',
+            '{count} view': '{count} पटक हेरियो',
+            '{count} views': '{count} पटक हेरियो',
+            '{score}% over {count} answer': '{count} उत्तरमा {score}%',
+            '{score}% over {count} answers': '{count} उत्तरमा {score}%',
+            '⚠ The AI answered "{answer}", which does not match the exact calculation, so the checked answer is shown instead': '⚠ एआईले "{answer}" उत्तर दियो, जुन सही गणनासँग मेल खाँदैन, त्यसैले जाँचिएको उत्तर देखाइएको छ',
+            '✅ Correct': '✅ सही',
+            '✔ Answer again': '✔ फेरि उत्तर दिनुहोस्',
+            '✔ Checked by exact calculation': '✔ सही गणनाबाट जाँचिएको',
+            '✔ Worked out by exact calculation': '✔ सही गणनाबाट निकालिएको',
+            '❌ Not quite': '❌ मिलेन',
+            '🟡 Partly correct': '🟡 आंशिक सही'
+        }
+    };
+
+    function t(text, params = {}) {
+        const template = (translations[state.language] && translations[state.language][text]) || text;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+    }
+
+    // Translates everything marked with data-i18n; the English source is kept on the element so it can switch back
+    function applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!element.dataset.i18n) element.dataset.i18n = element.textContent.replace(/\s+/g, ' ').trim();
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            if (!element.dataset.i18nPlaceholder) element.dataset.i18nPlaceholder = element.placeholder;
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            if (!element.dataset.i18nTitle) element.dataset.i18nTitle = element.title;
+            element.title = t(element.dataset.i18nTitle);
+        });
+        if (root === document) {
+            document.documentElement.lang = state.language;
+            elements.buttons.language.textContent = state.language === 'ne' ? 'EN' : 'ने';
+        }
+    }
+
+    function setLanguage(language) {
+        state.language = language;
+        localStorage.setItem('language', language);
+        applyTranslations();
+
+        // Text the script writes itself is redrawn from the current state
+        if (state.user) {
+            elements.displays.authTitle.textContent = t('Your Account');
+        } else {
+            setAuthMode(state.authMode);
+        }
+        [...elements.inputs.historyClass.options, ...elements.inputs.assignmentClass.options].forEach(option => {
+            if (option.value) option.textContent = t('Class {level}', { level: option.value });
+        });
+        updateButtonStates();
+        updateSelectionDisplay();
+        updateMethodDisplay();
+        showToast(t('Language changed to English'), 'success');
+    }
+
+
+    // Authentication
+    function setAuthToken(token) {
+        state.authToken = token;
+        if (token) {
+            localStorage.setItem('authToken', token);
+        } else {
+            localStorage.removeItem('authToken');
+        }
+    }
+
+    // Reuses the stored token (anonymous or account) so history survives reloads
+    async function restoreAuth() {
+        state.authToken = localStorage.getItem('authToken');
+
+        if (state.authToken) {
+            try {
+                const response = await fetch(`${config.apiEndpoint}/auth/me`, {
+                    headers: authHeaders()
+                });
+                if (response.ok) {
+                    const data = await response.json();
+                    state.user = data.user;
+                    state.sessionId = data.sessionId;
+                    return;
+                }
+            } catch (error) {
+                console.error('Failed to restore session:', error);
+                return;
+            }
+        }
+
+        await startAnonymousSession();
+    }
+
+    async function startAnonymousSession() {
+        state.user = null;
+        try {
+            const response = await fetch(`${config.apiEndpoint}/sessions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                }
+            });
+            const data = await response.json();
+            state.sessionId = data.sessionId;
+            setAuthToken(data.token);
+        } catch (error) {
+            console.error('Failed to create session:', error);
+            setAuthToken(null);
+        }
+    }
+
+    function openAccount() {
+        if (state.currentPage !== 'auth') {
+            state.pageBeforeAuth = state.currentPage;
+        }
+        elements.containers.accountDetails.classList.toggle('hidden', !state.user);
+        elements.containers.authForm.classList.toggle('hidden', Boolean(state.user));
+        elements.buttons.admin.classList.toggle('hidden', !(state.user && state.user.role === 'admin'));
+        elements.buttons.classrooms.classList.toggle('hidden', !(state.user && ['teacher', 'admin'].includes(state.user.role)));
+        if (state.user) {
+            elements.displays.accountEmail.textContent = state.user.email;
+            elements.displays.authTitle.textContent = t('Your Account');
+        } else {
+            setAuthMode('login');
+        }
+        showPage('auth');
+    }
+
+    function setAuthMode(mode) {
+        state.authMode = mode;
+        const isSignup = mode === 'signup';
+        elements.displays.authTitle.textContent = t(isSignup ? 'Create Account' : 'Sign In');
+        elements.buttons.authSubmit.textContent = t(isSignup ? 'Create Account' : 'Sign In');
+        elements.displays.authSwitchText.textContent = t(isSignup ? 'Already have an account?' : 'New to Learnify Pro?');
+        elements.buttons.authSwitch.textContent = t(isSignup ? 'Sign in' : 'Create an account');
+        elements.inputs.authName.classList.toggle('hidden', !isSignup);
+        elements.inputs.authPassword.autocomplete = isSignup ? 'new-password' : 'current-password';
+    }
+
+    async function handleAuthSubmit(event) {
+        event.preventDefault();
+        const body = {
+            email: elements.inputs.authEmail.value.trim(),
+            password: elements.inputs.authPassword.value
+        };
+        if (state.authMode === 'signup') {
+            body.name = elements.inputs.authName.value.trim();
+        }
+
+        try {
+            // The current anonymous token is sent so the server can merge this device's history
+            const response = await fetch(`${config.apiEndpoint}/auth/${state.authMode}`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || t('Could not sign you in'), 'error');
+                return;
+            }
+
+            setAuthToken(data.token);
+            state.user = data.user;
+            elements.inputs.authPassword.value = '';
+            showToast(state.authMode === 'signup' ? t('Account created! Your history is saved.') : t(data.user.name ? 'Welcome back, {name}!' : 'Welcome back!', { name: data.user.name }), 'success');
+            showPage(state.pageBeforeAuth || 'welcome');
+            refreshReviewBadge();
+            loadAssignments();
+        } catch (error) {
+            console.error('Auth error:', error);
+            showToast(t('Could not reach the server. Please try again.'), 'error');
+        }
+    }
+
+    async function logout() {
+        clearOfflineData();
+        setAuthToken(null);
+        await startAnonymousSession();
+        showToast(t('Signed out'), 'info');
+        showPage('welcome');
+        refreshReviewBadge();
+        loadAssignments();
+    }
+
+    // Initialize App
+    async function initialize() {
+        // Check for saved theme preference
+        if (localStorage.getItem('theme') === 'dark' || 
+            (!localStorage.getItem('theme') && window.matchMedia('(prefers-color-scheme: dark)').matches)) {
+            enableDarkMode();
+        } else {
+            disableDarkMode();
+        }
+
+        await restoreAuth();
+
+        // Shared links and notifications about queued answers open the app on a solution
+        const sharedLink = window.location.pathname.match(/^\/s\/([\w-]+)$/);
+        const query = new URLSearchParams(window.location.search);
+        if (sharedLink) {
+            openSharedSolution(sharedLink[1]);
+        } else if (query.has('solution') || query.has('history')) {
+            history.replaceState(null, '', '/');
+            showPage('welcome');
+            openQueuedAnswers(query.has('solution') ? [query.get('solution')] : []);
+        } else {
+            showPage('welcome');
+        }
+        createClassChips();
+        createLatexPalette();
+        createDevanagariKeyboard();
+        applyTranslations();
+        setupEventListeners();
+        updateButtonStates();
+        refreshReviewBadge();
+        loadAssignments();
+        registerServiceWorker();
+        refreshOutboxStatus();
+        syncOutbox();
+    }
+
+    // Theme Management
+    function enableDarkMode() {
+        document.documentElement.classList.add('dark');
+        state.isDarkMode = true;
+        localStorage.setItem('theme', 'dark');
+        elements.buttons.themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />`;
+    }
+
+    function disableDarkMode() {
+        document.documentElement.classList.remove('dark');
+        state.isDarkMode = false;
+        localStorage.setItem('theme', 'light');
+        elements.buttons.themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />`;
+    }
+
+    function toggleTheme() {
+        if (state.isDarkMode) {
+            disableDarkMode();
+        } else {
+            enableDarkMode();
+        }
+    }
+
+    // AI Helper Functions
+    function toggleAIHelper() {
+        state.aiHelperOpen = !state.aiHelperOpen;
+        if (state.aiHelperOpen) {
+            elements.containers.aiHelperBubble.classList.add('active');
+            elements.inputs.aiHelperInput.focus();
+        } else {
+            elements.containers.aiHelperBubble.classList.remove('active');
+        }
+    }
+
+    function addAIMessage(message, isUser = false) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `rounded-lg p-2 mb-1 text-sm ${isUser ? 'bg-purple-100 dark:bg-purple-900 ml-6' : 'bg-gray-100 dark:bg-gray-700'}`;
+        renderMathText(messageDiv, message);
+        elements.containers.aiHelperMessages.appendChild(messageDiv);
+        elements.containers.aiHelperMessages.scrollTop = elements.containers.aiHelperMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    function resetChat() {
+        state.chatThreadId = null;
+        elements.containers.aiHelperMessages.innerHTML = '';
+        addAIMessage(t('How can I help with your homework today?'));
+    }
+
+    // Brings back the conversation about a solution when it is reopened
+    async function restoreChat(solutionId) {
+        resetChat();
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${solutionId}/chat`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Chat request failed');
+            const data = await response.json();
+
+            // The student may have moved on to another solution in the meantime
+            if (state.currentSolutionId !== solutionId) return;
+            state.chatThreadId = data.threadId;
+            data.messages.forEach(message => addAIMessage(message.content, message.role === 'user'));
+        } catch (error) {
+            console.error('Chat restore error:', error);
+        }
+    }
+
+    // The server adds the question and solution on screen as context for the reply
+    async function handleAIHelperQuery() {
+        const query = elements.inputs.aiHelperInput.value.trim();
+        if (!query || state.isChatting) return;
+        
+        if (query.length > config.maxQuestionLength) {
+            showToast(t('Please keep questions under {count} characters', { count: config.maxQuestionLength }), 'error');
+            return;
+        }
+
+        addAIMessage(query, true);
+        elements.inputs.aiHelperInput.value = '';
+        state.isChatting = true;
+        const reply = addAIMessage('…');
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/chat`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    message: query,
+                    threadId: state.chatThreadId || undefined,
+                    solutionId: state.currentSolutionId || undefined,
+                    question: state.currentQuestion || undefined,
+                    subject: state.selectedSubject || undefined,
+                    classLevel: state.selectedClass || undefined
+                })
+            });
+            if (!response.ok) throw new Error('Chat request failed');
+            const data = await response.json();
+
+            state.chatThreadId = data.threadId;
+            renderMathText(reply, data.reply);
+            elements.containers.aiHelperMessages.scrollTop = elements.containers.aiHelperMessages.scrollHeight;
+        } catch (error) {
+            console.error('AI helper error:', error);
+            reply.remove();
+            showToast(t('The helper could not reply. Please try again.'), 'error');
+        } finally {
+            state.isChatting = false;
+        }
+    }
+
+    // Page Navigation
+    function showPage(pageId) {
+        if (state.sharedSlug && pageId !== 'results') leaveSharedView();
+        Object.values(elements.pages).forEach(page => page.style.display = 'none');
+        if (elements.pages[pageId]) {
+            elements.pages[pageId].style.display = 'block';
+            state.currentPage = pageId;
+        }
+    }
+
+    // Dynamic UI Creation
+    function createClassChips() {
+        const container = document.getElementById('class-chips');
+        container.innerHTML = '';
+        
+        for (let i = 1; i <= 12; i++) {
+            const chip = document.createElement('button');
+            chip.className = 'class-chip bg-gray-100 dark:bg-gray-700 text-sm font-medium py-1 px-3 rounded-full cursor-pointer';
+            chip.textContent = i;
+            chip.dataset.class = i;
+            container.appendChild(chip);
+
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = t('Class {level}', { level: i });
+            elements.inputs.historyClass.appendChild(option);
+            elements.inputs.assignmentClass.appendChild(option.cloneNode(true));
+        }
+    }
+
+    // Event Listeners Setup
+    function setupEventListeners() {
+        // Navigation
+        elements.buttons.getStarted.addEventListener('click', () => {
+            state.activeAssignment = null;
+            showPage('subject');
+        });
+        elements.buttons.continue.addEventListener('click', handleContinue);
+        elements.inputs.chapter.addEventListener('change', handleChapterSelection);
+        elements.buttons.back.addEventListener('click', () => showPage('subject'));
+        elements.buttons.backToMethod.addEventListener('click', () => showPage('method'));
+        elements.buttons.start.addEventListener('click', handleStart);
+        elements.buttons.cancelStream.addEventListener('click', cancelStream);
+        elements.buttons.newQuestion.addEventListener('click', () => {
+            cancelStream();
+            resetQuestionState();
+            showPage('method');
+        });
+        
+        // Question Input
+        elements.buttons.submit.addEventListener('click', handleSubmit);
+        elements.buttons.upload.addEventListener('click', () => elements.inputs.imageUpload.click());
+        elements.buttons.removeImage.addEventListener('click', removeImage);
+        elements.buttons.retakeImage.addEventListener('click', () => elements.inputs.imageUpload.click());
+        elements.inputs.imageUpload.addEventListener('change', handleImageUpload);
+        elements.buttons.record.addEventListener('click', toggleRecording);
+        elements.inputs.questionText.addEventListener('input', updateButtonStates);
+        elements.inputs.extractedText.addEventListener('input', updateButtonStates);
+        elements.buttons.clearText.addEventListener('click', () => {
+            elements.inputs.questionText.value = '';
+            updateButtonStates();
+        });
+        elements.buttons.mathEquation.addEventListener('click', () => {
+            elements.containers.mathModal.classList.remove('hidden');
+            updateMathPreview();
+            elements.inputs.mathEquationInput.focus();
+        });
+        elements.buttons.closeMathModal.addEventListener('click', () => {
+            elements.containers.mathModal.classList.add('hidden');
+        });
+        elements.buttons.insertMath.addEventListener('click', insertMathEquation);
+        elements.inputs.mathEquationInput.addEventListener('input', updateMathPreview);
+
+        // Devanagari Input
+        elements.buttons.devanagari.addEventListener('click', () => {
+            elements.containers.devanagariKeyboard.classList.toggle('hidden');
+        });
+        elements.containers.devanagariKeys.addEventListener('click', event => {
+            const key = event.target.closest('button');
+            if (!key) return;
+            insertAtCursor(elements.inputs.questionText, key.dataset.key);
+            updateButtonStates();
+        });
+        elements.inputs.questionText.addEventListener('input', handleTransliteration);
+        
+        // Math symbol buttons
+        document.querySelectorAll('.math-symbol').forEach(button => {
+            button.addEventListener('click', () => insertLatexSymbol(button.dataset.latex));
+        });
+        
+        // Selection Cards
+        document.querySelectorAll('.subject-card').forEach(card => {
+            card.addEventListener('click', handleSubjectSelection);
+        });
+        
+        document.querySelectorAll('.method-card').forEach(card => {
+            card.addEventListener('click', handleMethodSelection);
+        });
+        
+        document.querySelectorAll('.class-chip').forEach(chip => {
+            chip.addEventListener('click', handleClassSelection);
+        });
+
+        // Solution Tabs
+        document.querySelectorAll('.tab-btn').forEach(tab => {
+            tab.addEventListener('click', handleTabChange);
+        });
+        elements.buttons.nextHint.addEventListener('click', revealNextHint);
+        elements.buttons.checkAnswer.addEventListener('click', checkAnswer);
+
+        // Feedback buttons
+        document.querySelectorAll('.feedback-btn').forEach(btn => {
+            btn.addEventListener('click', handleFeedback);
+        });
+        elements.buttons.sendFeedback.addEventListener('click', submitFeedbackDetails);
+        elements.buttons.regenerate.addEventListener('click', regenerateSolution);
+
+        // Additional options
+        elements.buttons.showExample.addEventListener('click', showExample);
+        elements.buttons.showFormula.addEventListener('click', showFormula);
+        elements.buttons.showDiagram.addEventListener('click', showDiagram);
+        elements.buttons.saveSolution.addEventListener('click', saveSolution);
+        elements.buttons.shareSolution.addEventListener('click', shareSolution);
+        elements.buttons.createShare.addEventListener('click', createShare);
+        elements.buttons.sharedStart.addEventListener('click', () => showPage('welcome'));
+        elements.buttons.printSolution.addEventListener('click', printSolution);
+        document.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => exportSolution(button.dataset.format));
+        });
+
+        // History
+        elements.buttons.history.addEventListener('click', openHistory);
+        elements.buttons.backFromHistory.addEventListener('click', () => showPage(state.pageBeforeHistory || 'welcome'));
+        elements.buttons.historyPrev.addEventListener('click', () => loadHistory(state.historyPage - 1));
+        elements.buttons.historyNext.addEventListener('click', () => loadHistory(state.historyPage + 1));
+        [elements.inputs.historySubject, elements.inputs.historyClass, elements.inputs.historyMethod, elements.inputs.historyBookmarked].forEach(input => {
+            input.addEventListener('change', () => loadHistory(1));
+        });
+        elements.buttons.studySheet.addEventListener('click', exportStudySheet);
+
+        // Practice Quizzes
+        elements.buttons.practice.addEventListener('click', openQuiz);
+        elements.buttons.backFromQuiz.addEventListener('click', () => {
+            stopQuizTimer();
+            showPage('method');
+        });
+        elements.buttons.startQuiz.addEventListener('click', startQuiz);
+        elements.buttons.quizPrev.addEventListener('click', () => moveQuizQuestion(-1));
+        elements.buttons.quizNext.addEventListener('click', () => moveQuizQuestion(1));
+        elements.buttons.submitQuiz.addEventListener('click', submitQuiz);
+        elements.buttons.retakeQuiz.addEventListener('click', openQuiz);
+        elements.inputs.quizAnswer.addEventListener('input', () => {
+            state.quizResponses[state.quizIndex] = elements.inputs.quizAnswer.value;
+        });
+        elements.inputs.quizAnswer.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                moveQuizQuestion(1);
+            }
+        });
+
+        // Review
+        elements.buttons.review.addEventListener('click', openReview);
+        elements.buttons.backFromReview.addEventListener('click', () => showPage(state.pageBeforeReview || 'welcome'));
+        elements.buttons.showReviewAnswer.addEventListener('click', revealReviewAnswer);
+        elements.buttons.openReviewSolution.addEventListener('click', () => {
+            openSolution(state.reviewCards[state.reviewIndex].solutionId, 'review');
+        });
+        document.querySelectorAll('.review-grade-btn').forEach(button => {
+            button.addEventListener('click', () => gradeReviewCard(Number(button.dataset.grade)));
+        });
+
+        // Progress Dashboard
+        elements.buttons.stats.addEventListener('click', openStats);
+        elements.buttons.backFromStats.addEventListener('click', () => showPage(state.pageBeforeStats || 'welcome'));
+        elements.inputs.statsPeriod.addEventListener('change', loadStats);
+
+        // Account
+        elements.buttons.account.addEventListener('click', openAccount);
+        elements.buttons.welcomeLogin.addEventListener('click', openAccount);
+        elements.buttons.backFromAuth.addEventListener('click', () => showPage(state.pageBeforeAuth || 'welcome'));
+        elements.buttons.authSwitch.addEventListener('click', () => setAuthMode(state.authMode === 'login' ? 'signup' : 'login'));
+        elements.buttons.logout.addEventListener('click', logout);
+        elements.buttons.admin.addEventListener('click', openAdmin);
+        elements.buttons.backFromAdmin.addEventListener('click', openAccount);
+        elements.buttons.adminPrev.addEventListener('click', () => loadLowRated(state.adminPage - 1));
+        elements.buttons.adminNext.addEventListener('click', () => loadLowRated(state.adminPage + 1));
+
+        // Classrooms
+        elements.buttons.joinClassroom.addEventListener('click', joinClassroom);
+        elements.inputs.joinCode.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                joinClassroom();
+            }
+        });
+        elements.buttons.classrooms.addEventListener('click', openClassrooms);
+        elements.buttons.backFromClassroom.addEventListener('click', handleClassroomBack);
+        elements.buttons.createClassroom.addEventListener('click', createClassroom);
+        elements.buttons.createAssignment.addEventListener('click', createAssignment);
+        [elements.inputs.adminSubject, elements.inputs.adminCategory].forEach(input => {
+            input.addEventListener('change', () => loadLowRated(1));
+        });
+        elements.containers.authForm.addEventListener('submit', handleAuthSubmit);
+
+        // Theme Toggle
+        elements.buttons.themeToggle.addEventListener('click', toggleTheme);
+
+        // Language Toggle
+        elements.buttons.language.addEventListener('click', () => setLanguage(state.language === 'ne' ? 'en' : 'ne'));
+
+        // Connectivity
+        window.addEventListener('online', () => {
+            refreshOutboxStatus();
+            syncOutbox();
+        });
+        window.addEventListener('offline', refreshOutboxStatus);
+
+        // AI Helper
+        elements.buttons.aiHelperBtn.addEventListener('click', toggleAIHelper);
+        elements.buttons.closeHelper.addEventListener('click', toggleAIHelper);
+        elements.buttons.aiHelperSend.addEventListener('click', handleAIHelperQuery);
+        elements.inputs.aiHelperInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleAIHelperQuery();
+            }
+        });
+
+        // Drag and drop for image upload
+        const dropArea = document.querySelector('#image-input-container .card');
+        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+            dropArea.addEventListener(eventName, preventDefaults, false);
+        });
+
+        function preventDefaults(e) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropArea.addEventListener(eventName, highlight, false);
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropArea.addEventListener(eventName, unhighlight, false);
+        });
+
+        function highlight() {
+            dropArea.classList.add('border-purple-500', 'bg-purple-50', 'dark:bg-purple-900', 'dark:bg-opacity-20');
+        }
+
+        function unhighlight() {
+            dropArea.classList.remove('border-purple-500', 'bg-purple-50', 'dark:bg-purple-900', 'dark:bg-opacity-20');
+        }
+
+        dropArea.addEventListener('drop', handleDrop, false);
+
+        function handleDrop(e) {
+            const dt = e.dataTransfer;
+            const files = dt.files;
+            if (files.length > 0) {
+                elements.inputs.imageUpload.files = files;
+                handleImageUpload({ target: elements.inputs.imageUpload });
+            }
+        }
+    }
+
+    // Event Handlers
+    function handleSubjectSelection(event) {
+        const selectedCard = event.currentTarget;
+        state.selectedSubject = selectedCard.dataset.subject;
+        
+        document.querySelectorAll('.subject-card').forEach(card => card.classList.remove('active-selection'));
+        selectedCard.classList.add('active-selection');
+        
+        updateButtonStates();
+        loadChapters();
+    }
+
+    function handleClassSelection(event) {
+        const selectedChip = event.currentTarget;
+        state.selectedClass = selectedChip.dataset.class;
+        
+        document.querySelectorAll('.class-chip').forEach(chip => chip.classList.remove('active-selection'));
+        selectedChip.classList.add('active-selection');
+        
+        updateButtonStates();
+        loadChapters();
+    }
+
+    function handleContinue() {
+        if (state.selectedSubject && state.selectedClass) {
+            updateSelectionDisplay();
+            showPage('method');
+        }
+    }
+    
+    function handleMethodSelection(event) {
+        const selectedCard = event.currentTarget;
+        state.selectedMethod = selectedCard.dataset.method;
+        
+        document.querySelectorAll('.method-card').forEach(card => card.classList.remove('active-selection'));
+        selectedCard.classList.add('active-selection');
+        
+        updateButtonStates();
+    }
+    
+    function handleStart() {
+        if (state.selectedMethod) {
+            updateMethodDisplay();
+            showQuestionInput();
+            showPage('question');
+        }
+    }
+    
+    function handleImageUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        // Validate image size
+        if (file.size > config.maxImageSizeMB * 1024 * 1024) {
+            showToast(t('Please upload images smaller than {size}MB', { size: config.maxImageSizeMB }), 'error');
+            return;
+        }
+        
+        // Validate image type
+        if (!file.type.match('image.*')) {
+            showToast(t('Please upload a valid image file'), 'error');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            elements.inputs.previewImg.src = e.target.result;
+            elements.containers.imagePreview.classList.remove('hidden');
+            state.questionImage = file;
+            extractQuestion('image', file);
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    function removeImage() {
+        elements.inputs.imageUpload.value = '';
+        elements.containers.imagePreview.classList.add('hidden');
+        state.questionImage = null;
+        resetExtraction();
+        updateButtonStates();
+    }
+    
+    async function toggleRecording() {
+        if (!state.isRecording) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                state.audioRecorder = new MediaRecorder(stream);
+                state.audioChunks = [];
+                
+                state.audioRecorder.ondataavailable = event => {
+                    state.audioChunks.push(event.data);
+                };
+                
+                state.audioRecorder.onstop = async () => {
+                    state.audioMimeType = state.audioRecorder.mimeType || 'audio/webm';
+                    const audioBlob = new Blob(state.audioChunks, { type: state.audioMimeType });
+                    await extractQuestion('voice', audioBlob);
+                };
+                
+                state.audioRecorder.start();
+                state.isRecording = true;
+                elements.buttons.record.innerHTML = `
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 10a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z" />
+                    </svg>
+                    ${t('Stop')}
+                `;
+                elements.containers.recordingStatus.classList.remove('hidden');
+                
+                // Auto-stop after time limit
+                setTimeout(() => {
+                    if (state.isRecording) {
+                        toggleRecording();
+                    }
+                }, config.recordingTimeLimit * 1000);
+                
+            } catch (error) {
+                console.error('Microphone access error:', error);
+                showToast(t('Could not access microphone. Please check permissions.'), 'error');
+            }
+        } else {
+            state.audioRecorder.stop();
+            state.audioRecorder.stream.getTracks().forEach(track => track.stop());
+            state.isRecording = false;
+            elements.containers.recordingStatus.classList.add('hidden');
+            elements.buttons.record.innerHTML = `
+                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+                </svg>
+                ${t('Start')}
+            `;
+        }
+    }
+    
+    async function handleSubmit() {
+        // Offline, the server reads image and voice questions once they are sent
+        const readLater = !navigator.onLine && (state.selectedMethod === 'Image' || state.audioChunks.length > 0);
+
+        // Validate input based on method
+        if (state.selectedMethod === 'Text' && !elements.inputs.questionText.value.trim()) {
+            showToast(t('Please enter your question'), 'error');
+            return;
+        } else if (state.selectedMethod === 'Image' && !state.questionImage) {
+            showToast(t('Please upload an image'), 'error');
+            return;
+        } else if (state.selectedMethod !== 'Text' && !readLater && !elements.inputs.extractedText.value.trim()) {
+            showToast(t(state.selectedMethod === 'Voice' ? 'Please record your question' : 'Please type the question from your image'), 'error');
+            return;
+        }
+        
+        // Set the current question; image and voice use the text the student confirmed
+        if (state.selectedMethod === 'Text') {
+            state.currentQuestion = elements.inputs.questionText.value.trim();
+        } else {
+            state.currentQuestion = elements.inputs.extractedText.value.trim();
+        }
+
+        if (!navigator.onLine) {
+            await queueQuestion(questionSubmission());
+            return;
+        }
+        
+        if (state.currentQuestion) {
+            renderMathText(elements.displays.question, state.currentQuestion);
+            showPage('results');
+            showLoading();
+            
+            let response;
+            try {
+                if (state.selectedMethod === 'Text') {
+                    await streamTextSolution();
+                    return;
+                }
+
+                response = await postQuestion(questionSubmission());
+                if (!response.ok) throw new Error('API request failed');
+                const data = await response.json();
+                displaySolution(data.jobId ? await waitForJob(data.jobId, showJobProgress) : data);
+                
+            } catch (error) {
+                console.error("Error processing question:", error);
+                // fetch() rejects with a TypeError when the connection drops before a response
+                if (error instanceof TypeError && !response) {
+                    await queueQuestion(questionSubmission());
+                    return;
+                }
+                if (error.timedOut) {
+                    showToast(t('This is taking longer than usual. The answer will appear in your history when it is ready.'), 'info');
+                    showPage('question');
+                    return;
+                }
+                showToast(t('Error processing your question. Please try again.'), 'error');
+                showPage('question');
+            }
+        }
+    }
+
+    // Image and voice questions are solved by a background job on the server; poll it until it finishes
+    async function waitForJob(jobId, onProgress) {
+        const deadline = Date.now() + config.jobTimeoutMs;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, config.jobPollMs));
+
+            let job;
+            try {
+                const response = await fetch(`${config.apiEndpoint}/jobs/${jobId}`, {
+                    headers: authHeaders()
+                });
+                job = await response.json();
+                if (!response.ok) throw new Error(job.error || 'Job request failed');
+            } catch (error) {
+                // A dropped connection is tried again on the next poll; the job keeps running
+                if (error instanceof TypeError) continue;
+                throw error;
+            }
+
+            if (onProgress) onProgress(job);
+            if (job.status === 'succeeded') return job.result;
+            if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+        }
+
+        const error = new Error('Job timed out');
+        error.timedOut = true;
+        throw error;
+    }
+
+    function showJobProgress(job) {
+        const stages = {
+            queued: t('Waiting in line...'),
+            reading: t('Reading your image...'),
+            transcribing: t('Transcribing your recording...'),
+            solving: t('Generating solution...'),
+            saving: t('Generating solution...'),
+            retrying: t('Something went wrong. Trying again...')
+        };
+        elements.containers.jobProgress.classList.remove('hidden');
+        elements.displays.jobProgressBar.style.width = `${job.progress}%`;
+        elements.displays.jobStage.textContent = stages[job.stage] || '';
+    }
+
+    // Everything needed to send the current question, in a form IndexedDB can store
+    function questionSubmission() {
+        const submission = {
+            method: state.selectedMethod.toLowerCase(),
+            question: state.currentQuestion,
+            subject: state.selectedSubject,
+            classLevel: state.selectedClass,
+            hintMode: elements.inputs.hintMode.checked,
+            context: solveContextFields()
+        };
+        if (state.extraction) {
+            submission.method = state.extraction.method;
+            submission.extractionId = state.extraction.id;
+            submission.language = state.extraction.language || languageHint();
+        } else if (submission.method === 'image') {
+            submission.image = state.questionImage;
+        } else if (submission.method === 'voice') {
+            submission.language = languageHint();
+            if (state.audioChunks.length) {
+                submission.audio = new Blob(state.audioChunks, { type: state.audioMimeType });
+                submission.audioName = recordingFileName();
+            }
+        }
+        return submission;
+    }
+
+    // Sends a question to /api/solve/*; uploads go as a form, everything else as JSON
+    function postQuestion(submission) {
+        const url = `${config.apiEndpoint}/solve/${submission.method}`;
+        if (!submission.image && !submission.audio) {
+            return fetch(url, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    extractionId: submission.extractionId,
+                    question: submission.question,
+                    language: submission.language,
+                    subject: submission.subject,
+                    classLevel: submission.classLevel,
+                    hintMode: submission.hintMode,
+                    ...submission.context
+                })
+            });
+        }
+
+        const formData = new FormData();
+        if (submission.image) formData.append('image', submission.image);
+        if (submission.audio) formData.append('audio', submission.audio, submission.audioName);
+        formData.append('question', submission.question);
+        if (submission.language) formData.append('language', submission.language);
+        formData.append('subject', submission.subject);
+        formData.append('classLevel', submission.classLevel);
+        formData.append('hintMode', submission.hintMode);
+        Object.entries(submission.context).forEach(([key, value]) => formData.append(key, value));
+        return fetch(url, {
+            method: 'POST',
+            headers: authHeaders(),
+            body: formData
+        });
+    }
+    
+    function handleTabChange(event) {
+        const tabId = event.currentTarget.dataset.tab;
+        if (tabId === 'explanation' && state.activeHintMode && !isAnswerRevealed()) {
+            showToast(t('Work through the hints first to unlock the explanation'), 'info');
+            return;
+        }
+        state.activeTab = tabId;
+        
+        // Update tab buttons
+        document.querySelectorAll('.tab-btn').forEach(tab => {
+            if (tab.dataset.tab === tabId) {
+                tab.classList.add('border-purple-500', 'text-gray-800', 'dark:text-gray-200');
+                tab.classList.remove('text-gray-500', 'dark:text-gray-400');
+            } else {
+                tab.classList.remove('border-purple-500', 'text-gray-800', 'dark:text-gray-200');
+                tab.classList.add('text-gray-500', 'dark:text-gray-400');
+            }
+        });
+        
+        // Show active tab content
+        Object.values(elements.tabs).forEach(tab => tab.classList.add('hidden'));
+        elements.tabs[tabId].classList.remove('hidden');
+    }
+
+    async function handleFeedback(event) {
+        const button = event.currentTarget;
+        const feedbackType = button.dataset.feedback;
+        if (!(await sendFeedback(feedbackType))) return;
+
+        const feedbackMessage = document.createElement('div');
+        feedbackMessage.className = 'text-center text-sm text-green-600 dark:text-green-400 mt-2';
+        feedbackMessage.textContent = t(feedbackType === 'helpful' ? 'Thanks for your feedback!' : 'We\'ll try to improve! Tell us what went wrong, or ask for a new answer.');
+        
+        // Remove any existing feedback message
+        const existingFeedback = document.querySelector('.feedback-message');
+        if (existingFeedback) {
+            existingFeedback.remove();
+        }
+        
+        feedbackMessage.classList.add('feedback-message');
+        button.parentNode.appendChild(feedbackMessage);
+        elements.containers.feedbackDetails.classList.toggle('hidden', feedbackType !== 'not-helpful');
+    }
+
+    function insertMathEquation() {
+        const equation = elements.inputs.mathEquationInput.value.trim();
+        if (equation) {
+            const cursorPos = elements.inputs.questionText.selectionStart;
+            const textBefore = elements.inputs.questionText.value.substring(0, cursorPos);
+            const textAfter = elements.inputs.questionText.value.substring(cursorPos);
+            
+            // Equations are kept as LaTeX source between $ signs
+            elements.inputs.questionText.value = textBefore + ' $' + equation + '$ ' + textAfter;
+            elements.inputs.mathEquationInput.value = '';
+            elements.containers.mathModal.classList.add('hidden');
+            updateButtonStates();
+        }
+    }
+
+    // Devanagari Input
+    const devanagariKeys = [
+        'अ', 'आ', 'इ', 'ई', 'उ', 'ऊ', 'ऋ', 'ए', 'ऐ', 'ओ', 'औ',
+        'ा', 'ि', 'ी', 'ु', 'ू', 'ृ', 'े', 'ै', 'ो', 'ौ', 'ं', 'ँ', 'ः', '्',
+        'क', 'ख', 'ग', 'घ', 'ङ', 'च', 'छ', 'ज', 'झ', 'ञ',
+        'ट', 'ठ', 'ड', 'ढ', 'ण', 'त', 'थ', 'द', 'ध', 'न',
+        'प', 'फ', 'ब', 'भ', 'म', 'य', 'र', 'ल', 'व', 'श',
+        'ष', 'स', 'ह', 'क्ष', 'त्र', 'ज्ञ', '।', '॥',
+        '०', '१', '२', '३', '४', '५', '६', '७', '८', '९'
+    ];
+    const devanagariSigns = /^[ऀ-ःा-्]$/;
+
+    function createDevanagariKeyboard() {
+        elements.containers.devanagariKeys.innerHTML = '';
+        devanagariKeys.forEach(key => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'bg-gray-100 dark:bg-gray-700 p-1 rounded text-sm hover:bg-purple-100 dark:hover:bg-purple-900';
+            // Vowel signs are drawn on a dotted circle so they are visible on their own
+            button.textContent = devanagariSigns.test(key) ? `◌${key}` : key;
+            button.dataset.key = key;
+            elements.containers.devanagariKeys.appendChild(button);
+        });
+    }
+
+    function insertAtCursor(input, text) {
+        const start = input.selectionStart;
+        input.value = input.value.slice(0, start) + text + input.value.slice(input.selectionEnd);
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
+    }
+
+    // Romanised spelling: longest match first, so "kh" wins over "k" and "aa" over "a"
+    const translitConsonants = {
+        ksh: 'क्ष', chh: 'छ', gy: 'ज्ञ', kh: 'ख', gh: 'घ', ng: 'ङ', ch: 'च', jh: 'झ', Th: 'ठ', Dh: 'ढ',
+        th: 'थ', dh: 'ध', ph: 'फ', bh: 'भ', sh: 'श', Sh: 'ष', k: 'क', g: 'ग', c: 'च', j: 'ज',
+        T: 'ट', D: 'ड', N: 'ण', t: 'त', d: 'द', n: 'न', p: 'प', f: 'फ', b: 'ब', m: 'म',
+        y: 'य', r: 'र', l: 'ल', v: 'व', w: 'व', s: 'स', h: 'ह', x: 'क्ष'
+    };
+    // Each vowel is [standalone letter, sign after a consonant]
+    const translitVowels = {
+        aa: ['आ', 'ा'], ai: ['ऐ', 'ै'], au: ['औ', 'ौ'], ee: ['ई', 'ी'], ii: ['ई', 'ी'], oo: ['ऊ', 'ू'], uu: ['ऊ', 'ू'],
+        a: ['अ', ''], A: ['आ', 'ा'], i: ['इ', 'ि'], I: ['ई', 'ी'], u: ['उ', 'ु'], U: ['ऊ', 'ू'],
+        e: ['ए', 'े'], o: ['ओ', 'ो'], R: ['ऋ', 'ृ']
+    };
+    const translitMarks = { M: 'ं', '~': 'ँ', H: 'ः' };
+
+    function longestMatch(table, word, index) {
+        for (let length = 3; length > 0; length--) {
+            const part = word.slice(index, index + length);
+            if (part.length === length && table[part]) return part;
+        }
+        return null;
+    }
+
+    function transliterate(word) {
+        let output = '';
+        let afterConsonant = false;
+        let index = 0;
+        while (index < word.length) {
+            const consonant = longestMatch(translitConsonants, word, index);
+            if (consonant) {
+                // Two consonants in a row form a conjunct; a final consonant keeps its inherent "a"
+                output += (afterConsonant ? '्' : '') + translitConsonants[consonant];
+                afterConsonant = true;
+                index += consonant.length;
+                continue;
+            }
+            const vowel = longestMatch(translitVowels, word, index);
+            if (vowel) {
+                output += translitVowels[vowel][afterConsonant ? 1 : 0];
+                afterConsonant = false;
+                index += vowel.length;
+                continue;
+            }
+            output += translitMarks[word[index]] || word[index];
+            afterConsonant = false;
+            index += 1;
+        }
+        return output;
+    }
+
+    // Converts the romanised word just finished when a space, punctuation or new line is typed
+    function handleTransliteration(event) {
+        if (!elements.inputs.transliterate.checked) return;
+        const finished = event.inputType === 'insertLineBreak' || /^[\s.,?!।]$/.test(event.data || '');
+        if (!finished) return;
+
+        const input = event.target;
+        const caret = input.selectionStart;
+        const before = input.value.slice(0, caret - 1);
+        // LaTeX between $ signs and \commands stay as typed
+        if ((before.match(/\$/g) || []).length % 2 === 1) return;
+        const match = before.match(/(^|[^\\A-Za-z~])([A-Za-z~]+)$/);
+        if (!match) return;
+
+        const converted = transliterate(match[2]);
+        const start = before.length - match[2].length;
+        input.value = input.value.slice(0, start) + converted + input.value.slice(caret - 1);
+        const newCaret = start + converted.length + 1;
+        input.setSelectionRange(newCaret, newCaret);
+        updateButtonStates();
+    }
+
+
+    function showExample() {
+        const examples = {
+            'Mathematics': "Solve for x: 2x + 5 = 15",
+            'Science': "Explain Newton's Third Law of Motion",
+            'English': "Analyze the theme of Romeo and Juliet",
+            'Nepali': "मुनामदन कविताको विषयवस्तु के हो?",
+            'Social Studies': "What caused the French Revolution?",
+            'General Knowledge': "What are the functions of the United Nations?"
+        };
+        
+        const example = examples[state.selectedSubject] || "Example question about " + state.selectedSubject;
+        
+        if (state.selectedMethod === 'Text') {
+            elements.inputs.questionText.value = example;
+        } else if (state.selectedMethod === 'Voice') {
+            elements.inputs.extractedText.value = example;
+            elements.containers.extractedText.classList.remove('hidden');
+        }
+        
+        updateButtonStates();
+    }
+
+    function showFormula() {
+        if (state.selectedSubject === 'Mathematics') {
+            const formula = "Quadratic formula: x = [-b ± √(b² - 4ac)] / 2a";
+            showToast(t('Common formula: {formula}', { formula }), 'info');
+        } else if (state.selectedSubject === 'Science') {
+            const formula = "Newton's Second Law: F = ma (Force = mass × acceleration)";
+            showToast(t('Common formula: {formula}', { formula }), 'info');
+        } else {
+            showToast(t('No specific formula for {subject}. Check the examples for guidance.', { subject: t(state.selectedSubject) }), 'info');
+        }
+    }
+
+    function showDiagram() {
+        showToast(t('Diagram for {subject} would be displayed here in a full implementation.', { subject: t(state.selectedSubject) }), 'info');
+    }
+
+    async function saveSolution() {
+        if (!state.currentSolutionId) {
+            showToast(t('This solution has not been stored yet'), 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/bookmark`, {
+                method: 'PATCH',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ bookmarked: !state.isBookmarked })
+            });
+            if (!response.ok) throw new Error('Bookmark request failed');
+            const data = await response.json();
+            setBookmarked(data.bookmarked);
+            showToast(t(data.bookmarked ? 'Solution saved to your history!' : 'Solution removed from saved'), 'success');
+        } catch (error) {
+            console.error('Bookmark error:', error);
+            showToast(t('Could not save this solution. Please try again.'), 'error');
+        }
+    }
+
+    function setBookmarked(bookmarked) {
+        state.isBookmarked = bookmarked;
+        elements.buttons.saveSolution.querySelector('h3').textContent = t(bookmarked ? 'Saved' : 'Save Solution');
+    }
+
+    // Shared Links
+    function shareSolution() {
+        if (!state.currentSolutionId) {
+            showToast(t('This solution has not been stored yet'), 'error');
+            return;
+        }
+        const panel = elements.containers.sharePanel;
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) loadShares();
+    }
+
+    async function loadShares() {
+        const solutionId = state.currentSolutionId;
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${solutionId}/shares`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Shares request failed');
+            const data = await response.json();
+            // Another solution may have been opened while this was loading
+            if (solutionId !== state.currentSolutionId) return;
+            renderShares(data.shares);
+        } catch (error) {
+            console.error('Shares error:', error);
+            showToast(t('Could not load your shared links'), 'error');
+        }
+    }
+
+    function renderShares(shares) {
+        const list = elements.containers.shareList;
+        list.innerHTML = '';
+
+        if (!shares.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-500 dark:text-gray-400';
+            empty.textContent = t('No links yet');
+            list.appendChild(empty);
+            return;
+        }
+
+        shares.forEach(share => {
+            const url = `${window.location.origin}${share.url}`;
+            const row = document.createElement('div');
+            row.className = `flex flex-wrap items-center gap-2 border-t border-gray-200 dark:border-gray-700 pt-1 ${share.status === 'active' ? '' : 'opacity-60'}`;
+
+            const link = document.createElement('span');
+            link.className = 'flex-grow font-mono truncate';
+            link.textContent = url;
+
+            const meta = document.createElement('span');
+            meta.className = 'text-gray-500 dark:text-gray-400';
+            const notes = [t(share.views === 1 ? '{count} view' : '{count} views', { count: share.views })];
+            if (share.status === 'active') {
+                if (share.expiresAt) notes.push(t('Expires {date}', { date: new Date(share.expiresAt).toLocaleDateString() }));
+                if (share.hideImage) notes.push(t('Photo hidden'));
+            } else {
+                notes.push(share.status === 'revoked' ? t('Revoked') : t('Expired'));
+            }
+            meta.textContent = notes.join(' · ');
+
+            row.appendChild(link);
+            row.appendChild(meta);
+            if (share.status === 'active') {
+                const copy = document.createElement('button');
+                copy.className = 'bg-gray-100 dark:bg-gray-700 px-2 py-0.5 rounded';
+                copy.textContent = t('Copy');
+                copy.addEventListener('click', () => copyShareLink(url));
+
+                const revoke = document.createElement('button');
+                revoke.className = 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 px-2 py-0.5 rounded';
+                revoke.textContent = t('Revoke');
+                revoke.addEventListener('click', () => revokeShare(share.slug));
+
+                row.appendChild(copy);
+                row.appendChild(revoke);
+            }
+            list.appendChild(row);
+        });
+    }
+
+    async function createShare() {
+        const expiresInDays = elements.inputs.shareExpiry.value;
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/shares`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+                    hideImage: elements.inputs.shareHideImage.checked
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || t('Could not create a link'), 'error');
+                return;
+            }
+
+            loadShares();
+            await offerShareLink(`${window.location.origin}${data.url}`);
+        } catch (error) {
+            console.error('Share error:', error);
+            showToast(t('Could not reach the server. Please try again.'), 'error');
+        }
+    }
+
+    // Opens the device's share sheet where there is one, otherwise copies the link
+    async function offerShareLink(url) {
+        if (navigator.share) {
+            try {
+                await navigator.share({
+                    title: 'Learnify Pro Solution',
+                    text: t('Check out this solution for {subject}', { subject: t(state.selectedSubject) }),
+                    url
+                });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.log('Error sharing:', error);
+            }
+        }
+        copyShareLink(url);
+    }
+
+    async function copyShareLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            showToast(t('Link copied'), 'success');
+        } catch (error) {
+            console.error('Clipboard error:', error);
+            showToast(t('Could not copy the link. Copy it from the list instead.'), 'error');
+        }
+    }
+
+    async function revokeShare(slug) {
+        try {
+            const response = await fetch(`${config.apiEndpoint}/shares/${encodeURIComponent(slug)}`, {
+                method: 'DELETE',
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Revoke request failed');
+            showToast(t('Link revoked'), 'success');
+            loadShares();
+        } catch (error) {
+            console.error('Revoke error:', error);
+            showToast(t('Could not revoke the link. Please try again.'), 'error');
+        }
+    }
+
+    // Read-only view of a solution someone shared; the controls for changing it are hidden
+    async function openSharedSolution(slug) {
+        state.sharedSlug = slug;
+        document.body.classList.add('shared-view');
+        showPage('results');
+        showLoading();
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/shares/${encodeURIComponent(slug)}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) {
+                showToast(t(response.status === 410 ? 'This shared link is no longer available' : 'Shared solution not found'), 'error');
+                showPage('welcome');
+                return;
+            }
+            const data = await response.json();
+
+            state.currentSolutionId = null;
+            state.selectedSubject = data.subject;
+            state.selectedClass = String(data.classLevel);
+            state.currentQuestion = data.question;
+            renderMathText(elements.displays.question, data.question);
+            showQuestionImage(data.imageUrl);
+            renderSolution(data.solution);
+            renderVerification(data.verification);
+            renderMathText(elements.displays.explanation, data.explanation);
+            renderResources(data.resources || []);
+            renderLibraryResources(data.library || []);
+            startHintMode(false);
+            resetChat();
+
+            elements.displays.sharedMeta.textContent = [
+                `${t(data.subject)} · ${t('Class {level}', { level: data.classLevel })}`,
+                t(data.views === 1 ? '{count} view' : '{count} views', { count: data.views })
+            ].join(' · ');
+            elements.containers.sharedBanner.classList.remove('hidden');
+            showResults();
+        } catch (error) {
+            console.error('Shared solution error:', error);
+            showToast(t('Could not open this shared solution'), 'error');
+            showPage('welcome');
+        }
+    }
+
+    // Called by showPage when the student moves on from a shared solution
+    function leaveSharedView() {
+        state.sharedSlug = null;
+        document.body.classList.remove('shared-view');
+        elements.containers.sharedBanner.classList.add('hidden');
+        showQuestionImage(null);
+        history.replaceState(null, '', '/');
+    }
+
+    function showQuestionImage(url) {
+        elements.displays.questionImage.classList.toggle('hidden', !url);
+        if (url) {
+            elements.displays.questionImage.src = url;
+        } else {
+            elements.displays.questionImage.removeAttribute('src');
+        }
+    }
+
+    // Prints the question with every tab (see the print styles); dark mode is switched off
+    // for the printout and restored afterwards
+    function printSolution() {
+        const wasDark = state.isDarkMode;
+        if (wasDark) document.documentElement.classList.remove('dark');
+        window.addEventListener('afterprint', () => {
+            if (wasDark) document.documentElement.classList.add('dark');
+        }, { once: true });
+        window.print();
+    }
+
+    // Export
+    // Downloads go through fetch because the export routes need the Authorization header
+    async function downloadExport(path, fallbackName) {
+        const response = await fetch(`${config.apiEndpoint}${path}`, {
+            headers: authHeaders()
+        });
+        if (!response.ok) {
+            const error = new Error('Export request failed');
+            error.status = response.status;
+            throw error;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="?([^";]+)"?/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = filename ? filename[1] : fallbackName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async function exportSolution(format) {
+        if (!state.currentSolutionId) {
+            showToast(t('This solution has not been stored yet'), 'error');
+            return;
+        }
+
+        showToast(t('Preparing your download...'), 'info');
+        try {
+            await downloadExport(`/solutions/${state.currentSolutionId}/export?format=${format}`, `solution.${format}`);
+        } catch (error) {
+            console.error('Export error:', error);
+            showToast(t('Could not export this solution. Please try again.'), 'error');
+        }
+    }
+
+    // One PDF of the history entries matching the current filters
+    async function exportStudySheet() {
+        const params = historyFilterParams();
+        params.set('format', 'pdf');
+
+        showToast(t('Preparing your study sheet...'), 'info');
+        try {
+            await downloadExport(`/me/solutions/export?${params}`, 'study-sheet.pdf');
+        } catch (error) {
+            console.error('Study sheet error:', error);
+            showToast(t(error.status === 404 ? 'No questions match these filters' : 'Could not create the study sheet. Please try again.'), 'error');
+        }
+    }
+
+    // UI Update Functions
+    function updateButtonStates() {
+        // Continue Button
+        elements.buttons.continue.disabled = !(state.selectedSubject && state.selectedClass);
+        elements.buttons.continue.classList.toggle('disabled-btn', !(state.selectedSubject && state.selectedClass));
+        
+        // Start Button
+        elements.buttons.start.disabled = !state.selectedMethod;
+        elements.buttons.start.classList.toggle('disabled-btn', !state.selectedMethod);
+        elements.buttons.start.textContent = state.selectedMethod ? t('Start with {method}', { method: t(state.selectedMethod) }) : t('Select a Method');
+        
+        // Submit Button
+        let isValid = false;
+        if (state.selectedMethod === 'Text') {
+            isValid = elements.inputs.questionText.value.trim().length > 0;
+        } else if (state.selectedMethod === 'Image') {
+            isValid = state.questionImage !== null && !state.isExtracting && elements.inputs.extractedText.value.trim().length > 0;
+        } else if (state.selectedMethod === 'Voice') {
+            isValid = !state.isExtracting && elements.inputs.extractedText.value.trim().length > 0;
+        }
+        
+        elements.buttons.submit.disabled = !isValid;
+        elements.buttons.submit.classList.toggle('disabled-btn', !isValid);
+    }
+    
+    function updateSelectionDisplay() {
+        if (state.selectedClass && state.selectedSubject) {
+            const chapter = state.chapters.find(item => item.number === state.selectedChapter);
+            let text = `${t('Class {level}', { level: state.selectedClass })} - ${t(state.selectedSubject)}`;
+            if (chapter) text += ` · ${t('Chapter {number}: {title}', chapter)}`;
+            if (state.activeAssignment) text = `${t('Assignment question {number}', { number: state.activeAssignment.questionIndex + 1 })} · ${text}`;
+            elements.displays.selection.textContent = text;
+        }
+    }
+    
+    function updateMethodDisplay() {
+        if (state.selectedMethod) {
+            elements.displays.method.textContent = t('Method: {method} Input', { method: t(state.selectedMethod) });
+        }
+    }
+    
+    function showQuestionInput() {
+        elements.containers.textInput.classList.add('hidden');
+        elements.containers.imageInput.classList.add('hidden');
+        elements.containers.voiceInput.classList.add('hidden');
+        resetExtraction();
+        
+        if (state.selectedMethod === 'Text') {
+            elements.containers.textInput.classList.remove('hidden');
+            if (state.activeAssignment) {
+                elements.inputs.questionText.value = state.activeAssignment.text;
+            }
+        } else if (state.selectedMethod === 'Image') {
+            elements.containers.imageInput.classList.remove('hidden');
+            removeImage();
+        } else if (state.selectedMethod === 'Voice') {
+            elements.containers.voiceInput.classList.remove('hidden');
+            state.audioChunks = [];
+            elements.containers.recordingStatus.classList.add('hidden');
+        }
+    }
+    
+    function showLoading() {
+        elements.containers.loading.classList.remove('hidden');
+        elements.containers.results.classList.add('hidden');
+        elements.containers.jobProgress.classList.add('hidden');
+        elements.displays.jobProgressBar.style.width = '0%';
+    }
+    
+    function showResults() {
+        elements.containers.loading.classList.add('hidden');
+        elements.containers.results.classList.remove('hidden');
+        
+        // Set active tab to solution
+        document.querySelector('.tab-btn[data-tab="solution"]').click();
+    }
+    
+    function displaySolution(apiResponse) {
+        if (!apiResponse) {
+            showToast(t('Error generating solution'), 'error');
+            return;
+        }
+        
+        state.currentSolutionId = apiResponse.solutionId || apiResponse._id || null;
+        setBookmarked(Boolean(apiResponse.bookmarked));
+        elements.containers.sharePanel.classList.add('hidden');
+        
+        // Update all tab contents; saved solutions link to the photo the question was read from
+        showQuestionImage(apiResponse.imageUrl);
+        renderSolution(apiResponse.solution);
+        renderVerification(apiResponse.verification);
+        renderMathText(elements.displays.explanation, apiResponse.explanation);
+        renderResources(apiResponse.resources || []);
+        loadLibraryResources(state.currentSolutionId);
+        startHintMode(Boolean(apiResponse.hintMode), apiResponse.hintsUsed || 0);
+        resetAnswerCheck();
+        resetFeedback();
+        if (state.currentSolutionId) {
+            restoreChat(state.currentSolutionId);
+        } else {
+            resetChat();
+        }
+        
+        showResults();
+    }
+
+    // Solution Rendering
+    // Builds the solution tab from a structured solution; all text goes in through textContent
+    function createSolutionLayout() {
+        elements.displays.solution.innerHTML = `
+            <div>
+                <div class="font-medium" data-i18n>Problem:</div>
+                <p class="solution-problem math-equation"></p>
+            </div>
+            <div>
+                <div class="font-medium" data-i18n>Solution:</div>
+                <ol class="solution-steps list-decimal pl-5 space-y-3"></ol>
+            </div>
+            <div class="solution-answer bg-green-100 dark:bg-green-900 rounded-lg p-3 mt-3 hidden">
+                <div class="font-medium" data-i18n>Answer:</div>
+                <p></p>
+                <p class="solution-verification text-xs mt-2 hidden"></p>
+            </div>
+            <details class="solution-hints card p-3 hidden">
+                <summary class="font-medium text-sm cursor-pointer" data-i18n>Hints</summary>
+                <ul class="list-disc pl-5 mt-2 space-y-1 text-sm"></ul>
+            </details>
+        `;
+        applyTranslations(elements.displays.solution);
+    }
+
+    function renderProblem(text) {
+        renderMathText(elements.displays.solution.querySelector('.solution-problem'), text);
+    }
+
+    function appendSolutionStep(step, list = elements.displays.solution.querySelector('.solution-steps')) {
+        const item = document.createElement('li');
+
+        const text = document.createElement('p');
+        renderMathText(text, step.text);
+        item.appendChild(text);
+
+        if (step.math) {
+            const math = document.createElement('p');
+            math.className = 'math-equation mt-1';
+            renderMath(math, step.math, true);
+            item.appendChild(math);
+        }
+
+        if (step.rationale) {
+            const rationale = document.createElement('p');
+            rationale.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+            renderMathText(rationale, t('Why: {reason}', { reason: step.rationale }));
+            item.appendChild(rationale);
+        }
+
+        list.appendChild(item);
+    }
+
+    function renderFinalAnswer(text) {
+        const answer = elements.displays.solution.querySelector('.solution-answer');
+        renderMathText(answer.querySelector('p'), text);
+        answer.classList.remove('hidden');
+    }
+
+    // Shows how the exact math engine's answer compared with the AI's
+    function renderVerification(verification) {
+        const note = elements.displays.solution.querySelector('.solution-verification');
+        if (!verification || !verification.status) {
+            note.classList.add('hidden');
+            return;
+        }
+        const messages = {
+            verified: t('✔ Checked by exact calculation'),
+            computed: t('✔ Worked out by exact calculation'),
+            corrected: t('⚠ The AI answered "{answer}", which does not match the exact calculation, so the checked answer is shown instead', { answer: verification.modelAnswer })
+        };
+        note.textContent = messages[verification.status] || '';
+        note.classList.remove('hidden');
+    }
+
+    function renderHints(hints) {
+        const container = elements.displays.solution.querySelector('.solution-hints');
+        const list = container.querySelector('ul');
+        list.innerHTML = '';
+        hints.forEach(hint => {
+            const item = document.createElement('li');
+            renderMathText(item, hint);
+            list.appendChild(item);
+        });
+        container.classList.toggle('hidden', hints.length === 0);
+    }
+
+    function renderSolution(solution) {
+        createSolutionLayout();
+        renderProblem(solution.problem);
+        solution.steps.forEach(step => appendSolutionStep(step));
+        renderFinalAnswer(solution.finalAnswer);
+        renderHints(solution.hints || []);
+    }
+
+    function renderResources(resources) {
+        elements.displays.resources.innerHTML = '';
+        resources.forEach(resource => {
+            const card = document.createElement('div');
+            card.className = 'card p-3';
+            card.textContent = resource;
+            elements.displays.resources.appendChild(card);
+        });
+    }
+    
+    function resetQuestionState() {
+        if (state.selectedMethod === 'Text') {
+            elements.inputs.questionText.value = '';
+        } else if (state.selectedMethod === 'Image') {
+            removeImage();
+        } else if (state.selectedMethod === 'Voice') {
+            state.audioChunks = [];
+            resetExtraction();
+        }
+        
+        state.currentQuestion = null;
+        updateButtonStates();
+    }
+
+    // Speech-to-Text
+    function languageHint() {
+        return state.selectedSubject === 'Nepali' ? 'ne' : 'auto';
+    }
+
+    function recordingFileName() {
+        const extension = (state.audioMimeType || 'audio/webm').split(';')[0].split('/')[1];
+        return `recording.${extension}`;
+    }
+
+    // Extraction Confirmation
+    const languageNames = {
+        en: 'English',
+        ne: 'Nepali'
+    };
+
+    function resetExtraction() {
+        state.extraction = null;
+        elements.inputs.extractedText.value = '';
+        elements.displays.extractionMeta.textContent = '';
+        elements.containers.extractedText.classList.add('hidden');
+    }
+
+    // Reads the uploaded image or recording so the student can correct it before solving
+    async function extractQuestion(method, file) {
+        resetExtraction();
+        state.isExtracting = true;
+        updateButtonStates();
+        elements.containers.extractedText.classList.remove('hidden');
+        elements.inputs.extractedText.placeholder = t(method === 'image' ? 'Reading your image...' : 'Transcribing your recording...');
+
+        try {
+            const formData = new FormData();
+            if (method === 'image') {
+                formData.append('image', file);
+            } else {
+                formData.append('audio', file, recordingFileName());
+                formData.append('language', languageHint());
+            }
+
+            const response = await fetch(`${config.apiEndpoint}/extract`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: formData
+            });
+            if (!response.ok) throw new Error('Extraction request failed');
+            const data = await response.json();
+
+            state.extraction = { id: data.extractionId, method: data.method, language: data.language || null };
+            elements.inputs.extractedText.value = data.text || '';
+            if (method === 'image') {
+                elements.displays.extractionMeta.textContent = t('{confidence}% confidence', data);
+            } else if (data.language) {
+                elements.displays.extractionMeta.textContent = languageNames[data.language] ? t(languageNames[data.language]) : data.language;
+            }
+
+            if (!data.text) {
+                showToast(t('We could not read a question. Please type it in the box.'), 'error');
+            }
+        } catch (error) {
+            console.error('Extraction error:', error);
+            showToast(t('Could not read your question. You can type it in the box instead.'), 'error');
+        } finally {
+            state.isExtracting = false;
+            elements.inputs.extractedText.placeholder = t('Type or correct your question here...');
+            updateButtonStates();
+        }
+    }
+
+    // Math Typesetting
+    // Palette for the math modal; each symbol inserts LaTeX at the cursor
+    const latexPalette = [
+        { label: '+', latex: '+' }, { label: '−', latex: '-' }, { label: '×', latex: '\\times ' }, { label: '÷', latex: '\\div ' },
+        { label: '=', latex: '=' }, { label: '≠', latex: '\\neq ' }, { label: '≤', latex: '\\leq ' }, { label: '≥', latex: '\\geq ' },
+        { label: 'x²', latex: '^{2}' }, { label: 'xⁿ', latex: '^{}' }, { label: '√', latex: '\\sqrt{}' }, { label: 'ⁿ√', latex: '\\sqrt[]{}' },
+        { label: 'a/b', latex: '\\frac{}{}' }, { label: '±', latex: '\\pm ' }, { label: 'π', latex: '\\pi ' }, { label: '∞', latex: '\\infty ' },
+        { label: '(', latex: '(' }, { label: ')', latex: ')' }, { label: 'α', latex: '\\alpha ' }, { label: 'β', latex: '\\beta ' },
+        { label: 'θ', latex: '\\theta ' }, { label: '°', latex: '^{\\circ}' }, { label: 'sin', latex: '\\sin ' }, { label: 'log', latex: '\\log ' }
+    ];
+
+    function createLatexPalette() {
+        elements.containers.latexPalette.innerHTML = '';
+        latexPalette.forEach(symbol => {
+            const button = document.createElement('button');
+            button.className = 'math-symbol bg-gray-100 dark:bg-gray-700 p-2 rounded text-sm';
+            button.textContent = symbol.label;
+            button.title = symbol.latex.trim();
+            button.dataset.latex = symbol.latex;
+            elements.containers.latexPalette.appendChild(button);
+        });
+    }
+
+    // Inserts a palette symbol and puts the caret inside its first empty group, e.g. \frac{|}{}
+    function insertLatexSymbol(latex) {
+        const input = elements.inputs.mathEquationInput;
+        const start = input.selectionStart;
+        input.value = input.value.slice(0, start) + latex + input.value.slice(input.selectionEnd);
+
+        const groups = [latex.indexOf('[]'), latex.indexOf('{}')].filter(index => index >= 0);
+        const caret = start + (groups.length ? Math.min(...groups) + 1 : latex.length);
+        input.focus();
+        input.setSelectionRange(caret, caret);
+        updateMathPreview();
+    }
+
+    function updateMathPreview() {
+        const latex = elements.inputs.mathEquationInput.value.trim();
+        if (!latex) {
+            elements.displays.mathPreview.textContent = t('Your equation will appear here');
+            return;
+        }
+        renderMath(elements.displays.mathPreview, latex, true);
+    }
+
+    // Typesets LaTeX into an element; shows the source if KaTeX failed to load
+    function renderMath(element, latex, displayMode = false) {
+        if (window.katex) {
+            window.katex.render(latex, element, { throwOnError: false, displayMode });
+        } else {
+            element.textContent = latex;
+        }
+    }
+
+    // Sets text that may contain inline $...$ or display $$...$$ LaTeX; the rest stays plain text
+    function renderMathText(element, text) {
+        const source = String(text || '');
+        const pattern = /\$\$([^$]+)\$\$|\$(?!\s)([^$]+?)(?<!\s)\$/g;
+        let last = 0;
+        let match;
+
+        element.textContent = '';
+        while ((match = pattern.exec(source))) {
+            if (match.index > last) element.appendChild(document.createTextNode(source.slice(last, match.index)));
+            const math = document.createElement('span');
+            renderMath(math, match[1] || match[2], Boolean(match[1]));
+            element.appendChild(math);
+            last = pattern.lastIndex;
+        }
+        if (last < source.length) element.appendChild(document.createTextNode(source.slice(last)));
+    }
+
+    // Streaming Solutions
+    async function streamTextSolution() {
+        const controller = new AbortController();
+        state.streamController = controller;
+        let started = false;
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solve/text/stream`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    question: state.currentQuestion,
+                    subject: state.selectedSubject,
+                    classLevel: state.selectedClass,
+                    hintMode: elements.inputs.hintMode.checked,
+                    ...solveContextFields()
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error('API request failed');
+
+            await readEventStream(response, (event, data) => {
+                if (!started) {
+                    started = true;
+                    beginStreamingSolution();
+                }
+                applyStreamEvent(event, data);
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            // Errors before anything was shown are handled like a failed request
+            if (!started) throw error;
+            console.error('Streaming error:', error);
+            showToast(t('The connection dropped before the solution finished'), 'error');
+        } finally {
+            if (state.streamController === controller) {
+                state.streamController = null;
+                elements.containers.streamStatus.classList.add('hidden');
+            }
+        }
+    }
+
+    // Minimal Server-Sent Events parser for a fetch() response body
+    async function readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            messages.forEach(message => {
+                let event = 'message';
+                let data = '';
+                message.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                if (data) onEvent(event, JSON.parse(data));
+            });
+        }
+    }
+
+    function beginStreamingSolution() {
+        state.currentSolutionId = null;
+        setBookmarked(false);
+
+        createSolutionLayout();
+        renderProblem(state.currentQuestion);
+        elements.displays.explanation.textContent = '';
+        elements.displays.resources.innerHTML = '';
+        loadLibraryResources(null);
+        startHintMode(elements.inputs.hintMode.checked);
+        resetAnswerCheck();
+        resetFeedback();
+        resetChat();
+
+        elements.containers.streamStatus.classList.remove('hidden');
+        showResults();
+    }
+
+    function applyStreamEvent(event, data) {
+        if (event === 'problem') {
+            renderProblem(data.text);
+        } else if (event === 'step') {
+            appendSolutionStep(data.step);
+            applyHintVisibility();
+        } else if (event === 'answer') {
+            renderFinalAnswer(data.text);
+            applyHintVisibility();
+        } else if (event === 'verification') {
+            renderVerification(data);
+        } else if (event === 'hints') {
+            renderHints(data.items);
+        } else if (event === 'explanation') {
+            renderMathText(elements.displays.explanation, data.text);
+        } else if (event === 'resources') {
+            renderResources(data.items);
+        } else if (event === 'done') {
+            state.currentSolutionId = data.solutionId;
+            loadLibraryResources(data.solutionId);
+            // Hints opened while the solution was still streaming are recorded once it is saved
+            if (state.revealedSteps > 1) syncHintsUsed();
+        } else if (event === 'error') {
+            showToast(data.error || t('Error generating solution'), 'error');
+        }
+    }
+
+    function cancelStream() {
+        if (!state.streamController) return;
+        state.streamController.abort();
+        state.streamController = null;
+        elements.containers.streamStatus.classList.add('hidden');
+        showResults();
+        showToast(t('Stopped generating the solution'), 'info');
+    }
+
+    // Hint Mode
+    // In hint mode only the first `revealedSteps` steps are shown; the answer and
+    // explanation unlock once every step has been revealed
+    function startHintMode(enabled, hintsUsed = 0) {
+        state.activeHintMode = enabled;
+        state.revealedSteps = 1 + hintsUsed;
+        applyHintVisibility();
+    }
+
+    function solutionStepItems() {
+        return elements.displays.solution.querySelectorAll('.solution-steps li');
+    }
+
+    function isAnswerRevealed() {
+        return state.revealedSteps > solutionStepItems().length;
+    }
+
+    function applyHintVisibility() {
+        const steps = solutionStepItems();
+        const answerRevealed = isAnswerRevealed();
+
+        steps.forEach((item, index) => {
+            item.classList.toggle('hint-locked', state.activeHintMode && index >= state.revealedSteps);
+        });
+        const answer = elements.displays.solution.querySelector('.solution-answer');
+        if (answer) answer.classList.toggle('hint-locked', state.activeHintMode && !answerRevealed);
+
+        elements.containers.hintControls.classList.toggle('hidden', !state.activeHintMode || answerRevealed);
+        if (!state.activeHintMode) return;
+
+        elements.displays.hintProgress.textContent = t('Showing step {current} of {total}', { current: Math.min(state.revealedSteps, steps.length), total: steps.length });
+        elements.buttons.nextHint.querySelector('span').textContent = t(state.revealedSteps >= steps.length ? 'Show answer' : 'Next hint');
+    }
+
+    function revealNextHint() {
+        if (!state.activeHintMode || isAnswerRevealed()) return;
+        state.revealedSteps += 1;
+        applyHintVisibility();
+        syncHintsUsed();
+    }
+
+    async function syncHintsUsed() {
+        // Streamed solutions have no id until the server has saved them
+        if (!state.activeHintMode || !state.currentSolutionId) return;
+
+        try {
+            await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/hints`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ hintsUsed: state.revealedSteps - 1 })
+            });
+        } catch (error) {
+            console.error('Hint tracking error:', error);
+        }
+    }
+
+    // Answer Checking
+    const verdictStyles = {
+        correct: { label: '✅ Correct', className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' },
+        partial: { label: '🟡 Partly correct', className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200' },
+        incorrect: { label: '❌ Not quite', className: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' }
+    };
+
+    function resetAnswerCheck() {
+        elements.inputs.answerCheck.value = '';
+        elements.containers.answerCheckResult.classList.add('hidden');
+    }
+
+    async function checkAnswer() {
+        const answer = elements.inputs.answerCheck.value.trim();
+        if (!answer) {
+            showToast(t('Type your answer first'), 'error');
+            return;
+        }
+        if (!state.currentSolutionId) {
+            showToast(t('Wait for the solution to finish before checking your answer'), 'info');
+            return;
+        }
+        if (state.isCheckingAnswer) return;
+
+        state.isCheckingAnswer = true;
+        elements.buttons.checkAnswer.classList.add('disabled-btn');
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/check`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ answer })
+            });
+            if (!response.ok) throw new Error('Answer check failed');
+            renderAnswerCheck(await response.json());
+        } catch (error) {
+            console.error('Answer check error:', error);
+            showToast(t('Could not check your answer. Please try again.'), 'error');
+        } finally {
+            state.isCheckingAnswer = false;
+            elements.buttons.checkAnswer.classList.remove('disabled-btn');
+        }
+    }
+
+    function renderAnswerCheck(result) {
+        const container = elements.containers.answerCheckResult;
+        const style = verdictStyles[result.verdict] || verdictStyles.incorrect;
+        container.className = `mt-2 rounded-lg p-3 text-sm ${style.className}`;
+        container.querySelector('div').textContent = t(style.label);
+
+        const list = container.querySelector('ul');
+        list.innerHTML = '';
+        result.feedback.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+    }
+
+    // Practice Quizzes
+    function openQuiz() {
+        stopQuizTimer();
+        state.quiz = null;
+        elements.displays.quizSelection.textContent = `${t('Class {level}', { level: state.selectedClass })} - ${t(state.selectedSubject)}`;
+        elements.containers.quizSetup.classList.remove('hidden');
+        elements.containers.quizRunner.classList.add('hidden');
+        elements.containers.quizResults.classList.add('hidden');
+        showPage('quiz');
+    }
+
+    function setQuizBusy(busy) {
+        state.isQuizBusy = busy;
+        elements.buttons.startQuiz.classList.toggle('disabled-btn', busy);
+        elements.buttons.submitQuiz.classList.toggle('disabled-btn', busy);
+    }
+
+    async function startQuiz() {
+        if (state.isQuizBusy) return;
+
+        setQuizBusy(true);
+        try {
+            const response = await fetch(`${config.apiEndpoint}/quizzes`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    subject: state.selectedSubject,
+                    classLevel: state.selectedClass,
+                    topic: elements.inputs.quizTopic.value.trim(),
+                    count: Number(elements.inputs.quizCount.value),
+                    timed: elements.inputs.quizTimed.checked
+                })
+            });
+            if (!response.ok) throw new Error('Quiz request failed');
+            const quiz = await response.json();
+
+            state.quiz = quiz;
+            state.quizResponses = quiz.questions.map(() => '');
+            elements.containers.quizSetup.classList.add('hidden');
+            elements.containers.quizRunner.classList.remove('hidden');
+            showQuizQuestion(0);
+            startQuizTimer(quiz.timeLimitSeconds);
+        } catch (error) {
+            console.error('Quiz error:', error);
+            showToast(t('Could not create a quiz. Please try again.'), 'error');
+        } finally {
+            setQuizBusy(false);
+        }
+    }
+
+    function showQuizQuestion(index) {
+        const question = state.quiz.questions[index];
+        const total = state.quiz.questions.length;
+        const isChoice = question.type === 'multiple-choice';
+        state.quizIndex = index;
+
+        elements.displays.quizProgress.textContent = t('Question {number} of {total}', { number: index + 1, total });
+        renderMathText(elements.displays.quizQuestion, question.prompt);
+
+        const options = elements.containers.quizOptions;
+        options.innerHTML = '';
+        elements.inputs.quizAnswer.classList.toggle('hidden', isChoice);
+        if (isChoice) {
+            question.options.forEach(option => {
+                const button = document.createElement('button');
+                button.className = 'quiz-option card w-full text-left p-3 text-sm cursor-pointer';
+                button.classList.toggle('active-selection', state.quizResponses[index] === option);
+                renderMathText(button, option);
+                button.addEventListener('click', () => {
+                    state.quizResponses[index] = option;
+                    options.querySelectorAll('.quiz-option').forEach(item => item.classList.toggle('active-selection', item === button));
+                });
+                options.appendChild(button);
+            });
+        } else {
+            elements.inputs.quizAnswer.value = state.quizResponses[index];
+            elements.inputs.quizAnswer.placeholder = t(question.type === 'numeric' ? 'Type a number (with units if needed)' : 'Type your answer');
+            elements.inputs.quizAnswer.focus();
+        }
+
+        elements.buttons.quizPrev.classList.toggle('invisible', index === 0);
+        elements.buttons.quizNext.classList.toggle('hidden', index === total - 1);
+        elements.buttons.submitQuiz.classList.toggle('hidden', index < total - 1);
+    }
+
+    function moveQuizQuestion(offset) {
+        const index = state.quizIndex + offset;
+        if (state.quiz && index >= 0 && index < state.quiz.questions.length) {
+            showQuizQuestion(index);
+        }
+    }
+
+    // The server records the real duration; the countdown only decides when to auto-submit
+    function startQuizTimer(seconds) {
+        stopQuizTimer();
+        elements.displays.quizTimer.textContent = '';
+        if (!seconds) return;
+
+        state.quizDeadline = Date.now() + seconds * 1000;
+        updateQuizTimer();
+        state.quizTimer = setInterval(updateQuizTimer, 1000);
+    }
+
+    function updateQuizTimer() {
+        const remaining = Math.max(0, Math.ceil((state.quizDeadline - Date.now()) / 1000));
+        elements.displays.quizTimer.textContent = `⏱ ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        elements.displays.quizTimer.classList.toggle('text-red-500', remaining <= 10);
+
+        if (remaining === 0) {
+            showToast(t("Time's up! Submitting your quiz."), 'info');
+            submitQuiz();
+        }
+    }
+
+    function stopQuizTimer() {
+        clearInterval(state.quizTimer);
+        state.quizTimer = null;
+        state.quizDeadline = null;
+    }
+
+    async function submitQuiz() {
+        if (!state.quiz || state.isQuizBusy) return;
+
+        stopQuizTimer();
+        setQuizBusy(true);
+        try {
+            const response = await fetch(`${config.apiEndpoint}/quizzes/${state.quiz._id}/submit`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ responses: state.quizResponses })
+            });
+            if (!response.ok) throw new Error('Quiz submission failed');
+            state.quiz = await response.json();
+            renderQuizResults(state.quiz);
+        } catch (error) {
+            console.error('Quiz submission error:', error);
+            showToast(t('Could not submit your quiz. Please try again.'), 'error');
+        } finally {
+            setQuizBusy(false);
+        }
+    }
+
+    function renderQuizResults(quiz) {
+        elements.containers.quizRunner.classList.add('hidden');
+        elements.containers.quizResults.classList.remove('hidden');
+
+        const correct = quiz.questions.filter(question => question.verdict === 'correct').length;
+        elements.displays.quizScore.textContent = `${quiz.score}%`;
+        elements.displays.quizSummary.textContent = t('{correct} of {total} correct in {minutes}m {seconds}s', { correct, total: quiz.questions.length, minutes: Math.floor(quiz.durationSeconds / 60), seconds: quiz.durationSeconds % 60 });
+
+        const review = elements.containers.quizReview;
+        review.innerHTML = '';
+        quiz.questions.forEach((question, index) => {
+            const style = verdictStyles[question.verdict] || verdictStyles.incorrect;
+            const card = document.createElement('div');
+            card.className = 'card p-3 text-sm';
+
+            const prompt = document.createElement('div');
+            prompt.className = 'font-medium';
+            renderMathText(prompt, `${index + 1}. ${question.prompt}`);
+
+            const verdict = document.createElement('span');
+            verdict.className = `inline-block mt-2 rounded px-2 py-0.5 text-xs ${style.className}`;
+            verdict.textContent = t(style.label);
+
+            const answers = document.createElement('div');
+            answers.className = 'text-xs text-gray-600 dark:text-gray-400 mt-2';
+            renderMathText(answers, `Your answer: ${question.response || '—'} · Correct answer: ${question.answer}`);
+
+            card.appendChild(prompt);
+            card.appendChild(verdict);
+            card.appendChild(answers);
+
+            if (question.feedback && question.feedback.length) {
+                const list = document.createElement('ul');
+                list.className = 'list-disc pl-5 mt-1 space-y-1 text-xs';
+                question.feedback.forEach(message => {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    list.appendChild(item);
+                });
+                card.appendChild(list);
+            }
+
+            if (question.verdict !== 'correct') {
+                const explain = document.createElement('button');
+                explain.className = 'mt-2 text-xs text-purple-600 dark:text-purple-400 underline';
+                explain.textContent = t('See full explanation');
+                explain.addEventListener('click', () => explainQuizQuestion(index, explain));
+                card.appendChild(explain);
+            }
+            review.appendChild(card);
+        });
+    }
+
+    async function explainQuizQuestion(index, button) {
+        button.classList.add('disabled-btn');
+        try {
+            const response = await fetch(`${config.apiEndpoint}/quizzes/${state.quiz._id}/questions/${index}/explain`, {
+                method: 'POST',
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Explanation request failed');
+            const data = await response.json();
+
+            state.quiz.questions[index].solutionId = data.solutionId;
+            openSolution(data.solutionId, 'quiz');
+        } catch (error) {
+            console.error('Quiz explanation error:', error);
+            showToast(t('Could not load an explanation for this question'), 'error');
+        } finally {
+            button.classList.remove('disabled-btn');
+        }
+    }
+
+    // Spaced Repetition Review
+    function openReview() {
+        if (state.currentPage !== 'review') {
+            state.pageBeforeReview = state.currentPage;
+        }
+        showPage('review');
+        loadReview();
+    }
+
+    async function fetchDueReviews(limit) {
+        const response = await fetch(`${config.apiEndpoint}/review/due?limit=${limit}`, {
+            headers: authHeaders()
+        });
+        if (!response.ok) throw new Error('Review request failed');
+        const data = await response.json();
+        updateReviewBadge(data.dueCount);
+        return data;
+    }
+
+    async function loadReview() {
+        try {
+            const data = await fetchDueReviews(20);
+            state.reviewCards = data.cards;
+            state.nextReviewAt = data.nextDueAt;
+            showReviewCard(0);
+        } catch (error) {
+            console.error('Review error:', error);
+            showToast(t('Could not load your review cards'), 'error');
+        }
+    }
+
+    // Keeps the badge on the Review button in step with the number of cards due
+    async function refreshReviewBadge() {
+        try {
+            await fetchDueReviews(1);
+        } catch (error) {
+            console.error('Review badge error:', error);
+        }
+    }
+
+    function updateReviewBadge(count) {
+        state.reviewDueCount = count;
+        elements.displays.reviewBadge.textContent = count > 99 ? '99+' : count;
+        elements.displays.reviewBadge.classList.toggle('hidden', !count);
+    }
+
+    function showReviewCard(index) {
+        const card = state.reviewCards[index];
+        state.reviewIndex = index;
+        elements.containers.reviewCard.classList.toggle('hidden', !card);
+        elements.containers.reviewEmpty.classList.toggle('hidden', Boolean(card));
+
+        if (!card) {
+            elements.displays.reviewDue.textContent = t('Nothing left to review today');
+            elements.displays.reviewNext.textContent = state.nextReviewAt
+                ? t('Your next card is due {date}.', { date: new Date(state.nextReviewAt).toLocaleString() })
+                : t('Solve some questions and they will show up here for review.');
+            return;
+        }
+
+        elements.displays.reviewDue.textContent = t(state.reviewDueCount === 1 ? '{count} card due' : '{count} cards due', { count: state.reviewDueCount });
+        const reviewed = card.reviewCount ? t(card.reviewCount === 1 ? 'Reviewed {count} time' : 'Reviewed {count} times', { count: card.reviewCount }) : t('New');
+        elements.displays.reviewMeta.textContent = `${t(card.subject)} · ${t('Class {level}', { level: card.classLevel })} · ${reviewed}`;
+        renderMathText(elements.displays.reviewQuestion, card.question);
+        elements.containers.reviewAnswer.classList.add('hidden');
+        elements.buttons.showReviewAnswer.classList.remove('hidden');
+    }
+
+    function revealReviewAnswer() {
+        const card = state.reviewCards[state.reviewIndex];
+        renderMathText(elements.displays.reviewAnswer, card.finalAnswer || 'Open the full solution to check your answer.');
+        elements.containers.reviewAnswer.classList.remove('hidden');
+        elements.buttons.showReviewAnswer.classList.add('hidden');
+    }
+
+    async function gradeReviewCard(grade) {
+        const card = state.reviewCards[state.reviewIndex];
+        if (!card || state.isGradingReview) return;
+
+        state.isGradingReview = true;
+        try {
+            const response = await fetch(`${config.apiEndpoint}/review/${card._id}/grade`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ grade })
+            });
+            if (!response.ok) throw new Error('Review grading failed');
+            const updated = await response.json();
+
+            showToast(t(updated.interval === 1 ? 'Next review in {count} day' : 'Next review in {count} days', { count: updated.interval }), 'success');
+            updateReviewBadge(Math.max(0, state.reviewDueCount - 1));
+            if (state.reviewIndex + 1 < state.reviewCards.length) {
+                showReviewCard(state.reviewIndex + 1);
+            } else {
+                loadReview();
+            }
+        } catch (error) {
+            console.error('Review grading error:', error);
+            showToast(t('Could not save your review. Please try again.'), 'error');
+        } finally {
+            state.isGradingReview = false;
+        }
+    }
+
+    // Solution Feedback
+    async function sendFeedback(rating, details = {}) {
+        if (!state.currentSolutionId) {
+            showToast(t('Wait for the solution to finish before rating it'), 'info');
+            return false;
+        }
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/feedback`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ rating, ...details })
+            });
+            if (!response.ok) throw new Error('Feedback request failed');
+            return true;
+        } catch (error) {
+            console.error('Feedback error:', error);
+            showToast(t('Could not send your feedback. Please try again.'), 'error');
+            return false;
+        }
+    }
+
+    function feedbackDetails() {
+        return {
+            category: elements.inputs.feedbackCategory.value || undefined,
+            reason: elements.inputs.feedbackReason.value.trim() || undefined
+        };
+    }
+
+    function resetFeedback() {
+        const existingFeedback = document.querySelector('.feedback-message');
+        if (existingFeedback) {
+            existingFeedback.remove();
+        }
+        elements.inputs.feedbackCategory.value = '';
+        elements.inputs.feedbackReason.value = '';
+        elements.containers.feedbackDetails.classList.add('hidden');
+    }
+
+    async function submitFeedbackDetails() {
+        if (await sendFeedback('not-helpful', feedbackDetails())) {
+            showToast(t('Thanks! We\'ve noted what went wrong.'), 'success');
+        }
+    }
+
+    // Asks the solver for a new answer that addresses the student's complaint
+    async function regenerateSolution() {
+        if (state.isRegenerating || !(await sendFeedback('not-helpful', feedbackDetails()))) return;
+
+        state.isRegenerating = true;
+        showLoading();
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${state.currentSolutionId}/regenerate`, {
+                method: 'POST',
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Regenerate request failed');
+            displaySolution(await response.json());
+            showToast(t('Here is a new answer based on your feedback'), 'success');
+        } catch (error) {
+            console.error('Regenerate error:', error);
+            showToast(t('Could not get a new answer. Please try again.'), 'error');
+            showResults();
+        } finally {
+            state.isRegenerating = false;
+        }
+    }
+
+    // Admin
+    function openAdmin() {
+        showPage('admin');
+        loadLowRated(1);
+    }
+
+    async function loadLowRated(page) {
+        const params = new URLSearchParams({ page, limit: 10 });
+        if (elements.inputs.adminSubject.value) params.set('subject', elements.inputs.adminSubject.value);
+        if (elements.inputs.adminCategory.value) params.set('category', elements.inputs.adminCategory.value);
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/admin/feedback/low-rated?${params}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Low-rated request failed');
+            const data = await response.json();
+
+            state.adminPage = data.page;
+            renderLowRated(data.solutions);
+            elements.displays.adminPage.textContent = data.totalPages ? t('Page {page} of {total}', { page: data.page, total: data.totalPages }) : '';
+            elements.buttons.adminPrev.disabled = data.page <= 1;
+            elements.buttons.adminNext.disabled = data.page >= data.totalPages;
+            elements.buttons.adminPrev.classList.toggle('disabled-btn', data.page <= 1);
+            elements.buttons.adminNext.classList.toggle('disabled-btn', data.page >= data.totalPages);
+        } catch (error) {
+            console.error('Low-rated error:', error);
+            showToast(t('Could not load low-rated solutions'), 'error');
+        }
+    }
+
+    const complaintLabels = { 'wrong': 'Wrong', 'unclear': 'Unclear', 'too-advanced': 'Too advanced' };
+
+    function renderLowRated(solutions) {
+        const list = elements.containers.adminFeedbackList;
+        list.innerHTML = '';
+
+        if (!solutions.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-center text-sm text-gray-500 dark:text-gray-400';
+            empty.textContent = t('No solutions have been rated as not helpful.');
+            list.appendChild(empty);
+            return;
+        }
+
+        solutions.forEach(item => {
+            const card = document.createElement('div');
+            card.className = 'card p-3 text-sm';
+
+            const question = document.createElement('div');
+            question.className = 'font-medium';
+            renderMathText(question, item.question);
+
+            const answer = document.createElement('div');
+            answer.className = 'text-xs mt-1';
+            renderMathText(answer, `Answer given: ${item.finalAnswer}`);
+
+            const meta = document.createElement('div');
+            meta.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+            const categories = Object.entries(item.categories).map(([category, count]) => `${complaintLabels[category] ? t(complaintLabels[category]) : category} ×${count}`);
+            meta.textContent = [`${t(item.subject)} · ${t('Class {level}', { level: item.classLevel })}`, `👍 ${item.helpful} · 👎 ${item.notHelpful}`, ...categories].join(' · ');
+
+            card.appendChild(question);
+            card.appendChild(answer);
+            card.appendChild(meta);
+
+            if (item.reasons.length) {
+                const reasons = document.createElement('ul');
+                reasons.className = 'list-disc pl-5 mt-2 space-y-1 text-xs text-gray-700 dark:text-gray-300';
+                item.reasons.forEach(reason => {
+                    const entry = document.createElement('li');
+                    entry.textContent = reason;
+                    reasons.appendChild(entry);
+                });
+                card.appendChild(reasons);
+            }
+            list.appendChild(card);
+        });
+    }
+
+    // Resource Library
+    const resourceIcons = { video: 'fa-play-circle', article: 'fa-newspaper', textbook: 'fa-book' };
+
+    async function loadLibraryResources(solutionId) {
+        elements.containers.libraryResources.innerHTML = '';
+        elements.containers.libraryResources.classList.add('hidden');
+        if (!solutionId) return;
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${solutionId}/resources`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Resources request failed');
+            const data = await response.json();
+            // Another solution may have been opened while this was loading
+            if (solutionId !== state.currentSolutionId) return;
+            renderLibraryResources(data.resources);
+        } catch (error) {
+            console.error('Library resources error:', error);
+        }
+    }
+
+    function renderLibraryResources(resources) {
+        const container = elements.containers.libraryResources;
+        container.innerHTML = '';
+
+        resources.forEach(resource => {
+            const link = document.createElement('a');
+            link.href = resource.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.className = 'card p-3 flex items-center gap-3 hover:shadow-md transition';
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${resourceIcons[resource.type] || 'fa-link'} text-purple-600 dark:text-purple-400`;
+
+            const title = document.createElement('span');
+            title.className = 'flex-grow text-sm font-medium';
+            title.textContent = resource.title;
+
+            const type = document.createElement('span');
+            type.className = 'text-xs text-gray-500 dark:text-gray-400 capitalize';
+            type.textContent = resource.type;
+
+            link.appendChild(icon);
+            link.appendChild(title);
+            link.appendChild(type);
+            link.addEventListener('click', () => trackResourceClick(resource._id));
+            container.appendChild(link);
+        });
+        container.classList.toggle('hidden', !resources.length);
+    }
+
+    function trackResourceClick(resourceId) {
+        // keepalive lets the request finish while the browser switches to the new tab
+        fetch(`${config.apiEndpoint}/resources/${resourceId}/click`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ solutionId: state.currentSolutionId || undefined }),
+            keepalive: true
+        }).catch(error => console.error('Resource click error:', error));
+    }
+
+    // Curriculum
+    async function loadChapters() {
+        state.selectedChapter = null;
+        state.chapters = [];
+        elements.inputs.chapter.innerHTML = '<option value="" data-i18n>Any chapter</option>';
+        applyTranslations(elements.inputs.chapter);
+        elements.containers.chapterPicker.classList.add('hidden');
+        if (!state.selectedSubject || !state.selectedClass) return;
+
+        const subject = state.selectedSubject;
+        const classLevel = state.selectedClass;
+        try {
+            const params = new URLSearchParams({ subject, classLevel });
+            const response = await fetch(`${config.apiEndpoint}/curriculum?${params}`);
+            if (!response.ok) throw new Error('Curriculum request failed');
+            const data = await response.json();
+            // The student may have picked another subject or class while this was loading
+            if (subject !== state.selectedSubject || classLevel !== state.selectedClass) return;
+
+            state.chapters = data.curriculum.length ? data.curriculum[0].chapters : [];
+            state.chapters.forEach(chapter => {
+                const option = document.createElement('option');
+                option.value = chapter.number;
+                option.textContent = t('Chapter {number}: {title}', chapter);
+                elements.inputs.chapter.appendChild(option);
+            });
+            elements.containers.chapterPicker.classList.toggle('hidden', !state.chapters.length);
+        } catch (error) {
+            console.error('Curriculum error:', error);
+        }
+    }
+
+    function handleChapterSelection() {
+        state.selectedChapter = elements.inputs.chapter.value ? Number(elements.inputs.chapter.value) : null;
+    }
+
+    // Optional solve request fields: the chapter picked and the assignment question being answered
+    function solveContextFields() {
+        const fields = {};
+        if (state.selectedChapter) {
+            fields.chapter = state.selectedChapter;
+        }
+        if (state.activeAssignment) {
+            fields.assignmentId = state.activeAssignment.assignmentId;
+            fields.questionIndex = state.activeAssignment.questionIndex;
+        }
+        return fields;
+    }
+
+    // Assignments (student)
+    async function loadAssignments() {
+        elements.containers.assignmentsCard.classList.toggle('hidden', !state.user);
+        if (!state.user) return;
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/me/assignments`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Assignments request failed');
+            const data = await response.json();
+            renderAssignments(data.assignments);
+        } catch (error) {
+            console.error('Assignments error:', error);
+        }
+    }
+
+    function renderAssignments(assignments) {
+        const list = elements.containers.assignmentList;
+        list.innerHTML = '';
+
+        if (!assignments.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-xs text-gray-500 dark:text-gray-400';
+            empty.textContent = t('No assignments yet. Ask your teacher for a join code.');
+            list.appendChild(empty);
+            return;
+        }
+
+        assignments.forEach(assignment => {
+            const item = document.createElement('div');
+            item.className = 'border-t border-gray-200 dark:border-gray-700 pt-2';
+
+            const title = document.createElement('div');
+            title.className = 'font-medium text-sm';
+            title.textContent = assignment.title;
+
+            const meta = document.createElement('div');
+            meta.className = 'text-xs text-gray-500 dark:text-gray-400';
+            const overdue = new Date(assignment.dueAt) < new Date();
+            meta.textContent = `${assignment.classroom} · ${t(assignment.subject)} · ${t('Class {level}', { level: assignment.classLevel })} · ${t(overdue ? 'Was due {date}' : 'Due {date}', { date: new Date(assignment.dueAt).toLocaleString() })}`;
+
+            const questions = document.createElement('ol');
+            questions.className = 'list-decimal pl-5 mt-1 space-y-1 text-sm';
+            assignment.questions.forEach((question, index) => {
+                const entry = document.createElement('li');
+                const text = document.createElement('span');
+                renderMathText(text, question.text);
+
+                const answer = document.createElement('button');
+                answer.className = `ml-2 text-xs px-2 py-0.5 rounded-full ${question.answered ? 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200' : 'bg-purple-600 text-white'}`;
+                answer.textContent = t(question.answered ? '✔ Answer again' : 'Answer');
+                answer.addEventListener('click', () => answerAssignmentQuestion(assignment, index));
+
+                entry.appendChild(text);
+                entry.appendChild(answer);
+                questions.appendChild(entry);
+            });
+
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.appendChild(questions);
+            list.appendChild(item);
+        });
+    }
+
+    async function joinClassroom() {
+        const joinCode = elements.inputs.joinCode.value.trim();
+        if (!joinCode) {
+            showToast(t('Enter the join code from your teacher'), 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/classrooms/join`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ joinCode })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || t('Could not join the classroom'), 'error');
+                return;
+            }
+
+            elements.inputs.joinCode.value = '';
+            showToast(t('Joined {name}', { name: data.name }), 'success');
+            loadAssignments();
+        } catch (error) {
+            console.error('Join classroom error:', error);
+            showToast(t('Could not reach the server. Please try again.'), 'error');
+        }
+    }
+
+    // Starts the usual method flow with the assignment's subject and class already chosen
+    function answerAssignmentQuestion(assignment, index) {
+        state.selectedSubject = assignment.subject;
+        state.selectedClass = String(assignment.classLevel);
+        state.selectedChapter = null;
+        state.activeAssignment = {
+            assignmentId: assignment._id,
+            questionIndex: index,
+            text: assignment.questions[index].text
+        };
+        updateSelectionDisplay();
+        updateButtonStates();
+        showPage('method');
+    }
+
+    // Classrooms (teacher)
+    function openClassrooms() {
+        showPage('classroom');
+        showClassroomOverview();
+    }
+
+    function showClassroomView(view) {
+        elements.containers.classroomOverview.classList.toggle('hidden', view !== 'overview');
+        elements.containers.classroomDetail.classList.toggle('hidden', view !== 'detail');
+        elements.containers.submissionsView.classList.toggle('hidden', view !== 'submissions');
+    }
+
+    function showClassroomOverview() {
+        state.classroom = null;
+        showClassroomView('overview');
+        elements.displays.classroomTitle.textContent = t('My Classrooms');
+        elements.displays.classroomSubtitle.textContent = t('Share a join code with your students');
+        loadClassrooms();
+    }
+
+    // Back goes one level up: submissions → classroom → classroom list → account
+    function handleClassroomBack() {
+        if (!elements.containers.submissionsView.classList.contains('hidden')) {
+            openClassroom(state.classroom._id);
+        } else if (state.classroom) {
+            showClassroomOverview();
+        } else {
+            openAccount();
+        }
+    }
+
+    async function loadClassrooms() {
+        try {
+            const response = await fetch(`${config.apiEndpoint}/classrooms`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Classrooms request failed');
+            const data = await response.json();
+            renderClassrooms(data.classrooms.filter(classroom => classroom.isTeacher));
+        } catch (error) {
+            console.error('Classrooms error:', error);
+            showToast(t('Could not load your classrooms'), 'error');
+        }
+    }
+
+    function renderClassrooms(classrooms) {
+        const list = elements.containers.classroomList;
+        list.innerHTML = '';
+
+        if (!classrooms.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-center text-sm text-gray-500 dark:text-gray-400';
+            empty.textContent = t('Create a classroom to start assigning questions.');
+            list.appendChild(empty);
+            return;
+        }
+
+        classrooms.forEach(classroom => {
+            const card = document.createElement('button');
+            card.className = 'card p-3 w-full text-left text-sm hover:shadow-md transition';
+
+            const name = document.createElement('div');
+            name.className = 'font-medium';
+            name.textContent = classroom.name;
+
+            const meta = document.createElement('div');
+            meta.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+            meta.textContent = `${t('Code {code}', { code: classroom.joinCode })} · ${t(classroom.studentCount === 1 ? '{count} student' : '{count} students', { count: classroom.studentCount })}`;
+
+            card.appendChild(name);
+            card.appendChild(meta);
+            card.addEventListener('click', () => openClassroom(classroom._id));
+            list.appendChild(card);
+        });
+    }
+
+    async function createClassroom() {
+        const name = elements.inputs.classroomName.value.trim();
+        if (!name) {
+            showToast(t('Give the classroom a name'), 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/classrooms`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ name })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || t('Could not create the classroom'), 'error');
+                return;
+            }
+
+            elements.inputs.classroomName.value = '';
+            showToast(t('Classroom created. Join code: {code}', { code: data.joinCode }), 'success');
+            loadClassrooms();
+        } catch (error) {
+            console.error('Create classroom error:', error);
+            showToast(t('Could not reach the server. Please try again.'), 'error');
+        }
+    }
+
+    async function openClassroom(classroomId) {
+        try {
+            const response = await fetch(`${config.apiEndpoint}/classrooms/${classroomId}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Classroom request failed');
+            state.classroom = await response.json();
+            renderClassroom(state.classroom);
+            showClassroomView('detail');
+        } catch (error) {
+            console.error('Classroom error:', error);
+            showToast(t('Could not open this classroom'), 'error');
+        }
+    }
+
+    function renderClassroom(classroom) {
+        elements.displays.classroomTitle.textContent = classroom.name;
+        elements.displays.classroomSubtitle.textContent = t('Assignments and student work');
+        elements.displays.classroomCode.textContent = classroom.joinCode;
+        elements.displays.classroomStudents.textContent = classroom.students.length
+            ? t('Students: {names}', { names: classroom.students.map(student => student.name || student.email).join(', ') })
+            : t('No students have joined yet.');
+
+        const list = elements.containers.classroomAssignments;
+        list.innerHTML = '';
+        classroom.assignments.forEach(assignment => {
+            const card = document.createElement('button');
+            card.className = 'card p-3 w-full text-left text-sm hover:shadow-md transition';
+
+            const title = document.createElement('div');
+            title.className = 'font-medium';
+            title.textContent = assignment.title;
+
+            const meta = document.createElement('div');
+            meta.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+            meta.textContent = `${t(assignment.subject)} · ${t('Class {level}', { level: assignment.classLevel })} · ${t(assignment.questions.length === 1 ? '{count} question' : '{count} questions', { count: assignment.questions.length })} · ${t('Due {date}', { date: new Date(assignment.dueAt).toLocaleString() })}`;
+
+            card.appendChild(title);
+            card.appendChild(meta);
+            card.addEventListener('click', () => loadSubmissions(assignment._id));
+            list.appendChild(card);
+        });
+    }
+
+    async function createAssignment() {
+        const questions = elements.inputs.assignmentQuestions.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const title = elements.inputs.assignmentTitle.value.trim();
+        const due = elements.inputs.assignmentDue.value;
+        if (!title || !due || !questions.length) {
+            showToast(t('Add a title, a due date and at least one question'), 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/classrooms/${state.classroom._id}/assignments`, {
+                method: 'POST',
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    title,
+                    subject: elements.inputs.assignmentSubject.value,
+                    classLevel: elements.inputs.assignmentClass.value,
+                    dueAt: new Date(due).toISOString(),
+                    questions
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || t('Could not publish the assignment'), 'error');
+                return;
+            }
+
+            elements.inputs.assignmentTitle.value = '';
+            elements.inputs.assignmentDue.value = '';
+            elements.inputs.assignmentQuestions.value = '';
+            showToast(t('Assignment published'), 'success');
+            openClassroom(state.classroom._id);
+        } catch (error) {
+            console.error('Create assignment error:', error);
+            showToast(t('Could not reach the server. Please try again.'), 'error');
+        }
+    }
+
+    async function loadSubmissions(assignmentId) {
+        try {
+            const response = await fetch(`${config.apiEndpoint}/assignments/${assignmentId}/submissions`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Submissions request failed');
+            renderSubmissions(await response.json());
+            showClassroomView('submissions');
+        } catch (error) {
+            console.error('Submissions error:', error);
+            showToast(t('Could not load submissions'), 'error');
+        }
+    }
+
+    function renderSubmissions(data) {
+        elements.displays.classroomTitle.textContent = data.assignment.title;
+        elements.displays.classroomSubtitle.textContent = t('Due {date}', { date: new Date(data.assignment.dueAt).toLocaleString() });
+
+        const container = elements.containers.submissionsView;
+        container.innerHTML = '';
+
+        if (!data.students.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-center text-sm text-gray-500 dark:text-gray-400';
+            empty.textContent = t('No students have joined this classroom yet.');
+            container.appendChild(empty);
+            return;
+        }
+
+        data.students.forEach(student => {
+            const card = document.createElement('div');
+            card.className = 'card p-3 text-sm';
+
+            const answered = student.questions.filter(question => question.submissions.length).length;
+            const name = document.createElement('div');
+            name.className = 'font-medium';
+            name.textContent = `${student.name || student.email} · ${t('{answered}/{total} answered', { answered, total: data.assignment.questions.length })}`;
+            card.appendChild(name);
+
+            student.questions.forEach(question => {
+                const row = document.createElement('div');
+                row.className = 'mt-2 text-xs';
+
+                const prompt = document.createElement('div');
+                prompt.className = 'text-gray-700 dark:text-gray-300';
+                renderMathText(prompt, `Q${question.index + 1}. ${data.assignment.questions[question.index].text}`);
+                row.appendChild(prompt);
+
+                if (!question.submissions.length) {
+                    const missing = document.createElement('div');
+                    missing.className = 'text-gray-400 dark:text-gray-500';
+                    missing.textContent = t('Not answered');
+                    row.appendChild(missing);
+                }
+                question.submissions.forEach(submission => row.appendChild(renderSubmission(submission)));
+                card.appendChild(row);
+            });
+
+            container.appendChild(card);
+        });
+    }
+
+    function renderSubmission(submission) {
+        const details = document.createElement('details');
+        details.className = 'mt-1 pl-3 border-l-2 border-purple-200 dark:border-purple-800';
+
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer';
+        const notes = [submission.method, new Date(submission.createdAt).toLocaleString()];
+        if (submission.late) notes.push(t('late'));
+        if (submission.hintMode) notes.push(t(submission.hintsUsed === 1 ? '{count} hint used' : '{count} hints used', { count: submission.hintsUsed }));
+        summary.textContent = notes.join(' · ');
+        details.appendChild(summary);
+
+        const question = document.createElement('p');
+        question.className = 'mt-1 font-medium';
+        renderMathText(question, submission.question);
+        details.appendChild(question);
+
+        const steps = document.createElement('ol');
+        steps.className = 'list-decimal pl-5 mt-1 space-y-2';
+        submission.solution.steps.forEach(step => appendSolutionStep(step, steps));
+        details.appendChild(steps);
+
+        const answer = document.createElement('p');
+        answer.className = 'mt-1 bg-green-100 dark:bg-green-900 rounded p-2';
+        renderMathText(answer, `Answer: ${submission.solution.finalAnswer}`);
+        details.appendChild(answer);
+
+        return details;
+    }
+
+    // Progress Dashboard
+    const subjectColors = {
+        'Mathematics': 'bg-purple-500',
+        'Science': 'bg-green-500',
+        'English': 'bg-blue-500',
+        'Nepali': 'bg-red-500',
+        'Social Studies': 'bg-yellow-500',
+        'General Knowledge': 'bg-pink-500'
+    };
+
+    function openStats() {
+        if (state.currentPage !== 'stats') {
+            state.pageBeforeStats = state.currentPage;
+        }
+        showPage('stats');
+        loadStats();
+    }
+
+    async function loadStats() {
+        try {
+            const response = await fetch(`${config.apiEndpoint}/me/stats?days=${elements.inputs.statsPeriod.value}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Stats request failed');
+            const stats = await response.json();
+
+            renderStatTotals(stats);
+            renderDailyChart(stats);
+            renderBarList(elements.containers.statsMethods, [
+                { label: `✍️ ${t('Text')}`, value: stats.methods.text, color: 'bg-purple-500' },
+                { label: `📷 ${t('Image')}`, value: stats.methods.image, color: 'bg-pink-500' },
+                { label: `🎤 ${t('Voice')}`, value: stats.methods.voice, color: 'bg-blue-500' }
+            ]);
+            renderFeedbackStats(stats.feedback);
+            renderWeakTopics(stats.weakTopics);
+        } catch (error) {
+            console.error('Stats error:', error);
+            showToast(t('Could not load your progress'), 'error');
+        }
+    }
+
+    function renderStatTotals(stats) {
+        const tiles = [
+            { label: t('Questions asked'), value: stats.totals.questions },
+            { label: t('Answers checked'), value: stats.totals.answersChecked },
+            { label: t('Quizzes taken'), value: stats.totals.quizzes },
+            { label: t('Average quiz score'), value: stats.totals.averageQuizScore === null ? '–' : `${stats.totals.averageQuizScore}%` }
+        ];
+
+        const container = elements.containers.statsTotals;
+        container.innerHTML = '';
+        tiles.forEach(tile => {
+            const card = document.createElement('div');
+            card.className = 'card p-3 text-center';
+
+            const value = document.createElement('div');
+            value.className = 'text-2xl font-bold text-purple-600 dark:text-purple-400';
+            value.textContent = tile.value;
+
+            const label = document.createElement('div');
+            label.className = 'text-xs text-gray-600 dark:text-gray-400 mt-1';
+            label.textContent = tile.label;
+
+            card.appendChild(value);
+            card.appendChild(label);
+            container.appendChild(card);
+        });
+    }
+
+    // One stacked column per day; the server only returns days with questions
+    function renderDailyChart(stats) {
+        const byDate = {};
+        stats.daily.forEach(({ date, subject, count }) => {
+            byDate[date] = byDate[date] || {};
+            byDate[date][subject] = count;
+        });
+
+        const dates = [];
+        for (let i = 0; i < stats.days; i++) {
+            dates.push(new Date(new Date(stats.since).getTime() + i * 86400000).toISOString().slice(0, 10));
+        }
+        const max = Math.max(1, ...dates.map(date => Object.values(byDate[date] || {}).reduce((sum, count) => sum + count, 0)));
+
+        const chart = elements.containers.statsDailyChart;
+        chart.innerHTML = '';
+        dates.forEach(date => {
+            const column = document.createElement('div');
+            column.className = 'flex-1 h-full flex flex-col-reverse bg-gray-100 dark:bg-gray-700 rounded-sm overflow-hidden';
+            const counts = byDate[date] || {};
+            column.title = `${date}: ${Object.entries(counts).map(([subject, count]) => `${subject} ${count}`).join(', ') || 'no questions'}`;
+
+            Object.entries(counts).forEach(([subject, count]) => {
+                const segment = document.createElement('div');
+                segment.className = subjectColors[subject] || 'bg-gray-400';
+                segment.style.height = `${(100 * count) / max}%`;
+                column.appendChild(segment);
+            });
+            chart.appendChild(column);
+        });
+
+        elements.displays.statsDailyRange.innerHTML = '';
+        [dates[0], dates[dates.length - 1]].forEach(date => {
+            const label = document.createElement('span');
+            label.textContent = new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            elements.displays.statsDailyRange.appendChild(label);
+        });
+
+        const legend = elements.containers.statsSubjectLegend;
+        legend.innerHTML = '';
+        stats.subjects.forEach(({ subject, count }) => {
+            const item = document.createElement('span');
+            item.className = 'flex items-center gap-1';
+            const swatch = document.createElement('span');
+            swatch.className = `inline-block w-3 h-3 rounded-sm ${subjectColors[subject] || 'bg-gray-400'}`;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(`${subject} (${count})`));
+            legend.appendChild(item);
+        });
+    }
+
+    function renderBarList(container, rows) {
+        const total = rows.reduce((sum, row) => sum + row.value, 0);
+        container.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'text-xs';
+
+            const label = document.createElement('div');
+            label.className = 'flex justify-between mb-1';
+            label.innerHTML = '<span></span><span class="text-gray-500 dark:text-gray-400"></span>';
+            label.children[0].textContent = row.label;
+            label.children[1].textContent = total ? `${row.value} (${Math.round((100 * row.value) / total)}%)` : '0';
+
+            const track = document.createElement('div');
+            track.className = 'h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden';
+            const bar = document.createElement('div');
+            bar.className = `h-full rounded-full ${row.color}`;
+            bar.style.width = total ? `${(100 * row.value) / total}%` : '0';
+            track.appendChild(bar);
+
+            item.appendChild(label);
+            item.appendChild(track);
+            container.appendChild(item);
+        });
+    }
+
+    function renderFeedbackStats(feedback) {
+        const container = elements.containers.statsFeedback;
+        if (feedback.helpfulRate === null) {
+            container.innerHTML = '<p class="text-xs text-gray-500 dark:text-gray-400" data-i18n>Rate solutions with 👍 or 👎 to see this.</p>';
+            applyTranslations(container);
+            return;
+        }
+        renderBarList(container, [
+            { label: `👍 ${t('Helpful')}`, value: feedback.helpful, color: 'bg-green-500' },
+            { label: `👎 ${t('Not Helpful')}`, value: feedback.notHelpful, color: 'bg-red-500' }
+        ]);
+    }
+
+    function renderWeakTopics(topics) {
+        const container = elements.containers.statsWeakTopics;
+        container.innerHTML = '';
+        if (!topics.length) {
+            container.innerHTML = '<p class="text-xs text-gray-500 dark:text-gray-400" data-i18n>Nothing stands out yet. Check your answers and take quizzes to find the topics that need practice.</p>';
+            applyTranslations(container);
+            return;
+        }
+
+        topics.forEach(topic => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center text-sm';
+
+            const name = document.createElement('span');
+            name.textContent = `${topic.topic ? `${topic.topic} · ` : ''}${t(topic.subject)} · ${t('Class {level}', { level: topic.classLevel })}`;
+
+            const score = document.createElement('span');
+            score.className = 'text-xs bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 rounded px-2 py-0.5';
+            score.textContent = t(topic.attempts === 1 ? '{score}% over {count} answer' : '{score}% over {count} answers', { score: Math.round(topic.score * 100), count: topic.attempts });
+
+            row.appendChild(name);
+            row.appendChild(score);
+            container.appendChild(row);
+        });
+    }
+
+    // History
+    function openHistory() {
+        if (state.currentPage !== 'history') {
+            state.pageBeforeHistory = state.currentPage;
+        }
+        showPage('history');
+        loadHistory(1);
+    }
+
+    function historyFilterParams() {
+        const params = new URLSearchParams();
+        if (elements.inputs.historySubject.value) params.set('subject', elements.inputs.historySubject.value);
+        if (elements.inputs.historyClass.value) params.set('classLevel', elements.inputs.historyClass.value);
+        if (elements.inputs.historyMethod.value) params.set('method', elements.inputs.historyMethod.value);
+        if (elements.inputs.historyBookmarked.checked) params.set('bookmarked', 'true');
+        return params;
+    }
+
+    async function loadHistory(page) {
+        const params = historyFilterParams();
+        params.set('page', page);
+        params.set('limit', 10);
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/me/solutions?${params}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('History request failed');
+            const data = await response.json();
+
+            state.historyPage = data.page;
+            renderHistory(data.solutions);
+            keepSolutionsForOffline(data.solutions);
+            elements.displays.historyPage.textContent = data.totalPages ? t('Page {page} of {total}', { page: data.page, total: data.totalPages }) : '';
+            elements.buttons.historyPrev.disabled = data.page <= 1;
+            elements.buttons.historyNext.disabled = data.page >= data.totalPages;
+            elements.buttons.historyPrev.classList.toggle('disabled-btn', data.page <= 1);
+            elements.buttons.historyNext.classList.toggle('disabled-btn', data.page >= data.totalPages);
+        } catch (error) {
+            console.error('History error:', error);
+            showToast(t('Could not load your history'), 'error');
+        }
+    }
+
+    function renderHistory(solutions) {
+        const list = elements.containers.historyList;
+        list.innerHTML = '';
+
+        if (!solutions.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-center text-sm text-gray-500 dark:text-gray-400';
+            empty.textContent = t('No questions yet. Ask one to see it here!');
+            list.appendChild(empty);
+            return;
+        }
+
+        const methodIcons = { text: '✍️', image: '📷', voice: '🎤' };
+        solutions.forEach(item => {
+            const card = document.createElement('button');
+            card.className = 'card p-3 w-full text-left cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 transition';
+
+            const question = document.createElement('div');
+            question.className = 'font-medium text-sm';
+            renderMathText(question, `${item.bookmarked ? '⭐ ' : ''}${item.question}`);
+
+            const meta = document.createElement('div');
+            meta.className = 'text-xs text-gray-500 dark:text-gray-400 mt-1';
+            meta.textContent = `${methodIcons[item.method] || ''} ${t(item.subject)} · ${t('Class {level}', { level: item.classLevel })} · ${new Date(item.createdAt).toLocaleString()}`;
+
+            card.appendChild(question);
+            card.appendChild(meta);
+            card.addEventListener('click', () => openSolution(item._id));
+            list.appendChild(card);
+        });
+    }
+
+    async function openSolution(solutionId, returnPage = 'history') {
+        showPage('results');
+        showLoading();
+
+        try {
+            const response = await fetch(`${config.apiEndpoint}/solutions/${solutionId}`, {
+                headers: authHeaders()
+            });
+            if (!response.ok) throw new Error('Solution request failed');
+            const data = await response.json();
+
+            state.selectedSubject = data.subject;
+            state.selectedClass = String(data.classLevel);
+            state.currentQuestion = data.question;
+            renderMathText(elements.displays.question, data.question);
+            displaySolution(data);
+        } catch (error) {
+            console.error('Open solution error:', error);
+            showToast(t('Could not open this solution'), 'error');
+            showPage(returnPage);
+        }
+    }
+
+    // Offline Support
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'open-answers') {
+                openQueuedAnswers(event.data.solutionIds);
+            }
+        });
+    }
+
+    // Cached solutions belong to whoever was signed in
+    function clearOfflineData() {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-data' });
+        }
+    }
+
+    // Fetching the listed solutions lets the service worker keep them for offline reading
+    function keepSolutionsForOffline(solutions) {
+        if (!navigator.onLine || !(navigator.serviceWorker && navigator.serviceWorker.controller)) return;
+        solutions.forEach(item => {
+            fetch(`${config.apiEndpoint}/solutions/${item._id}`, { headers: authHeaders() }).catch(() => {});
+        });
+    }
+
+    let outboxDbPromise = null;
+
+    // Questions asked offline wait in IndexedDB until the app is back online
+    function openOutbox() {
+        if (!outboxDbPromise) {
+            outboxDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(config.outboxDatabase, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                outboxDbPromise = null;
+                throw error;
+            });
+        }
+        return outboxDbPromise;
+    }
+
+    async function outboxRequest(mode, operation) {
+        const db = await openOutbox();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('outbox', mode);
+            const request = operation(transaction.objectStore('outbox'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async function queueQuestion(submission) {
+        try {
+            await outboxRequest('readwrite', store => store.add({ ...submission, queuedAt: Date.now() }));
+        } catch (error) {
+            console.error('Outbox error:', error);
+            showToast(t('Could not save your question for later. Please try again when you are online.'), 'error');
+            showPage('question');
+            return;
+        }
+
+        showToast(t('You are offline. Your question will be sent when you reconnect.'), 'info');
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        resetQuestionState();
+        showPage('question');
+        refreshOutboxStatus();
+    }
+
+    async function refreshOutboxStatus() {
+        let waiting = 0;
+        try {
+            waiting = await outboxRequest('readonly', store => store.count());
+        } catch (error) {
+            console.error('Outbox error:', error);
+        }
+
+        const parts = [];
+        if (!navigator.onLine) parts.push(t('You are offline'));
+        if (waiting) parts.push(t(waiting === 1 ? '{count} question waiting to send' : '{count} questions waiting to send', { count: waiting }));
+        elements.displays.offlineStatus.textContent = parts.join(' · ');
+        elements.containers.offlineBanner.classList.toggle('hidden', !parts.length);
+    }
+
+    // Sends queued questions in the order they were asked. A dropped connection or a server
+    // error leaves the rest queued for the next reconnect; a rejected question is dropped.
+    async function syncOutbox() {
+        if (state.syncingOutbox || !navigator.onLine) return;
+        state.syncingOutbox = true;
+        const answers = [];
+
+        try {
+            const submissions = await outboxRequest('readonly', store => store.getAll());
+            if (submissions.length && !state.authToken) await startAnonymousSession();
+
+            for (const submission of submissions) {
+                let response;
+                try {
+                    response = await postQuestion(submission);
+                } catch (error) {
+                    break;
+                }
+                if (response.status >= 500) break;
+
+                const data = await response.json();
+                if (response.ok) {
+                    answers.push(data);
+                } else {
+                    showToast(t('A question you asked offline could not be answered: {error}', { error: data.error }), 'error');
+                }
+                await outboxRequest('readwrite', store => store.delete(submission.id));
+            }
+        } catch (error) {
+            console.error('Outbox sync error:', error);
+        } finally {
+            state.syncingOutbox = false;
+            refreshOutboxStatus();
+        }
+
+        // Image and voice questions are now jobs on the server, so they are no longer at risk
+        const arrived = [];
+        for (const data of answers) {
+            try {
+                const result = data.jobId ? await waitForJob(data.jobId) : data;
+                arrived.push(result.solutionId);
+            } catch (error) {
+                console.error('Queued answer error:', error);
+                if (!error.timedOut) {
+                    showToast(t('A question you asked offline could not be answered: {error}', { error: error.message }), 'error');
+                }
+            }
+        }
+        if (arrived.length) notifyQueuedAnswers(arrived);
+    }
+
+    async function notifyQueuedAnswers(solutionIds) {
+        const message = solutionIds.length === 1
+            ? t('The answer to your offline question is ready')
+            : t('{count} answers to your offline questions are ready', { count: solutionIds.length });
+        showToast(message, 'success');
+        if (state.currentPage === 'history') loadHistory(state.historyPage);
+
+        // A system notification reaches students who have switched to another app meanwhile
+        if (document.visibilityState === 'visible' || !('Notification' in window) ||
+            Notification.permission !== 'granted' || !navigator.serviceWorker) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.showNotification('Learnify Pro', {
+                body: message,
+                icon: '/icon.svg',
+                tag: 'queued-answers',
+                data: { solutionIds }
+            });
+        } catch (error) {
+            console.error('Notification error:', error);
+        }
+    }
+
+    function openQueuedAnswers(solutionIds) {
+        if (solutionIds && solutionIds.length === 1) {
+            openSolution(solutionIds[0], 'welcome');
+        } else {
+            openHistory();
+        }
+    }
+
+    // Start the App
+    initialize();
+});
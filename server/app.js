@@ -0,0 +1,45 @@
+const express = require('express');
+const path = require('path');
+const cors = require('cors');
+
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// API Routes
+app.use(require('./auth').router);
+app.use(require('./solve').router);
+app.use(require('./jobs').router);
+app.use(require('./history').router);
+app.use(require('./feedback').router);
+app.use(require('./hints').router);
+app.use(require('./grading').router);
+app.use(require('./quizzes').router);
+app.use(require('./review').router);
+app.use(require('./stats').router);
+app.use(require('./chat').router);
+app.use(require('./resources').router);
+app.use(require('./curriculum').router);
+app.use(require('./classrooms').router);
+app.use(require('./export').router);
+app.use(require('./shares').router);
+app.use(require('./offline').router);
+app.use(require('./uploads').router);
+
+// ========================
+// FRONTEND IMPLEMENTATION
+// ========================
+
+// The page and its script are plain static files in public/
+const publicDir = path.join(__dirname, '..', 'public');
+app.use(express.static(publicDir));
+
+// Shared links open the app, which shows the solution read-only
+app.get('/s/:slug', (req, res) => {
+    res.sendFile(path.join(publicDir, 'index.html'));
+});
+
+module.exports = app;
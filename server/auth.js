@@ -0,0 +1,280 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  Attempt, ChatThread, Extraction, Feedback, Job, Quiz, ResourceClick, ReviewCard, Share, Solution,
+  User, UserSession
+} = require('./models');
+
+const router = express.Router();
+
+// Authentication
+// Every API caller holds a signed JWT: anonymous students get one for their UserSession
+// ({ sid }), account holders get one for their User ({ sub, sid }).
+//   JWT_SECRET      signing secret; a random per-process secret is used when unset
+//   AUTH_TOKEN_TTL  token lifetime (default: 30d)
+//   ADMIN_EMAILS    comma-separated emails whose accounts get the admin role
+//   TEACHER_EMAILS  comma-separated emails whose accounts get the teacher role; admins can
+//                   also grant it through PATCH /api/admin/users/:id
+const authConfig = {
+  secret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtl: process.env.AUTH_TOKEN_TTL || '30d',
+  minPasswordLength: 8,
+  fileTokenTtl: '15m',
+  adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
+  teacherEmails: (process.env.TEACHER_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+};
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; issued tokens will stop working when the server restarts');
+}
+
+function signToken(payload) {
+  return jwt.sign(payload, authConfig.secret, { expiresIn: authConfig.tokenTtl });
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  try {
+    const payload = jwt.verify(token, authConfig.secret);
+    if (!payload.sub && !payload.sid) return null;
+    return { userId: payload.sub || null, sessionId: payload.sid || null };
+  } catch (err) {
+    return null;
+  }
+}
+
+// <img> and <audio> tags cannot send the Authorization header, so links to a student's own
+// uploads carry a short-lived token for that one file instead. readToken does not accept it.
+function signFileToken(fileName) {
+  return jwt.sign({ file: fileName }, authConfig.secret, { expiresIn: authConfig.fileTokenTtl, audience: 'file' });
+}
+
+// The file name a token from signFileToken grants, or null
+function readFileToken(token) {
+  try {
+    return jwt.verify(String(token), authConfig.secret, { audience: 'file' }).file || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Rejects requests without a valid token and exposes the caller as req.auth
+function authenticate(req, res, next) {
+  const auth = readToken(req);
+  if (!auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.auth = auth;
+  next();
+}
+
+// Like authenticate, but lets anonymous callers through with req.auth = null
+function optionalAuth(req, res, next) {
+  req.auth = readToken(req);
+  next();
+}
+
+// For use after authenticate; only signed-in users with one of the roles get through,
+// exposed as req.user
+function requireRole(roles, label) {
+  return async (req, res, next) => {
+    try {
+      const user = req.auth.userId ? await User.findById(req.auth.userId) : null;
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({ error: `${label} access required` });
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+const requireAdmin = requireRole(['admin'], 'Admin');
+const requireTeacher = requireRole(['teacher', 'admin'], 'Teacher');
+
+const ROLE_RANKS = { student: 0, teacher: 1, admin: 2 };
+
+// Role granted to an email by ADMIN_EMAILS or TEACHER_EMAILS, or null
+function configuredRole(email) {
+  const normalized = String(email).toLowerCase().trim();
+  if (authConfig.adminEmails.includes(normalized)) return 'admin';
+  if (authConfig.teacherEmails.includes(normalized)) return 'teacher';
+  return null;
+}
+
+// Query filter for documents owned by the caller
+function ownerFilter(req) {
+  return req.auth.userId
+    ? { userId: req.auth.userId }
+    : { sessionId: req.auth.sessionId, userId: null };
+}
+
+// Owner fields stamped onto documents the caller creates
+function ownerFields(req) {
+  return req.auth.userId
+    ? { userId: req.auth.userId, sessionId: req.auth.sessionId || undefined }
+    : { sessionId: req.auth.sessionId };
+}
+
+// Moves an anonymous session's work into an account
+async function mergeSessionIntoUser(sessionId, userId) {
+  if (!sessionId) return;
+  await Promise.all([
+    Solution.updateMany({ sessionId, userId: null }, { userId }),
+    Extraction.updateMany({ sessionId, userId: null }, { userId }),
+    Attempt.updateMany({ sessionId, userId: null }, { userId }),
+    Quiz.updateMany({ sessionId, userId: null }, { userId }),
+    ReviewCard.updateMany({ sessionId, userId: null }, { userId }),
+    Feedback.updateMany({ sessionId, userId: null }, { userId }),
+    ChatThread.updateMany({ sessionId, userId: null }, { userId }),
+    ResourceClick.updateMany({ sessionId, userId: null }, { userId }),
+    Share.updateMany({ sessionId, userId: null }, { userId }),
+    Job.updateMany({ sessionId, userId: null }, { userId })
+  ]);
+}
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// API Routes
+router.post('/api/sessions', async (req, res) => {
+  try {
+    const session = new UserSession({
+      sessionId: uuidv4(),
+      createdAt: new Date()
+    });
+    await session.save();
+    res.json({ sessionId: session.sessionId, token: signToken({ sid: session.sessionId }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/auth/signup', optionalAuth, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (typeof password !== 'string' || password.length < authConfig.minPasswordLength) {
+      return res.status(400).json({ error: `Password must be at least ${authConfig.minPasswordLength} characters` });
+    }
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = new User({
+      email,
+      name,
+      role: configuredRole(email) || 'student',
+      passwordHash: await bcrypt.hash(password, 10)
+    });
+    await user.save();
+
+    const sessionId = req.auth && !req.auth.userId ? req.auth.sessionId : null;
+    await mergeSessionIntoUser(sessionId, user._id);
+
+    res.status(201).json({ token: signToken({ sub: String(user._id), sid: sessionId || undefined }), user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/auth/login', optionalAuth, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!isValidEmail(email) || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+    // Accounts listed in ADMIN_EMAILS or TEACHER_EMAILS after they signed up are promoted on their next login
+    const granted = configuredRole(user.email);
+    if (granted && ROLE_RANKS[granted] > ROLE_RANKS[user.role]) {
+      user.role = granted;
+      await user.save();
+    }
+
+    // Anything asked anonymously before logging in on this device joins the account too
+    const sessionId = req.auth && !req.auth.userId ? req.auth.sessionId : null;
+    await mergeSessionIntoUser(sessionId, user._id);
+
+    res.json({ token: signToken({ sub: String(user._id), sid: sessionId || undefined }), user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/api/auth/me', authenticate, async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.json({ user: null, sessionId: req.auth.sessionId });
+    }
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+    res.json({ user, sessionId: req.auth.sessionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lets admins find an account by email before changing its role
+router.get('/api/admin/users', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!isValidEmail(req.query.email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    const user = await User.findOne({ email: req.query.email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Teachers are appointed here rather than choosing the role at signup
+router.patch('/api/admin/users/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!['student', 'teacher'].includes(role)) {
+      return res.status(400).json({ error: 'role must be student or teacher' });
+    }
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role === 'admin') {
+      return res.status(409).json({ error: 'Admin roles are managed through ADMIN_EMAILS' });
+    }
+
+    user.role = role;
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = {
+  router, authenticate, optionalAuth, requireAdmin, requireTeacher, ownerFilter, ownerFields,
+  signFileToken, readFileToken
+};
@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { ChatThread, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const { activeSolverProvider, templateProvider } = require('./solver');
+const { serializeSolution } = require('./solutions');
+const { languageInstruction, localize, parseLocalNumber, requestLanguage } = require('./i18n');
+
+const router = express.Router();
+
+// Helper Chat
+// The helper bubble is a chat with the solver model. Each thread keeps its history and, when
+// the student is looking at a solution, is tied to it so it can be restored on reopening.
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+const MAX_CHAT_QUESTION_LENGTH = 2000;
+const MAX_CHAT_PROMPT_MESSAGES = 20;
+const MAX_CHAT_THREAD_MESSAGES = 200;
+
+// What the helper knows about the question on screen. In hint mode only the steps the
+// student has opened are shared, so the helper cannot give the rest away.
+function chatContextFromSolution(record) {
+  const { solution } = serializeSolution(record);
+  const answerRevealed = !record.hintMode || record.hintsUsed >= solution.steps.length;
+  return {
+    question: record.question,
+    subject: record.subject,
+    classLevel: record.classLevel,
+    steps: answerRevealed ? solution.steps : solution.steps.slice(0, record.hintsUsed + 1),
+    finalAnswer: answerRevealed ? solution.finalAnswer : null,
+    hints: solution.hints
+  };
+}
+
+function buildChatPrompt(context, history, language = 'en') {
+  const { question, subject, classLevel, steps, finalAnswer } = context;
+  let system = `You are Learnify Pro, a friendly homework tutor chatting with a ${classLevel ? `Class ${classLevel} ` : ''}student` +
+    `${subject ? ` studying ${subject}` : ''}. Reply in a few short sentences, explain in plain words and put any maths ` +
+    'between single $ signs as LaTeX. Help the student understand rather than just handing over answers.';
+
+  if (question) {
+    system += `\nThe student is working on this question: ${question}`;
+  }
+  if (steps && steps.length) {
+    const working = steps.map((step, index) => `Step ${index + 1}: ${step.text}` +
+      (step.math ? ` [${step.math}]` : '') + (step.rationale ? ` (${step.rationale})` : ''));
+    system += `\nThe worked solution they were shown:\n${working.join('\n')}`;
+    system += finalAnswer
+      ? `\nFinal answer: ${finalAnswer}`
+      : '\nThe student is using hints and has not seen the remaining steps or the final answer; do not reveal them.';
+  }
+  system += languageInstruction(language);
+
+  return {
+    context,
+    language,
+    system,
+    messages: history.slice(-MAX_CHAT_PROMPT_MESSAGES).map(({ role, content }) => ({ role, content }))
+  };
+}
+
+// Offline replies: explains a numbered step of the solution on screen, offers its hints,
+// and otherwise gives general study advice for the subject
+function templateChatReply({ context, messages, language = 'en' }) {
+  const message = messages[messages.length - 1].content.toLowerCase();
+  const { steps = [], hints = [] } = context;
+
+  const stepNumber = message.match(/(?:\bstep|चरण)\s*([0-9०-९]+)/);
+  if (stepNumber && steps.length) {
+    const number = parseLocalNumber(stepNumber[1]);
+    const step = steps[number - 1];
+    if (!step) {
+      return localize(language, 'chat.stepCount', {
+        count: steps.length,
+        steps: localize(language, steps.length === 1 ? 'chat.step' : 'chat.steps')
+      });
+    }
+    const text = language === 'en' ? `${step.text.charAt(0).toLowerCase()}${step.text.slice(1)}` : step.text;
+    return localize(language, 'chat.explainStep', { number, text }) +
+      `${step.math ? `: $${step.math}$` : '.'} ${step.rationale || localize(language, 'chat.compareSteps')}`;
+  }
+  if (/\b(hint|stuck|start)\b|सङ्केत|संकेत/.test(message) && hints.length) {
+    return localize(language, 'chat.hint', { hint: hints[0] });
+  }
+  if (/\bmath|गणित/.test(message)) return localize(language, 'chat.Mathematics');
+  if (/\bscience|विज्ञान/.test(message)) return localize(language, 'chat.Science');
+  if (/\b(english|literature)|अङ्ग्रेजी|साहित्य/.test(message)) return localize(language, 'chat.English');
+  if (/\bhelp\b|सहयोग|मद्दत/.test(message)) return localize(language, 'chat.help');
+  return ['Mathematics', 'Science', 'English'].includes(context.subject)
+    ? localize(language, `chat.${context.subject}`)
+    : localize(language, 'chat.default');
+}
+
+async function chatWithFallback(prompt) {
+  const provider = activeSolverProvider();
+  if (!provider.chat) return templateChatReply(prompt);
+  try {
+    return await provider.chat(prompt);
+  } catch (err) {
+    if (provider === templateProvider) throw err;
+    console.error(`Solver provider "${provider.name}" failed to chat, falling back to templates:`, err.message);
+    return templateChatReply(prompt);
+  }
+}
+
+async function findChatThread(req, threadId) {
+  if (!mongoose.Types.ObjectId.isValid(threadId)) return null;
+  return ChatThread.findOne({ _id: threadId, ...ownerFilter(req) });
+}
+
+// Sends one message; the thread is picked by threadId, else by solutionId, else started anew
+router.post('/api/chat', authenticate, async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    const { threadId, solutionId } = req.body;
+    if (!message) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `message must be at most ${MAX_CHAT_MESSAGE_LENGTH} characters` });
+    }
+
+    let record = null;
+    if (solutionId) {
+      record = mongoose.Types.ObjectId.isValid(solutionId)
+        ? await Solution.findOne({ _id: solutionId, ...ownerFilter(req) })
+        : null;
+      if (!record) {
+        return res.status(404).json({ error: 'Solution not found' });
+      }
+    }
+
+    let thread;
+    if (threadId) {
+      thread = await findChatThread(req, threadId);
+      if (!thread) {
+        return res.status(404).json({ error: 'Chat thread not found' });
+      }
+    } else if (record) {
+      thread = await ChatThread.findOne({ solutionId: record._id, ...ownerFilter(req) }).sort({ updatedAt: -1 });
+    }
+    if (!thread) {
+      thread = new ChatThread({ ...ownerFields(req), solutionId: record ? record._id : undefined, messages: [] });
+    }
+
+    const classLevel = Number(req.body.classLevel);
+    const context = record ? chatContextFromSolution(record) : {
+      question: typeof req.body.question === 'string' ? req.body.question.trim().slice(0, MAX_CHAT_QUESTION_LENGTH) : '',
+      subject: typeof req.body.subject === 'string' ? req.body.subject : '',
+      classLevel: Number.isInteger(classLevel) && classLevel >= 1 && classLevel <= 12 ? classLevel : null
+    };
+    thread.subject = context.subject || thread.subject;
+    thread.classLevel = context.classLevel || thread.classLevel;
+
+    const history = [...thread.messages, { role: 'user', content: message }];
+    const reply = String(await chatWithFallback(buildChatPrompt(context, history, requestLanguage(req)))).trim();
+    if (!reply) {
+      throw new Error('The helper returned an empty reply');
+    }
+
+    thread.messages.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+    if (thread.messages.length > MAX_CHAT_THREAD_MESSAGES) {
+      thread.messages = thread.messages.slice(-MAX_CHAT_THREAD_MESSAGES);
+    }
+    thread.updatedAt = new Date();
+    await thread.save();
+
+    res.json({ threadId: thread._id, reply });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/api/chat/:id', authenticate, async (req, res) => {
+  try {
+    const thread = await findChatThread(req, req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Chat thread not found' });
+    }
+    res.json({ threadId: thread._id, solutionId: thread.solutionId, messages: thread.messages });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The latest chat about a solution, so it can be restored when the solution is reopened
+router.get('/api/solutions/:id/chat', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const thread = await ChatThread.findOne({ solutionId: req.params.id, ...ownerFilter(req) }).sort({ updatedAt: -1 });
+    res.json(thread
+      ? { threadId: thread._id, solutionId: thread.solutionId, messages: thread.messages }
+      : { threadId: null, solutionId: req.params.id, messages: [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router };
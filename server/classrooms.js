@@ -0,0 +1,285 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { Assignment, Classroom, Solution } = require('./models');
+const { authenticate, requireTeacher } = require('./auth');
+const { serializeSolution } = require('./solutions');
+const { answerKeywords } = require('./grading');
+
+const router = express.Router();
+
+// Classrooms
+// Teachers create classrooms that students join with a short code, then publish assignments:
+// a list of questions for a subject and class level with a due date. Students answer them
+// through the usual solve routes, which link the saved Solution to the assignment question.
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_ASSIGNMENT_QUESTIONS = 30;
+const MAX_ASSIGNMENT_QUESTION_LENGTH = 1000;
+// Share of an assignment question's key terms a student's question must contain to answer it
+const ASSIGNMENT_MATCH_SHARE = 0.5;
+
+function generateJoinCode() {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+}
+
+// Validates the optional { assignmentId, questionIndex } sent when a student answers an
+// assignment question. Returns the fields to store on the Solution ({} when the question is
+// not part of an assignment), or null when the student cannot answer that question.
+async function findAssignmentLink(req) {
+  const { assignmentId } = req.body;
+  if (!assignmentId) return {};
+
+  const questionIndex = Number(req.body.questionIndex);
+  if (!req.auth.userId || !mongoose.Types.ObjectId.isValid(assignmentId) || !Number.isInteger(questionIndex)) {
+    return null;
+  }
+  const assignment = await Assignment.findById(assignmentId).select('classroomId questions');
+  if (!assignment || !assignment.questions[questionIndex]) return null;
+
+  const isMember = await Classroom.exists({ _id: assignment.classroomId, students: req.auth.userId });
+  return isMember ? { assignmentId: assignment._id, assignmentQuestion: questionIndex } : null;
+}
+
+// Photos and recordings are read imperfectly and students may retype the question, so a
+// question answers the assignment question when it has enough of the same key terms
+function matchesAssignmentQuestion(question, assignmentQuestion) {
+  const expected = new Set(answerKeywords(assignmentQuestion));
+  if (!expected.size) return true;
+  const asked = new Set(answerKeywords(question));
+  const found = [...expected].filter(word => asked.has(word)).length;
+  return found / expected.size >= ASSIGNMENT_MATCH_SHARE;
+}
+
+// Why a question cannot be saved against the assignment question from findAssignmentLink, or
+// null when it can. The question is left out when it is not known yet, as for a photo that
+// has still to be read; the job checks it again once it is.
+async function assignmentLinkError(link, { subject, classLevel, question }) {
+  if (!link || !link.assignmentId) return null;
+  const assignment = await Assignment.findById(link.assignmentId).select('subject classLevel questions');
+  if (!assignment || !assignment.questions[link.assignmentQuestion]) {
+    return 'Assignment question not found';
+  }
+  if (subject !== assignment.subject || Number(classLevel) !== assignment.classLevel) {
+    return 'subject and classLevel must be those of the assignment';
+  }
+  if (question !== undefined && !matchesAssignmentQuestion(question, assignment.questions[link.assignmentQuestion].text)) {
+    return 'The question does not match the assignment question';
+  }
+  return null;
+}
+
+async function findTeacherClassroom(req, classroomId) {
+  if (!mongoose.Types.ObjectId.isValid(classroomId)) return null;
+  return Classroom.findOne({ _id: classroomId, teacherId: req.user._id });
+}
+
+router.post('/api/classrooms', authenticate, requireTeacher, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    // Join codes are short, so a clash is possible; try a few before giving up
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const classroom = new Classroom({ teacherId: req.user._id, name, joinCode: generateJoinCode() });
+        await classroom.save();
+        return res.status(201).json(classroom);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+    res.status(503).json({ error: 'Could not create a unique join code, please try again' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Teachers see the classrooms they run, students the ones they have joined
+router.get('/api/classrooms', authenticate, async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.json({ classrooms: [] });
+    }
+    const classrooms = await Classroom.find({ $or: [{ teacherId: req.auth.userId }, { students: req.auth.userId }] })
+      .sort({ createdAt: -1 })
+      .populate('teacherId', 'name email');
+
+    res.json({
+      classrooms: classrooms.map(classroom => {
+        const isTeacher = String(classroom.teacherId._id) === String(req.auth.userId);
+        return {
+          _id: classroom._id,
+          name: classroom.name,
+          teacher: classroom.teacherId.name || classroom.teacherId.email,
+          isTeacher,
+          // Only the teacher hands out the code and sees the roster
+          joinCode: isTeacher ? classroom.joinCode : undefined,
+          studentCount: isTeacher ? classroom.students.length : undefined,
+          createdAt: classroom.createdAt
+        };
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/classrooms/join', authenticate, async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(401).json({ error: 'Sign in to join a classroom' });
+    }
+    const joinCode = typeof req.body.joinCode === 'string' ? req.body.joinCode.trim().toUpperCase() : '';
+    const classroom = joinCode ? await Classroom.findOne({ joinCode }) : null;
+    if (!classroom) {
+      return res.status(404).json({ error: 'No classroom has that join code' });
+    }
+    if (String(classroom.teacherId) === String(req.auth.userId)) {
+      return res.status(409).json({ error: 'You teach this classroom' });
+    }
+
+    await Classroom.updateOne({ _id: classroom._id }, { $addToSet: { students: req.auth.userId } });
+    res.json({ _id: classroom._id, name: classroom.name });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/api/classrooms/:id', authenticate, requireTeacher, async (req, res) => {
+  try {
+    const classroom = await findTeacherClassroom(req, req.params.id);
+    if (!classroom) {
+      return res.status(404).json({ error: 'Classroom not found' });
+    }
+    await classroom.populate('students', 'name email');
+    const assignments = await Assignment.find({ classroomId: classroom._id }).sort({ dueAt: 1 });
+
+    res.json({ ...classroom.toObject(), assignments });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/classrooms/:id/assignments', authenticate, requireTeacher, async (req, res) => {
+  try {
+    const classroom = await findTeacherClassroom(req, req.params.id);
+    if (!classroom) {
+      return res.status(404).json({ error: 'Classroom not found' });
+    }
+
+    const { title, subject, classLevel, dueAt } = req.body;
+    const questions = Array.isArray(req.body.questions)
+      ? req.body.questions.map(text => String(text).trim()).filter(Boolean)
+      : [];
+    const level = Number(classLevel);
+    const due = new Date(dueAt);
+
+    if (!title || !subject || !classLevel || !dueAt) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (!Number.isInteger(level) || level < 1 || level > 12) {
+      return res.status(400).json({ error: 'classLevel must be a class from 1 to 12' });
+    }
+    if (Number.isNaN(due.getTime())) {
+      return res.status(400).json({ error: 'dueAt must be a date' });
+    }
+    if (!questions.length || questions.length > MAX_ASSIGNMENT_QUESTIONS) {
+      return res.status(400).json({ error: `An assignment needs between 1 and ${MAX_ASSIGNMENT_QUESTIONS} questions` });
+    }
+    if (questions.some(text => text.length > MAX_ASSIGNMENT_QUESTION_LENGTH)) {
+      return res.status(400).json({ error: `Questions must be at most ${MAX_ASSIGNMENT_QUESTION_LENGTH} characters` });
+    }
+
+    const assignment = new Assignment({
+      classroomId: classroom._id,
+      teacherId: req.user._id,
+      title: String(title).trim(),
+      subject,
+      classLevel: level,
+      dueAt: due,
+      questions: questions.map(text => ({ text }))
+    });
+    await assignment.save();
+
+    res.status(201).json(assignment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assignments from every classroom the student has joined, with the solutions they have
+// saved for each question so far
+router.get('/api/me/assignments', authenticate, async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.json({ assignments: [] });
+    }
+    const classrooms = await Classroom.find({ students: req.auth.userId }).select('name');
+    const assignments = await Assignment.find({ classroomId: { $in: classrooms.map(classroom => classroom._id) } })
+      .sort({ dueAt: 1 });
+    const answered = await Solution.find({ userId: req.auth.userId, assignmentId: { $in: assignments.map(assignment => assignment._id) } })
+      .select('assignmentId assignmentQuestion');
+
+    const classroomNames = new Map(classrooms.map(classroom => [String(classroom._id), classroom.name]));
+    res.json({
+      assignments: assignments.map(assignment => ({
+        ...assignment.toObject(),
+        classroom: classroomNames.get(String(assignment.classroomId)),
+        questions: assignment.questions.map((question, index) => ({
+          text: question.text,
+          answered: answered.some(solution => String(solution.assignmentId) === String(assignment._id) && solution.assignmentQuestion === index)
+        }))
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every student in the classroom with the solutions they received for each question
+router.get('/api/assignments/:id/submissions', authenticate, requireTeacher, async (req, res) => {
+  try {
+    const assignment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Assignment.findOne({ _id: req.params.id, teacherId: req.user._id })
+      : null;
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    const classroom = await Classroom.findById(assignment.classroomId).populate('students', 'name email');
+    const solutions = await Solution.find({ assignmentId: assignment._id }).sort({ createdAt: 1 });
+
+    res.json({
+      assignment,
+      students: classroom.students.map(student => ({
+        id: student._id,
+        name: student.name,
+        email: student.email,
+        questions: assignment.questions.map((question, index) => ({
+          index,
+          submissions: solutions
+            .filter(solution => String(solution.userId) === String(student._id) && solution.assignmentQuestion === index)
+            .map(solution => {
+              const data = serializeSolution(solution);
+              return {
+                solutionId: data._id,
+                question: data.question,
+                method: data.method,
+                solution: data.solution,
+                hintMode: data.hintMode,
+                hintsUsed: data.hintsUsed,
+                createdAt: data.createdAt,
+                late: data.createdAt > assignment.dueAt
+              };
+            })
+        }))
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, findAssignmentLink, matchesAssignmentQuestion, assignmentLinkError };
@@ -0,0 +1,240 @@
+const express = require('express');
+const fs = require('fs');
+const { Topic } = require('./models');
+const { authenticate, requireAdmin } = require('./auth');
+const { localize, localSubjectName } = require('./i18n');
+
+const router = express.Router();
+
+// Curriculum
+// The syllabus is imported from JSON or YAML documents shaped like:
+//
+//   board: CDC
+//   subjects:
+//     - subject: Mathematics
+//       classLevel: 8
+//       chapters:
+//         - number: 5
+//           title: Equations
+//           topics:
+//             - name: Linear equations
+//               keywords: [equation, solve for x]
+//             - Simultaneous equations
+//
+// A topic may be a bare name; its name always counts as a keyword.
+const curriculumConfig = {
+  board: process.env.CURRICULUM_BOARD || 'CDC',
+  file: process.env.CURRICULUM_FILE,
+  maxTopicsPerQuestion: 3
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Flattens an import document into Topic fields, throwing on the first malformed entry
+function curriculumTopics(document) {
+  if (!document || typeof document !== 'object' || !Array.isArray(document.subjects)) {
+    throw new Error('Curriculum must have a "subjects" list');
+  }
+  const board = String(document.board || curriculumConfig.board).trim();
+  const topics = [];
+
+  document.subjects.forEach((entry, subjectIndex) => {
+    const where = `subjects[${subjectIndex}]`;
+    if (!isPlainObject(entry)) throw new Error(`${where} must be an object`);
+    const classLevel = Number(entry.classLevel);
+    if (!entry.subject || !Number.isInteger(classLevel) || classLevel < 1 || classLevel > 12) {
+      throw new Error(`${where} needs a subject and a classLevel from 1 to 12`);
+    }
+    if (!Array.isArray(entry.chapters)) {
+      throw new Error(`${where} needs a "chapters" list`);
+    }
+
+    entry.chapters.forEach((chapter, chapterIndex) => {
+      const chapterWhere = `${where}.chapters[${chapterIndex}]`;
+      if (!isPlainObject(chapter)) throw new Error(`${chapterWhere} must be an object`);
+      const chapterNumber = Number(chapter.number);
+      if (!Number.isInteger(chapterNumber) || chapterNumber < 1 || !chapter.title) {
+        throw new Error(`${chapterWhere} needs a positive number and a title`);
+      }
+      if (!Array.isArray(chapter.topics) || !chapter.topics.length) {
+        throw new Error(`${chapterWhere} needs a non-empty "topics" list`);
+      }
+
+      chapter.topics.forEach((topic, topicIndex) => {
+        const topicWhere = `${chapterWhere}.topics[${topicIndex}]`;
+        if (typeof topic !== 'string' && !isPlainObject(topic)) {
+          throw new Error(`${topicWhere} must be a name or an object`);
+        }
+        const { name, keywords = [] } = typeof topic === 'string' ? { name: topic } : topic;
+        if (!name || !Array.isArray(keywords) || !keywords.every(keyword => typeof keyword === 'string')) {
+          throw new Error(`${topicWhere} needs a name and an optional list of keyword strings`);
+        }
+        topics.push({
+          board,
+          subject: String(entry.subject).trim(),
+          classLevel,
+          chapterNumber,
+          chapterTitle: String(chapter.title).trim(),
+          name: String(name).trim(),
+          keywords: keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean)
+        });
+      });
+    });
+  });
+  return topics;
+}
+
+function parseCurriculumText(text, format) {
+  if (format === 'yaml') {
+    // Only needed by deployments that keep their syllabus in YAML
+    return require('js-yaml').load(text);
+  }
+  return JSON.parse(text);
+}
+
+// Upserts the topics, so a document can be re-imported after editing it
+async function saveCurriculumTopics(topics) {
+  if (!topics.length) return { topics: 0 };
+
+  await Topic.bulkWrite(topics.map(topic => ({
+    updateOne: {
+      filter: {
+        board: topic.board,
+        subject: topic.subject,
+        classLevel: topic.classLevel,
+        chapterNumber: topic.chapterNumber,
+        name: topic.name
+      },
+      update: { $set: topic },
+      upsert: true
+    }
+  })));
+  return { topics: topics.length };
+}
+
+async function importCurriculumFile(filePath) {
+  const format = /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  return saveCurriculumTopics(curriculumTopics(parseCurriculumText(text, format)));
+}
+
+// Whether text contains term as whole words, so "ratio" does not match "operation". Letters,
+// marks and digits count as word characters so Devanagari words are not split at vowel signs.
+function mentionsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text);
+}
+
+// How strongly a question mentions a topic: each matching name or keyword counts its word count
+function topicMatchScore(topic, text) {
+  return [topic.name.toLowerCase(), ...topic.keywords]
+    .filter(term => mentionsTerm(text, term))
+    .reduce((score, term) => score + term.split(/\s+/).length, 0);
+}
+
+// Tags a question with the syllabus topics it mentions. With a chapter chosen by the student
+// only that chapter's topics are considered, and the chapter is kept even if no topic matches.
+// Returns null when the question could not be placed in the syllabus.
+async function tagQuestion(question, subject, classLevel, chapterNumber) {
+  const filter = { board: curriculumConfig.board, subject, classLevel: Number(classLevel) };
+  const chapter = Number(chapterNumber);
+  if (Number.isInteger(chapter) && chapter > 0) filter.chapterNumber = chapter;
+
+  const candidates = await Topic.find(filter);
+  if (!candidates.length) return null;
+
+  const text = String(question).toLowerCase();
+  const matches = candidates
+    .map(topic => ({ topic, score: topicMatchScore(topic, text) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+  if (!matches.length && !filter.chapterNumber) return null;
+
+  // Without a chosen chapter, the best match decides it and other chapters' topics are dropped
+  const anchor = matches.length ? matches[0].topic : candidates[0];
+  const topics = matches
+    .map(match => match.topic)
+    .filter(topic => topic.chapterNumber === anchor.chapterNumber)
+    .slice(0, curriculumConfig.maxTopicsPerQuestion);
+
+  return {
+    chapter: { board: anchor.board, number: anchor.chapterNumber, title: anchor.chapterTitle },
+    topics: topics.map(topic => ({ _id: topic._id, name: topic.name }))
+  };
+}
+
+// Solution fields recording where a question sits in the syllabus
+function curriculumFields(curriculum) {
+  if (!curriculum) return {};
+  return { chapter: curriculum.chapter, topics: curriculum.topics.map(topic => topic._id) };
+}
+
+function chapterReference(subject, classLevel, chapter, language = 'en') {
+  return localize(language, 'textbook.chapter', {
+    level: classLevel,
+    subject: localSubjectName(language, subject),
+    board: chapter.board,
+    number: chapter.number,
+    title: chapter.title
+  });
+}
+
+// The syllabus as board → subject/class → chapters → topics, optionally narrowed down
+router.get('/api/curriculum', async (req, res) => {
+  try {
+    const filter = { board: req.query.board || curriculumConfig.board };
+    if (req.query.subject) filter.subject = req.query.subject;
+    if (req.query.classLevel) filter.classLevel = Number(req.query.classLevel);
+
+    const topics = await Topic.find(filter).sort({ subject: 1, classLevel: 1, chapterNumber: 1, name: 1 });
+    const groups = new Map();
+    topics.forEach(topic => {
+      const key = `${topic.subject}|${topic.classLevel}`;
+      if (!groups.has(key)) {
+        groups.set(key, { subject: topic.subject, classLevel: topic.classLevel, chapters: [] });
+      }
+      const chapters = groups.get(key).chapters;
+      let chapter = chapters[chapters.length - 1];
+      if (!chapter || chapter.number !== topic.chapterNumber) {
+        chapter = { number: topic.chapterNumber, title: topic.chapterTitle, topics: [] };
+        chapters.push(chapter);
+      }
+      chapter.topics.push({ _id: topic._id, name: topic.name });
+    });
+
+    res.json({ board: filter.board, curriculum: [...groups.values()] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accepts a curriculum document as JSON, or YAML text as { format: 'yaml', content }
+router.post('/api/admin/curriculum/import', authenticate, requireAdmin, async (req, res) => {
+  try {
+    let document = req.body;
+    if (req.body.format === 'yaml' || req.body.format === 'json') {
+      try {
+        document = parseCurriculumText(String(req.body.content || ''), req.body.format);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not parse the curriculum: ${err.message}` });
+      }
+    }
+
+    let topics;
+    try {
+      topics = curriculumTopics(document);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(201).json(await saveCurriculumTopics(topics));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = {
+  router, curriculumConfig, curriculumTopics, topicMatchScore, importCurriculumFile, tagQuestion, curriculumFields,
+  chapterReference
+};
@@ -0,0 +1,279 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const katex = require('katex');
+const { Solution } = require('./models');
+const { authenticate, ownerFilter } = require('./auth');
+const { historyFilter } = require('./history');
+const { serializeSolution } = require('./solutions');
+const { localize, localSubjectName, requestLanguage } = require('./i18n');
+const { findResources } = require('./resources');
+
+const router = express.Router();
+
+// Solution Export
+// Solutions download as Markdown (LaTeX kept between $ signs), as a standalone HTML page whose
+// math is typeset with KaTeX on the server, or as a PDF printed from that page by headless
+// Chromium. The page loads nothing from the network: KaTeX's stylesheet and fonts are inlined.
+//   PDF_BROWSER_PATH  Chrome/Chromium executable; PDF export is unavailable without one
+//   PDF_NO_SANDBOX    true to run Chromium without its sandbox, for containers that cannot start it
+//   PDF_TIMEOUT_MS    time limit for loading the page (default: 30000)
+const EXPORT_FORMATS = ['pdf', 'md', 'html'];
+const STUDY_SHEET_MAX_SOLUTIONS = 50;
+
+const pdfConfig = {
+  browserPath: process.env.PDF_BROWSER_PATH,
+  noSandbox: process.env.PDF_NO_SANDBOX === 'true',
+  timeoutMs: Number(process.env.PDF_TIMEOUT_MS) || 30000
+};
+
+const exportStyles = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1f2937; max-width: 46rem; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.55; }
+  header.sheet { border-bottom: 2px solid #7c3aed; margin-bottom: 1.5rem; }
+  header.sheet h1 { color: #7c3aed; font-size: 1.5rem; margin: 0 0 .25rem; }
+  article + article { border-top: 1px solid #d1d5db; margin-top: 2rem; padding-top: 1.5rem; }
+  h2 { font-size: 1.2rem; margin: 0 0 .25rem; }
+  h3 { font-size: 1rem; color: #6d28d9; margin: 1.25rem 0 .5rem; }
+  .meta { color: #6b7280; font-size: .85rem; margin: 0; }
+  ol li { margin-bottom: .6rem; break-inside: avoid; }
+  .why { color: #4b5563; font-size: .9rem; font-style: italic; }
+  .answer { background: #dcfce7; border-radius: .5rem; padding: .6rem .9rem; break-inside: avoid; }
+  a { color: #6d28d9; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0 auto; } }
+`;
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+let katexStylesheet = null;
+
+// KaTeX's stylesheet with its woff2 fonts as data URIs, read once
+function katexStyles() {
+  if (!katexStylesheet) {
+    const dist = path.dirname(require.resolve('katex/dist/katex.min.css'));
+    katexStylesheet = fs.readFileSync(path.join(dist, 'katex.min.css'), 'utf8')
+      .replace(/src:url\(fonts\/([\w-]+)\.woff2\)[^;}]*/g, (match, font) => {
+        const data = fs.readFileSync(path.join(dist, 'fonts', `${font}.woff2`)).toString('base64');
+        return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+      });
+  }
+  return katexStylesheet;
+}
+
+function renderMath(latex, displayMode) {
+  return katex.renderToString(latex, { displayMode, throwOnError: false });
+}
+
+// Escapes text and typesets the LaTeX in it, between $$ (display) or $ (inline) delimiters
+function mathHtml(text) {
+  return escapeHtml(text).split(/(\$\$[^$]+\$\$|\$[^$\n]+\$)/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    const display = part.startsWith('$$');
+    return renderMath(unescapeHtml(part.slice(display ? 2 : 1, display ? -2 : -1)), display);
+  }).join('');
+}
+
+function unescapeHtml(text) {
+  return text.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
+
+// Everything an exported solution shows, with headings in the student's language
+function exportContent(data, library, language) {
+  const subject = localSubjectName(language, data.subject);
+  const meta = [`${subject} · ${localize(language, 'export.class', { level: data.classLevel })}`];
+  if (data.chapter && data.chapter.number) {
+    meta.push(localize(language, 'export.chapter', data.chapter));
+  }
+  meta.push(new Date(data.createdAt).toISOString().slice(0, 10));
+
+  return {
+    question: data.question,
+    meta: meta.join(' · '),
+    solution: data.solution,
+    explanation: data.explanation,
+    resources: data.resources,
+    library,
+    heading: key => localize(language, `export.${key}`)
+  };
+}
+
+function solutionMarkdown(content) {
+  const { solution, heading } = content;
+  const lines = [`## ${content.question}`, '', `*${content.meta}*`, '', `### ${heading('solution')}`, ''];
+  solution.steps.forEach((step, index) => {
+    lines.push(`${index + 1}. ${step.text}`);
+    if (step.math) lines.push('', `   $$${step.math}$$`, '');
+    if (step.rationale) lines.push(`   *${heading('why')}* ${step.rationale}`);
+  });
+  if (solution.finalAnswer) lines.push('', `**${heading('answer')}** ${solution.finalAnswer}`);
+  if (solution.hints.length) {
+    lines.push('', `### ${heading('hints')}`, '', ...solution.hints.map(hint => `- ${hint}`));
+  }
+  lines.push('', `### ${heading('explanation')}`, '', content.explanation);
+  if (content.resources.length || content.library.length) {
+    lines.push('', `### ${heading('resources')}`, '');
+    content.library.forEach(resource => lines.push(`- [${resource.title}](${resource.url}) (${resource.type})`));
+    content.resources.forEach(resource => lines.push(`- ${resource}`));
+  }
+  return lines.join('\n');
+}
+
+// Text written by the solver may hold $...$ math, which is typeset here; everything else is
+// escaped as is
+function solutionHtml(content) {
+  const { solution, heading } = content;
+  const steps = solution.steps.map(step => [
+    `<li>${mathHtml(step.text)}`,
+    step.math ? `<div>${renderMath(step.math, true)}</div>` : '',
+    step.rationale ? `<div class="why">${escapeHtml(heading('why'))} ${mathHtml(step.rationale)}</div>` : '',
+    '</li>'
+  ].join('')).join('\n');
+  const resources = [
+    ...content.library.map(resource => `<li><a href="${escapeHtml(resource.url)}">${escapeHtml(resource.title)}</a> (${escapeHtml(resource.type)})</li>`),
+    ...content.resources.map(resource => `<li>${escapeHtml(resource)}</li>`)
+  ];
+
+  return [
+    '<article>',
+    `<h2>${mathHtml(content.question)}</h2>`,
+    `<p class="meta">${escapeHtml(content.meta)}</p>`,
+    `<h3>${escapeHtml(heading('solution'))}</h3>`,
+    `<ol>\n${steps}\n</ol>`,
+    solution.finalAnswer ? `<p class="answer"><strong>${escapeHtml(heading('answer'))}</strong> ${mathHtml(solution.finalAnswer)}</p>` : '',
+    solution.hints.length ? `<h3>${escapeHtml(heading('hints'))}</h3>\n<ul>${solution.hints.map(hint => `<li>${mathHtml(hint)}</li>`).join('')}</ul>` : '',
+    `<h3>${escapeHtml(heading('explanation'))}</h3>`,
+    `<p>${mathHtml(content.explanation)}</p>`,
+    resources.length ? `<h3>${escapeHtml(heading('resources'))}</h3>\n<ul>${resources.join('')}</ul>` : '',
+    '</article>'
+  ].filter(Boolean).join('\n');
+}
+
+function exportDocument(title, articles, language) {
+  return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${katexStyles()}</style>
+<style>${exportStyles}</style>
+</head>
+<body>
+<header class="sheet"><h1>${escapeHtml(title)}</h1><p class="meta">Learnify Pro</p></header>
+${articles.join('\n')}
+</body>
+</html>`;
+}
+
+let pdfBrowserPromise = null;
+
+// A single headless browser is shared across exports; starting Chromium is the slow part
+function getPdfBrowser() {
+  if (!pdfConfig.browserPath) {
+    return Promise.reject(new Error('PDF export is not available: PDF_BROWSER_PATH is not set'));
+  }
+  if (!pdfBrowserPromise) {
+    // Only needed by deployments that offer PDF export
+    const puppeteer = require('puppeteer-core');
+    const args = ['--disable-dev-shm-usage'];
+    if (pdfConfig.noSandbox) args.push('--no-sandbox');
+    pdfBrowserPromise = puppeteer.launch({
+      headless: 'new',
+      executablePath: pdfConfig.browserPath,
+      args
+    }).catch(err => {
+      pdfBrowserPromise = null;
+      throw err;
+    });
+  }
+  return pdfBrowserPromise;
+}
+
+// The page is already typeset, so only its inlined fonts have to load before printing
+async function renderPdf(html) {
+  const browser = await getPdfBrowser();
+  const page = await browser.newPage();
+  try {
+    await page.setContent(html, { waitUntil: 'load', timeout: pdfConfig.timeoutMs });
+    await page.evaluate(() => document.fonts.ready);
+    return await page.pdf({ format: 'A4', printBackground: true });
+  } finally {
+    await page.close();
+  }
+}
+
+// Builds the document for one or more Solution documents in the requested format
+async function exportSolutions(solutions, { format, title, language }) {
+  const contents = await Promise.all(solutions.map(async doc => {
+    const data = serializeSolution(doc);
+    return exportContent(data, await findResources(data), language);
+  }));
+
+  if (format === 'md') {
+    return [`# ${title}`, '', ...contents.map(solutionMarkdown)].join('\n\n');
+  }
+  const html = exportDocument(title, contents.map(solutionHtml), language);
+  return format === 'pdf' ? renderPdf(html) : html;
+}
+
+function sendExport(res, body, format, basename) {
+  res.attachment(`${basename}.${format}`);
+  res.type(format === 'md' ? 'text/markdown; charset=utf-8' : format);
+  res.send(body);
+}
+
+router.get('/api/solutions/:id/export', authenticate, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+
+    const language = requestLanguage(req);
+    const title = localize(language, 'export.title', { subject: localSubjectName(language, solution.subject) });
+    const body = await exportSolutions([solution], { format, title, language });
+    sendExport(res, body, format, `learnify-solution-${solution._id}`);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Study sheet: the caller's history, narrowed by the same filters as GET /api/me/solutions,
+// bundled into one document (newest first, at most STUDY_SHEET_MAX_SOLUTIONS)
+router.get('/api/me/solutions/export', authenticate, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const solutions = await Solution.find(historyFilter(req))
+      .sort({ createdAt: -1 })
+      .limit(STUDY_SHEET_MAX_SOLUTIONS);
+    if (!solutions.length) {
+      return res.status(404).json({ error: 'No solutions match these filters' });
+    }
+
+    const language = requestLanguage(req);
+    const title = localize(language, 'export.studySheet');
+    const body = await exportSolutions(solutions, { format, title, language });
+    sendExport(res, body, format, 'learnify-study-sheet');
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, solutionHtml, exportDocument };
@@ -0,0 +1,188 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Feedback, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter, requireAdmin } = require('./auth');
+const { HISTORY_MAX_PAGE_SIZE, HISTORY_PAGE_SIZE } = require('./history');
+const { generateSolution } = require('./solver');
+const { serializeSolution } = require('./solutions');
+const { requestLanguage } = require('./i18n');
+const { curriculumFields } = require('./curriculum');
+
+const router = express.Router();
+
+// Solution Feedback
+const FEEDBACK_RATINGS = ['helpful', 'not-helpful'];
+const FEEDBACK_CATEGORIES = ['wrong', 'unclear', 'too-advanced'];
+const MAX_FEEDBACK_REASON_LENGTH = 1000;
+
+// Rating again replaces the student's earlier rating of the same solution. A reason and a
+// category (wrong, unclear, too-advanced) may accompany a not-helpful rating.
+router.post('/api/solutions/:id/feedback', authenticate, async (req, res) => {
+  try {
+    const { rating, category } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` });
+    }
+    if (category !== undefined && category !== null && !FEEDBACK_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${FEEDBACK_CATEGORIES.join(', ')}` });
+    }
+    if (category && rating !== 'not-helpful') {
+      return res.status(400).json({ error: 'Only not-helpful feedback takes a category' });
+    }
+    if (reason.length > MAX_FEEDBACK_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason must be at most ${MAX_FEEDBACK_REASON_LENGTH} characters` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) }).select('subject');
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+
+    let feedback = await Feedback.findOne({ solutionId: solution._id, ...ownerFilter(req) });
+    if (!feedback) {
+      feedback = new Feedback({ ...ownerFields(req), solutionId: solution._id, subject: solution.subject });
+    }
+    Object.assign(feedback, {
+      rating,
+      reason: reason || undefined,
+      category: category || undefined,
+      createdAt: new Date()
+    });
+    await feedback.save();
+
+    res.json(feedback);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Solves the question again with the student's complaint about the previous answer added
+// to the prompt. The new answer is saved as a separate solution linked to the original.
+router.post('/api/solutions/:id/regenerate', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const original = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!original) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const feedback = await Feedback.findOne({ solutionId: original._id, ...ownerFilter(req), rating: 'not-helpful' });
+    if (!feedback) {
+      return res.status(409).json({ error: 'Rate the solution as not helpful before asking for a new one' });
+    }
+
+    const previous = serializeSolution(original).solution;
+    const complaint = { category: feedback.category, reason: feedback.reason, previousAnswer: previous.finalAnswer };
+    const solution = await generateSolution(original.question, original.subject, original.classLevel, {
+      complaint,
+      chapter: original.chapter.number,
+      language: requestLanguage(req)
+    });
+
+    const newSolution = new Solution({
+      ...ownerFields(req),
+      question: original.question,
+      subject: original.subject,
+      classLevel: original.classLevel,
+      method: original.method,
+      imagePath: original.imagePath,
+      audioPath: original.audioPath,
+      extractedText: original.extractedText,
+      ocrConfidence: original.ocrConfidence,
+      transcript: original.transcript,
+      detectedLanguage: original.detectedLanguage,
+      solution: solution.solution,
+      explanation: solution.explanation,
+      resources: solution.resources,
+      verification: solution.verification,
+      ...curriculumFields(solution.curriculum),
+      hintMode: original.hintMode,
+      regeneratedFrom: original._id
+    });
+    await newSolution.save();
+
+    feedback.regeneratedSolutionId = newSolution._id;
+    await feedback.save();
+
+    res.status(201).json({ ...solution, solutionId: newSolution._id, hintMode: newSolution.hintMode, regeneratedFrom: original._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin review of the solutions students rated worst: most not-helpful ratings (net of
+// helpful ones) first, with the categories and reasons they gave
+router.get('/api/admin/feedback/low-rated', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    const match = {};
+    if (req.query.subject) match.subject = req.query.subject;
+    if (req.query.category) match.category = req.query.category;
+    const isRating = rating => ({ $cond: [{ $eq: ['$rating', rating] }, 1, 0] });
+
+    const [result] = await Feedback.aggregate([
+      { $match: req.query.category ? { ...match, rating: 'not-helpful' } : match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$solutionId',
+          helpful: { $sum: isRating('helpful') },
+          notHelpful: { $sum: isRating('not-helpful') },
+          categories: { $push: '$category' },
+          reasons: { $push: '$reason' },
+          lastRatedAt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { notHelpful: { $gt: 0 } } },
+      { $addFields: { net: { $subtract: ['$helpful', '$notHelpful'] } } },
+      { $sort: { net: 1, notHelpful: -1, lastRatedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const solutions = await Solution.find({ _id: { $in: result.items.map(item => item._id) } })
+      .select('question subject classLevel method solution createdAt');
+    const byId = new Map(solutions.map(solution => [String(solution._id), solution]));
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      solutions: result.items.filter(item => byId.has(String(item._id))).map(item => {
+        const solution = byId.get(String(item._id));
+        const categories = {};
+        item.categories.filter(Boolean).forEach(category => {
+          categories[category] = (categories[category] || 0) + 1;
+        });
+        return {
+          solutionId: item._id,
+          question: solution.question,
+          subject: solution.subject,
+          classLevel: solution.classLevel,
+          method: solution.method,
+          finalAnswer: serializeSolution(solution).solution.finalAnswer,
+          helpful: item.helpful,
+          notHelpful: item.notHelpful,
+          categories,
+          reasons: item.reasons.filter(Boolean).slice(0, 5),
+          lastRatedAt: item.lastRatedAt
+        };
+      }),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,258 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Attempt, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const {
+  ANSWER_PREFIX, evaluateMathValue, expressionsEquivalent, latexToPlainMath
+} = require('./math');
+const { serializeSolution } = require('./solutions');
+const { localize, parseLocalNumber, requestLanguage } = require('./i18n');
+
+const router = express.Router();
+
+// Answer Checking
+const MAX_ATTEMPT_LENGTH = 2000;
+const VERDICT_SCORES = { correct: 1, partial: 0.5, incorrect: 0 };
+// A single value is "close" within 1% of the answer, or within this much when the answer is near zero
+const CLOSE_RELATIVE = 0.01;
+const CLOSE_ABSOLUTE = 0.005;
+const ANSWER_STOP_WORDS = new Set(['a', 'an', 'the', 'is', 'are', 'was', 'were', 'of', 'to', 'in', 'on', 'and', 'or', 'it', 'its', 'this', 'that', 'be', 'by', 'for', 'with', 'as']);
+
+// Devanagari digits (as typed on the Nepali keyboard) become ASCII so answers can be compared
+function toAsciiDigits(text) {
+  return String(text).replace(/[०-९]/g, digit => String(parseLocalNumber(digit)));
+}
+
+// Students may paste their working; the last line is taken as their final answer
+function extractFinalAnswer(text) {
+  const lines = toAsciiDigits(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  return lines.length ? latexToPlainMath(lines[lines.length - 1]).trim() : '';
+}
+
+// Reads answers such as "5", "x = 5", "3/4", "2.5 cm", "x = 2 or x = -3" or "1 ± √2" into a
+// list of { value, unit, decimals }; returns null when the answer is not purely numeric
+function parseNumericAnswer(text) {
+  const cleaned = toAsciiDigits(text)
+    .replace(ANSWER_PREFIX, '')
+    .replace(/\u2212/g, '-')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[.\s]+$/, '');
+  const parts = cleaned.split(/\s*(?:,|;|\bor\b|\band\b)\s*/i).filter(Boolean);
+  if (!parts.length) return null;
+
+  const values = [];
+  for (const part of parts) {
+    // Only "x = 5" style assignments are read, so "Solution for 2x + 3 = 7" is not taken as 7
+    const sides = part.split(/=|≈/);
+    if (sides.length > 2 || (sides.length === 2 && !/^[a-zα-ω]?$/i.test(sides[0].trim()))) return null;
+    const side = sides[sides.length - 1].trim();
+
+    if (side.includes('±')) {
+      const [centre, spread] = side.split('±');
+      const options = [`${centre} + (${spread})`, `${centre} - (${spread})`].map(evaluateMathValue);
+      if (options.includes(null)) return null;
+      options.forEach(value => values.push({ value, unit: '', decimals: 0 }));
+      continue;
+    }
+
+    const match = side.match(/^([+-]?(?:\d+(?:\.\d*)?|\.\d+))(?:\s*\/\s*(\d+(?:\.\d*)?|\.\d+))?\s*(.*)$/);
+    // Anything after the number has to look like a unit ("cm", "m/s", "%"); other forms such
+    // as "√2", "3π" or "1 + √5" are evaluated by the math engine
+    const unit = match ? match[3].trim() : '';
+    if (!match || (unit && !/^(?:%|°\s*[CF]?|[a-zA-Zµ][a-zA-Zµ²³\/^0-9 ]*)$/.test(unit))) {
+      const value = evaluateMathValue(side);
+      if (value === null) return null;
+      values.push({ value, unit: '', decimals: 0 });
+      continue;
+    }
+
+    const value = match[2] === undefined ? Number(match[1]) : Number(match[1]) / Number(match[2]);
+    if (!Number.isFinite(value)) return null;
+    const decimals = match[2] === undefined ? (match[1].split('.')[1] || '').length : 0;
+    values.push({ value, unit: unit.toLowerCase(), decimals });
+  }
+  return values;
+}
+
+function numbersMatch(a, b) {
+  return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+}
+
+// A submitted decimal counts as equal when it is the expected value rounded to the places the student gave
+function numericValuesMatch(submitted, expected) {
+  if (numbersMatch(submitted.value, expected.value)) return true;
+  if (submitted.decimals === 0) return false;
+  const scale = 10 ** submitted.decimals;
+  return numbersMatch(submitted.value, Math.round(expected.value * scale) / scale);
+}
+
+function gradeNumericAnswer(submitted, expected, language = 'en') {
+  const matched = expected.filter(e => submitted.some(s => numericValuesMatch(s, e)));
+  const extra = submitted.filter(s => !expected.some(e => numericValuesMatch(s, e)));
+
+  if (matched.length === expected.length && !extra.length) {
+    const feedback = [];
+    const wrongUnit = expected.find(e => e.unit && submitted.some(s => s.unit && s.unit !== e.unit));
+    if (wrongUnit) {
+      return { verdict: 'partial', feedback: [localize(language, 'grade.wrongUnit', { unit: wrongUnit.unit })] };
+    }
+    const missingUnit = expected.find(e => e.unit && e.unit !== '%' && submitted.every(s => !s.unit));
+    if (missingUnit) feedback.push(localize(language, 'grade.missingUnit', { unit: missingUnit.unit }));
+    return { verdict: 'correct', feedback };
+  }
+
+  if (matched.length) {
+    const feedback = [];
+    if (matched.length < expected.length) {
+      feedback.push(localize(language, 'grade.someValues', { found: matched.length, total: expected.length }));
+    }
+    if (extra.length) {
+      feedback.push(localize(language, extra.length === 1 ? 'grade.extraValue' : 'grade.extraValues', { values: extra.map(s => s.value).join(', ') }));
+    }
+    return { verdict: 'partial', feedback };
+  }
+
+  // Nothing matched: look for the usual slips when the answer is a single value
+  if (submitted.length === 1 && expected.length === 1) {
+    const [s, e] = [submitted[0].value, expected[0].value];
+    if (e !== 0 && numbersMatch(s, -e)) {
+      return { verdict: 'incorrect', feedback: [localize(language, 'grade.sign')] };
+    }
+    if (Math.abs(s - e) <= Math.max(CLOSE_RELATIVE * Math.abs(e), CLOSE_ABSOLUTE)) {
+      return { verdict: 'partial', feedback: [localize(language, 'grade.close')] };
+    }
+    const ratio = Math.log10(Math.abs(s / e));
+    if (e !== 0 && s !== 0 && Math.abs(ratio - Math.round(ratio)) < 1e-9) {
+      return { verdict: 'incorrect', feedback: [localize(language, 'grade.magnitude')] };
+    }
+  }
+  return { verdict: 'incorrect', feedback: [localize(language, 'grade.noMatch')] };
+}
+
+function answerKeywords(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(ANSWER_PREFIX, '')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !ANSWER_STOP_WORDS.has(word));
+}
+
+function gradeTextAnswer(submission, expectedAnswer, language = 'en') {
+  const submitted = answerKeywords(submission);
+  const expected = answerKeywords(expectedAnswer);
+  if (!expected.length) {
+    return { verdict: 'incorrect', feedback: [localize(language, 'grade.noAnswer')] };
+  }
+
+  const submittedWords = new Set(submitted);
+  const missing = expected.filter(word => !submittedWords.has(word));
+  if (!missing.length || submitted.join(' ').includes(expected.join(' '))) {
+    return { verdict: 'correct', feedback: [] };
+  }
+  if (missing.length / expected.length <= 0.5) {
+    return { verdict: 'partial', feedback: [localize(language, missing.length === 1 ? 'grade.missingTerm' : 'grade.missingTerms', { count: missing.length })] };
+  }
+  return { verdict: 'incorrect', feedback: [localize(language, 'grade.keyPoints')] };
+}
+
+// Grades a student's answer against a structured solution's final answer. Numeric answers are
+// compared by value (so "x = 5" matches "5"), Mathematics expressions symbolically (so
+// "2(x + 1)" matches "2x + 2"), anything else by its key terms. Each further attempt that is
+// not correct gets the next of the solution's hints. Feedback is written in the given language.
+function gradeAnswer(submission, solution, { subject, attemptNumber = 1, language = 'en' } = {}) {
+  const answer = extractFinalAnswer(submission);
+  const submittedValues = parseNumericAnswer(answer);
+  const expectedValues = parseNumericAnswer(solution.finalAnswer);
+
+  let result;
+  if (submittedValues && expectedValues) {
+    result = gradeNumericAnswer(submittedValues, expectedValues, language);
+  } else if (subject === 'Mathematics' && expressionsEquivalent(answer, solution.finalAnswer)) {
+    result = { verdict: 'correct', feedback: [] };
+  } else {
+    result = gradeTextAnswer(answer, solution.finalAnswer, language);
+  }
+
+  const hints = solution.hints || [];
+  if (result.verdict === 'correct') {
+    result.feedback.unshift(localize(language, 'grade.correct'));
+  } else if (hints.length) {
+    result.feedback.push(localize(language, 'grade.hint', { hint: hints[Math.min(attemptNumber, hints.length) - 1] }));
+  }
+  return { ...result, score: VERDICT_SCORES[result.verdict] };
+}
+
+// Compares a model's final answer with the engine's: verified when they agree, corrected
+// when they do not, computed when the model's answer could not be compared
+function crossCheckMathAnswer(exact, modelAnswer) {
+  if (exact.values) {
+    const modelValues = parseNumericAnswer(modelAnswer);
+    if (!modelValues) return 'computed';
+    const expected = exact.values.map(value => ({ value, unit: '', decimals: 0 }));
+    return gradeNumericAnswer(modelValues, expected).verdict === 'correct' ? 'verified' : 'corrected';
+  }
+  if (exact.expression) {
+    const same = expressionsEquivalent(modelAnswer, exact.finalAnswer);
+    return same === null ? 'computed' : same ? 'verified' : 'corrected';
+  }
+  return 'computed';
+}
+
+// Replaces a model's steps and answer with the engine's worked solution and records how the
+// model's own answer compared
+function applyMathVerification(solution, exact) {
+  const modelAnswer = solution.solution.finalAnswer;
+  return {
+    ...solution,
+    solution: { ...solution.solution, steps: exact.steps, finalAnswer: exact.finalAnswer },
+    verification: { status: crossCheckMathAnswer(exact, modelAnswer), modelAnswer }
+  };
+}
+
+router.post('/api/solutions/:id/check', authenticate, async (req, res) => {
+  try {
+    const answer = typeof req.body.answer === 'string' ? req.body.answer.trim() : '';
+    if (!answer) {
+      return res.status(400).json({ error: 'answer is required' });
+    }
+    if (answer.length > MAX_ATTEMPT_LENGTH) {
+      return res.status(400).json({ error: `answer must be at most ${MAX_ATTEMPT_LENGTH} characters` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const record = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!record) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+
+    const { solution } = serializeSolution(record);
+    const previousAttempts = await Attempt.countDocuments({ solutionId: record._id, ...ownerFilter(req) });
+    const result = gradeAnswer(answer, solution, {
+      subject: record.subject,
+      attemptNumber: previousAttempts + 1,
+      language: requestLanguage(req)
+    });
+
+    const attempt = new Attempt({
+      ...ownerFields(req),
+      solutionId: record._id,
+      subject: record.subject,
+      classLevel: record.classLevel,
+      answer,
+      verdict: result.verdict,
+      score: result.score
+    });
+    await attempt.save();
+
+    res.json({ attemptId: attempt._id, attemptNumber: previousAttempts + 1, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = {
+  router, MAX_ATTEMPT_LENGTH, VERDICT_SCORES, parseNumericAnswer, gradeNumericAnswer, answerKeywords,
+  gradeAnswer, crossCheckMathAnswer, applyMathVerification
+};
@@ -0,0 +1,39 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Solution } = require('./models');
+const { authenticate, ownerFilter } = require('./auth');
+const { MAX_SOLUTION_STEPS } = require('./solutions');
+
+const router = express.Router();
+
+// Hint Mode
+// Multipart uploads send the flag as a string, JSON bodies as a boolean
+function isHintModeRequested(body) {
+  return body.hintMode === true || body.hintMode === 'true';
+}
+
+// Records how many hints the student opened; the count only ever goes up
+router.post('/api/solutions/:id/hints', authenticate, async (req, res) => {
+  try {
+    const { hintsUsed } = req.body;
+    if (!Number.isInteger(hintsUsed) || hintsUsed < 0 || hintsUsed > MAX_SOLUTION_STEPS) {
+      return res.status(400).json({ error: `hintsUsed must be a whole number from 0 to ${MAX_SOLUTION_STEPS}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOneAndUpdate(
+      { _id: req.params.id, ...ownerFilter(req), hintMode: true },
+      { $max: { hintsUsed } },
+      { new: true }
+    );
+    if (!solution) {
+      return res.status(404).json({ error: 'Hint-mode solution not found' });
+    }
+    res.json({ solutionId: solution._id, hintsUsed: solution.hintsUsed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, isHintModeRequested };
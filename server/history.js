@@ -0,0 +1,94 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Solution } = require('./models');
+const { authenticate, ownerFilter } = require('./auth');
+const { serializeSolution } = require('./solutions');
+const { uploadUrl } = require('./uploads');
+
+const router = express.Router();
+
+// Solution History
+const HISTORY_PAGE_SIZE = 10;
+const HISTORY_MAX_PAGE_SIZE = 50;
+
+// The caller's solutions narrowed by the subject, classLevel, method and bookmarked query filters
+function historyFilter(req) {
+  const filter = ownerFilter(req);
+  if (req.query.subject) filter.subject = req.query.subject;
+  if (req.query.classLevel) filter.classLevel = Number(req.query.classLevel);
+  if (req.query.method) filter.method = req.query.method;
+  if (req.query.bookmarked === 'true') filter.bookmarked = true;
+  return filter;
+}
+
+async function listSolutions(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    const filter = historyFilter(req);
+
+    const [solutions, total] = await Promise.all([
+      Solution.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('question subject classLevel method bookmarked createdAt'),
+      Solution.countDocuments(filter)
+    ]);
+
+    res.json({ solutions, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+router.get('/api/me/solutions', authenticate, listSolutions);
+
+// Kept for session-based clients; only the session's own token may read it
+router.get('/api/sessions/:id/solutions', authenticate, (req, res) => {
+  if (req.params.id !== req.auth.sessionId) {
+    return res.status(403).json({ error: 'Not allowed to read this session' });
+  }
+  listSolutions(req, res);
+});
+
+router.get('/api/solutions/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const data = serializeSolution(solution);
+    if (data.imagePath) data.imageUrl = uploadUrl(data.imagePath);
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.patch('/api/solutions/:id/bookmark', authenticate, async (req, res) => {
+  try {
+    if (typeof req.body.bookmarked !== 'boolean') {
+      return res.status(400).json({ error: 'bookmarked must be true or false' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOneAndUpdate(
+      { _id: req.params.id, ...ownerFilter(req) },
+      { bookmarked: req.body.bookmarked },
+      { new: true }
+    );
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    res.json({ solutionId: solution._id, bookmarked: solution.bookmarked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE, historyFilter };
@@ -0,0 +1,134 @@
+// Localisation
+// Clients pick the language of generated answers, hints and helper replies with Accept-Language
+const ANSWER_LANGUAGES = { en: 'English', ne: 'Nepali' };
+
+const subjectNames = {
+  ne: {
+    'Mathematics': 'गणित',
+    'Science': 'विज्ञान',
+    'English': 'अङ्ग्रेजी',
+    'Nepali': 'नेपाली',
+    'Social Studies': 'सामाजिक अध्ययन',
+    'General Knowledge': 'सामान्य ज्ञान'
+  }
+};
+
+// Short server-written messages; `{name}` placeholders are filled in by localize
+const serverText = {
+  en: {
+    'textbook': 'Class {level} {subject} Textbook',
+    'textbook.chapter': 'Class {level} {subject} Textbook ({board}) - Chapter {number}: {title}',
+    'chat.Mathematics': "To solve math problems, first identify what's being asked and the relevant formulas. Break the problem into smaller steps and solve systematically.",
+    'chat.Science': 'For science questions, focus on understanding the underlying concepts. Relate the question to real-world examples to better grasp the principles.',
+    'chat.English': "When analyzing literature, consider themes, character development, and the author's techniques. Support your points with textual evidence.",
+    'chat.help': 'I can help with math problems, science concepts, literature analysis, history questions, and general knowledge. Be specific with your questions!',
+    'chat.default': "I'd be happy to help with that. Could you provide more details about what specifically you're struggling with?",
+    'chat.stepCount': 'The solution you can see has {count} {steps}. Which one would you like me to explain?',
+    'chat.step': 'step',
+    'chat.steps': 'steps',
+    'chat.explainStep': 'In step {number} we {text}',
+    'chat.compareSteps': 'Compare it with the step before to see what changed.',
+    'chat.hint': "Here's a hint: {hint}",
+    'export.title': '{subject} Solution',
+    'export.studySheet': 'Study Sheet',
+    'export.class': 'Class {level}',
+    'export.chapter': 'Chapter {number}: {title}',
+    'export.solution': 'Solution',
+    'export.why': 'Why:',
+    'export.answer': 'Answer:',
+    'export.hints': 'Hints',
+    'export.explanation': 'Explanation',
+    'export.resources': 'Resources',
+    'grade.correct': 'Correct! Well done.',
+    'grade.hint': 'Hint: {hint}',
+    'grade.wrongUnit': 'The value is right, but check your units: the answer is in {unit}.',
+    'grade.missingUnit': 'Remember to write the units ({unit}).',
+    'grade.someValues': 'You found {found} of the {total} values that answer this question.',
+    'grade.extraValue': '{values} does not satisfy the question; substitute back in to check.',
+    'grade.extraValues': '{values} do not satisfy the question; substitute back in to check.',
+    'grade.sign': 'Check your signs: your answer has the opposite sign to the correct one.',
+    'grade.close': 'Very close. Check your rounding and the arithmetic in the last step.',
+    'grade.magnitude': 'The digits are right but the size is not. Check the decimal point or your unit conversion.',
+    'grade.noMatch': 'That value does not match. Compare your working with the solution steps.',
+    'grade.noAnswer': 'This solution has no final answer to check against.',
+    'grade.missingTerm': 'You are on the right track, but your answer leaves out {count} key term.',
+    'grade.missingTerms': 'You are on the right track, but your answer leaves out {count} key terms.',
+    'grade.keyPoints': 'Your answer does not match the key points of the solution.',
+    'quiz.noAnswer': 'No answer given.',
+    'quiz.correctAnswer': 'The correct answer is {answer}.',
+    'quiz.needsNumber': 'This question needs a number as the answer.'
+  },
+  ne: {
+    'textbook': 'कक्षा {level} {subject} पाठ्यपुस्तक',
+    'textbook.chapter': 'कक्षा {level} {subject} पाठ्यपुस्तक ({board}) - पाठ {number}: {title}',
+    'chat.Mathematics': 'गणितका प्रश्न हल गर्न पहिले के सोधिएको छ र कुन सूत्र लाग्छ पत्ता लगाउनुहोस्। त्यसपछि प्रश्नलाई साना चरणमा बाँडेर क्रमैसँग हल गर्नुहोस्।',
+    'chat.Science': 'विज्ञानका प्रश्नमा मूल अवधारणा बुझ्नमा ध्यान दिनुहोस्। प्रश्नलाई दैनिक जीवनका उदाहरणसँग जोडेर हेर्दा सिद्धान्त राम्ररी बुझिन्छ।',
+    'chat.English': 'साहित्यको विश्लेषण गर्दा विषयवस्तु, पात्रको विकास र लेखकको शैलीमा ध्यान दिनुहोस्। आफ्ना तर्कलाई पाठबाट उदाहरण दिएर पुष्टि गर्नुहोस्।',
+    'chat.help': 'म गणित, विज्ञान, साहित्य, इतिहास र सामान्य ज्ञानका प्रश्नमा सहयोग गर्न सक्छु। आफ्नो प्रश्न स्पष्टसँग सोध्नुहोस्!',
+    'chat.default': 'म खुसीसाथ सहयोग गर्छु। तपाईंलाई कुन कुरामा अप्ठ्यारो परिरहेको छ, अलि विस्तारमा बताउन सक्नुहुन्छ?',
+    'chat.stepCount': 'तपाईंले हेरिरहेको समाधानमा {count} {steps} छन्। कुन चरण बुझाइदिऊँ?',
+    'chat.step': 'चरण',
+    'chat.steps': 'चरण',
+    'chat.explainStep': 'चरण {number} मा हामी: {text}',
+    'chat.compareSteps': 'अघिल्लो चरणसँग तुलना गरेर के परिवर्तन भयो हेर्नुहोस्।',
+    'chat.hint': 'एउटा सङ्केत: {hint}',
+    'export.title': '{subject} समाधान',
+    'export.studySheet': 'अध्ययन पाना',
+    'export.class': 'कक्षा {level}',
+    'export.chapter': 'पाठ {number}: {title}',
+    'export.solution': 'समाधान',
+    'export.why': 'किन:',
+    'export.answer': 'उत्तर:',
+    'export.hints': 'सङ्केतहरू',
+    'export.explanation': 'व्याख्या',
+    'export.resources': 'सामग्री',
+    'grade.correct': 'सही! स्याबास।',
+    'grade.hint': 'सङ्केत: {hint}',
+    'grade.wrongUnit': 'मान सही छ, तर एकाइ जाँच्नुहोस्: उत्तर {unit} मा हुन्छ।',
+    'grade.missingUnit': 'एकाइ ({unit}) लेख्न नबिर्सनुहोस्।',
+    'grade.someValues': 'यो प्रश्नको उत्तर हुने {total} मध्ये {found} मान तपाईंले पत्ता लगाउनुभयो।',
+    'grade.extraValue': '{values} ले प्रश्नको सर्त पूरा गर्दैन; जाँच्न फेरि प्रतिस्थापन गर्नुहोस्।',
+    'grade.extraValues': '{values} ले प्रश्नको सर्त पूरा गर्दैनन्; जाँच्न फेरि प्रतिस्थापन गर्नुहोस्।',
+    'grade.sign': 'चिह्न जाँच्नुहोस्: तपाईंको उत्तरको चिह्न सही उत्तरको उल्टो छ।',
+    'grade.close': 'धेरै नजिक। अन्तिम चरणको राउन्डिङ र हिसाब जाँच्नुहोस्।',
+    'grade.magnitude': 'अङ्कहरू सही छन् तर परिमाण मिलेन। दशमलव बिन्दु वा एकाइ रूपान्तरण जाँच्नुहोस्।',
+    'grade.noMatch': 'यो मान मिलेन। आफ्नो हिसाबलाई समाधानका चरणहरूसँग दाँज्नुहोस्।',
+    'grade.noAnswer': 'यो समाधानमा जाँच्नका लागि अन्तिम उत्तर छैन।',
+    'grade.missingTerm': 'तपाईं सही बाटोमा हुनुहुन्छ, तर तपाईंको उत्तरमा {count} मुख्य शब्द छुटेको छ।',
+    'grade.missingTerms': 'तपाईं सही बाटोमा हुनुहुन्छ, तर तपाईंको उत्तरमा {count} मुख्य शब्द छुटेका छन्।',
+    'grade.keyPoints': 'तपाईंको उत्तर समाधानका मुख्य बुँदासँग मेल खाँदैन।',
+    'quiz.noAnswer': 'उत्तर दिइएको छैन।',
+    'quiz.correctAnswer': 'सही उत्तर {answer} हो।',
+    'quiz.needsNumber': 'यो प्रश्नको उत्तर सङ्ख्यामा चाहिन्छ।'
+  }
+};
+
+function requestLanguage(req) {
+  return req.acceptsLanguages(...Object.keys(ANSWER_LANGUAGES)) || 'en';
+}
+
+function localize(language, key, params = {}) {
+  const text = (serverText[language] && serverText[language][key]) || serverText.en[key];
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+function localSubjectName(language, subject) {
+  return (subjectNames[language] && subjectNames[language][subject]) || subject;
+}
+
+// Added to model prompts so every student-facing field comes back in the chosen language
+function languageInstruction(language) {
+  if (!language || language === 'en' || !ANSWER_LANGUAGES[language]) return '';
+  return ` Write every student-facing text in ${ANSWER_LANGUAGES[language]}` +
+    (language === 'ne' ? ' using Devanagari script' : '') +
+    ', but keep JSON keys, option letters and LaTeX maths as they are.';
+}
+
+// Devanagari digits (०-९) typed in Nepali messages, as a number
+function parseLocalNumber(digits) {
+  return Number(digits.replace(/[०-९]/g, digit => digit.charCodeAt(0) - 0x966));
+}
+
+module.exports = {
+  requestLanguage, localize, localSubjectName, languageInstruction, parseLocalNumber
+};
@@ -0,0 +1,393 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { Extraction, Job, Solution } = require('./models');
+const { upload } = require('./uploads');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const { isHintModeRequested } = require('./hints');
+const { extractTextFromImage } = require('./ocr');
+const { isSupportedLanguageHint, transcribeAudio } = require('./transcription');
+const { generateSolution } = require('./solver');
+const { requestLanguage } = require('./i18n');
+const { curriculumFields } = require('./curriculum');
+const { findAssignmentLink, assignmentLinkError } = require('./classrooms');
+
+const router = express.Router();
+
+// Background Jobs
+// OCR, transcription and the solver can take a long time, so the image and voice routes only
+// queue a Job and answer 202 with its id. Workers claim queued jobs from Mongo, report progress
+// on the document and retry failures with a growing delay; clients poll GET /api/jobs/:id.
+// Workers run inside the web server unless JOB_WORKER=off; `node script.js --worker` starts a
+// process that only runs jobs.
+const jobConfig = {
+  inProcess: process.env.JOB_WORKER !== 'off',
+  concurrency: Math.max(Number(process.env.JOB_CONCURRENCY) || 1, 1),
+  pollMs: Number(process.env.JOB_POLL_MS) || 1000,
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 3,
+  retryDelayMs: Number(process.env.JOB_RETRY_DELAY_MS) || 5000,
+  // A running job that has not reported progress for this long is assumed lost with its worker
+  staleAfterMs: Number(process.env.JOB_STALE_MS) || 10 * 60 * 1000
+};
+
+// For failures that would happen again on every attempt, such as an unreadable photo
+function permanentJobError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.lastError,
+    result: job.status === 'succeeded' ? job.result : undefined,
+    statusUrl: `/api/jobs/${job._id}`,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+async function enqueueJob(req, type, payload) {
+  const job = new Job({ ...ownerFields(req), type, payload, maxAttempts: jobConfig.maxAttempts });
+  await job.save();
+  return job;
+}
+
+// Everything a solve job needs from the request, since the worker has no request to read
+function solveJobPayload(req, assignmentLink) {
+  return {
+    question: (req.body.question || '').trim(),
+    subject: req.body.subject,
+    classLevel: req.body.classLevel,
+    chapter: req.body.chapter,
+    hintMode: isHintModeRequested(req.body),
+    language: requestLanguage(req),
+    assignmentLink
+  };
+}
+
+// The worker saves the Solution long after the request has been answered, so fields the save
+// would reject are refused up front
+function solveFieldsError(body) {
+  const level = Number(body.classLevel);
+  if (typeof body.subject !== 'string' || !body.subject.trim()) {
+    return 'subject must be a subject name';
+  }
+  if (!Number.isInteger(level) || level < 1 || level > 12) {
+    return 'classLevel must be a class from 1 to 12';
+  }
+  return null;
+}
+
+// The text of a photo or recording is only known once the job has read it, so that is when it
+// is matched against the assignment question it answers
+async function checkAssignmentQuestion(payload, question) {
+  const { subject, classLevel, assignmentLink } = payload;
+  const linkError = await assignmentLinkError(assignmentLink, { subject, classLevel, question });
+  if (linkError) throw permanentJobError(linkError);
+}
+
+// Atomically hands the oldest due job, or one abandoned by a dead worker, to this worker
+function claimJob(workerId) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - jobConfig.staleAfterMs) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, workerId, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function processJob(job) {
+  // Progress reports double as a heartbeat so a slow job is not mistaken for a lost one
+  const reportProgress = (progress, stage) => Job.updateOne(
+    { _id: job._id, workerId: job.workerId },
+    { progress, stage, lockedAt: new Date(), updatedAt: new Date() }
+  );
+  // Handlers save their Solution through this, which keeps the result on the job with it.
+  // The Solution is keyed by the job, so a worker that lost the job to another one finds the
+  // Solution already saved instead of saving a second copy. It belongs to whoever owns the job
+  // now, which is an account if the student signed up while the job was queued.
+  const recordSolution = async (solution, result) => {
+    const owner = await Job.findById(job._id, 'userId sessionId');
+    if (!owner) throw permanentJobError('The job no longer exists');
+    solution.set({ userId: owner.userId, sessionId: owner.sessionId });
+    await solution.validate();
+    const saved = await Solution.findOneAndUpdate(
+      { jobId: job._id },
+      { $setOnInsert: { ...solution.toObject(), jobId: job._id } },
+      { upsert: true, new: true }
+    );
+    const recorded = { ...result, solutionId: saved._id };
+    await Job.updateOne(
+      { _id: job._id, workerId: job.workerId },
+      { solutionId: saved._id, result: recorded, updatedAt: new Date() }
+    );
+    return recorded;
+  };
+
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) throw permanentJobError(`Unknown job type: ${job.type}`);
+
+    // A job whose Solution was saved before the last attempt broke off only needs finishing
+    let result = job.result;
+    if (!job.solutionId) {
+      if (job.attempts > job.maxAttempts) throw permanentJobError('The job stopped responding too many times');
+      result = await handler(job.payload, reportProgress, recordSolution);
+    }
+    await Job.updateOne({ _id: job._id, workerId: job.workerId }, {
+      status: 'succeeded',
+      progress: 100,
+      stage: 'done',
+      result,
+      $unset: { lastError: 1 },
+      finishedAt: new Date(),
+      updatedAt: new Date()
+    });
+  } catch (err) {
+    const retry = err.retryable !== false && job.attempts < job.maxAttempts;
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, err.message);
+    await Job.updateOne({ _id: job._id, workerId: job.workerId }, retry
+      ? {
+        status: 'queued',
+        stage: 'retrying',
+        lastError: err.message,
+        runAt: new Date(Date.now() + jobConfig.retryDelayMs * 2 ** (job.attempts - 1)),
+        updatedAt: new Date()
+      }
+      : { status: 'failed', lastError: err.message, finishedAt: new Date(), updatedAt: new Date() });
+  }
+}
+
+// Errors from the queue itself (say, Mongo going away) are logged and the worker carries on;
+// a job left running is picked up again once it goes stale
+async function runJobWorker(workerId) {
+  for (;;) {
+    let job = null;
+    try {
+      job = await claimJob(workerId);
+      if (job) await processJob(job);
+    } catch (err) {
+      console.error('Job queue error:', err.message);
+    }
+    if (!job) {
+      await new Promise(resolve => setTimeout(resolve, jobConfig.pollMs));
+    }
+  }
+}
+
+function startJobWorkers() {
+  for (let i = 0; i < jobConfig.concurrency; i++) {
+    runJobWorker(`${process.pid}-${i}-${uuidv4()}`);
+  }
+  console.log(`Started ${jobConfig.concurrency} job worker(s)`);
+}
+
+router.get('/api/jobs/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = await Job.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Looks up the caller's extraction from the first phase of the image/voice flow
+async function findExtraction(req, extractionId, method) {
+  if (!mongoose.Types.ObjectId.isValid(extractionId)) return null;
+  return Extraction.findOne({ _id: extractionId, method, ...ownerFilter(req) });
+}
+
+router.post('/api/solve/image', authenticate, upload.single('image'), async (req, res) => {
+  try {
+    const { subject, classLevel, extractionId } = req.body;
+
+    if ((!req.file && !extractionId) || !subject || !classLevel) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const fieldsError = solveFieldsError(req.body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    const assignmentLink = await findAssignmentLink(req);
+    if (!assignmentLink) {
+      return res.status(404).json({ error: 'Assignment question not found' });
+    }
+    const linkError = await assignmentLinkError(assignmentLink, { subject, classLevel });
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
+    // With an extractionId the text was already read by /api/extract and confirmed by the student
+    const payload = solveJobPayload(req, assignmentLink);
+    if (extractionId) {
+      const extraction = await findExtraction(req, extractionId, 'image');
+      if (!extraction) {
+        return res.status(404).json({ error: 'Extraction not found' });
+      }
+      Object.assign(payload, {
+        extractionId: extraction._id,
+        imagePath: extraction.filePath,
+        extractedText: extraction.text,
+        ocrConfidence: extraction.confidence
+      });
+    } else {
+      payload.imagePath = req.file.path;
+    }
+
+    const job = await enqueueJob(req, 'solve-image', payload);
+    res.status(202).json(serializeJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function runImageSolveJob(payload, reportProgress, recordSolution) {
+  let { extractedText, ocrConfidence } = payload;
+  if (!payload.extractionId) {
+    await reportProgress(10, 'reading');
+    ({ text: extractedText, confidence: ocrConfidence } = await extractTextFromImage(payload.imagePath));
+  }
+
+  const question = payload.question || extractedText;
+  if (!question) {
+    throw permanentJobError('Could not read any text from the image');
+  }
+  await checkAssignmentQuestion(payload, question);
+
+  // Only warn the solver about OCR errors when the student has not corrected the text
+  await reportProgress(40, 'solving');
+  const context = { chapter: payload.chapter, language: payload.language };
+  if (question === extractedText) context.ocrConfidence = ocrConfidence;
+  const solution = await generateSolution(question, payload.subject, payload.classLevel, context);
+
+  await reportProgress(90, 'saving');
+  const newSolution = new Solution({
+    question,
+    subject: payload.subject,
+    classLevel: payload.classLevel,
+    method: 'image',
+    imagePath: payload.imagePath,
+    extractedText,
+    ocrConfidence,
+    solution: solution.solution,
+    explanation: solution.explanation,
+    resources: solution.resources,
+    verification: solution.verification,
+    ...curriculumFields(solution.curriculum),
+    hintMode: payload.hintMode,
+    ...payload.assignmentLink
+  });
+  return recordSolution(newSolution, { ...solution, extractedText, ocrConfidence, hintMode: payload.hintMode });
+}
+
+router.post('/api/solve/voice', authenticate, upload.single('audio'), async (req, res) => {
+  try {
+    const { subject, classLevel, extractionId } = req.body;
+    const language = req.body.language || 'auto';
+
+    if ((!req.file && !extractionId && !req.body.question) || !subject || !classLevel) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const fieldsError = solveFieldsError(req.body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (!isSupportedLanguageHint(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+    const assignmentLink = await findAssignmentLink(req);
+    if (!assignmentLink) {
+      return res.status(404).json({ error: 'Assignment question not found' });
+    }
+    const linkError = await assignmentLinkError(assignmentLink, { subject, classLevel });
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
+    // With an extractionId the transcript was already produced by /api/extract and confirmed by the student
+    const payload = solveJobPayload(req, assignmentLink);
+    payload.languageHint = language;
+    payload.detectedLanguage = language === 'auto' ? undefined : language;
+    if (extractionId) {
+      const extraction = await findExtraction(req, extractionId, 'voice');
+      if (!extraction) {
+        return res.status(404).json({ error: 'Extraction not found' });
+      }
+      Object.assign(payload, {
+        extractionId: extraction._id,
+        audioPath: extraction.filePath,
+        transcript: extraction.text,
+        detectedLanguage: extraction.language || payload.detectedLanguage
+      });
+    } else if (req.file) {
+      payload.audioPath = req.file.path;
+    }
+
+    const job = await enqueueJob(req, 'solve-voice', payload);
+    res.status(202).json(serializeJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function runVoiceSolveJob(payload, reportProgress, recordSolution) {
+  let { transcript, detectedLanguage } = payload;
+  if (!payload.extractionId && payload.audioPath) {
+    await reportProgress(10, 'transcribing');
+    ({ text: transcript, language: detectedLanguage } = await transcribeAudio(payload.audioPath, payload.languageHint));
+  }
+
+  const question = payload.question || transcript;
+  if (!question) {
+    throw permanentJobError('Could not recognise any speech in the recording');
+  }
+  await checkAssignmentQuestion(payload, question);
+
+  await reportProgress(40, 'solving');
+  const solution = await generateSolution(question, payload.subject, payload.classLevel, { chapter: payload.chapter, language: payload.language });
+
+  await reportProgress(90, 'saving');
+  const newSolution = new Solution({
+    question,
+    subject: payload.subject,
+    classLevel: payload.classLevel,
+    method: 'voice',
+    audioPath: payload.audioPath,
+    transcript,
+    detectedLanguage,
+    solution: solution.solution,
+    explanation: solution.explanation,
+    resources: solution.resources,
+    verification: solution.verification,
+    ...curriculumFields(solution.curriculum),
+    hintMode: payload.hintMode,
+    ...payload.assignmentLink
+  });
+  return recordSolution(newSolution, { ...solution, transcript, language: detectedLanguage, hintMode: payload.hintMode });
+}
+
+const jobHandlers = {
+  'solve-image': runImageSolveJob,
+  'solve-voice': runVoiceSolveJob
+};
+
+module.exports = { router, jobConfig, claimJob, processJob, startJobWorkers, jobHandlers };
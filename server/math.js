@@ -0,0 +1,703 @@
+// Math Engine
+// Exact arithmetic on rationals (BigInt numerator and denominator) and on polynomials in
+// one variable. Solves linear and quadratic equations, simplifies expressions and evaluates
+// arithmetic with deterministic worked steps, and cross-checks model answers for Mathematics.
+const MAX_POLY_DEGREE = 8;
+const MAX_EXPONENT = 64;
+const MAX_ARITHMETIC_STEPS = 20;
+const MATH_PRECEDENCE = { add: 1, sub: 1, mul: 2, div: 2, neg: 3, pow: 4 };
+const MATH_SYMBOLS = { add: ' + ', sub: ' - ', mul: ' × ', div: ' ÷ ' };
+const ARITHMETIC_VERBS = { add: 'Add', sub: 'Subtract', mul: 'Multiply', div: 'Divide', pow: 'Work out the power', sqrt: 'Take the square root', neg: 'Change the sign' };
+
+function bigIntGcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function bigIntSqrt(n) {
+  if (n < 2n) return n;
+  let x = n;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  return x;
+}
+
+function rational(n, d = 1n) {
+  if (d === 0n) throw new Error('Division by zero');
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  const divisor = bigIntGcd(n, d) || 1n;
+  return { n: n / divisor, d: d / divisor };
+}
+
+const RATIONAL_ZERO = rational(0n);
+const RATIONAL_ONE = rational(1n);
+
+const ratAdd = (a, b) => rational(a.n * b.d + b.n * a.d, a.d * b.d);
+const ratSub = (a, b) => rational(a.n * b.d - b.n * a.d, a.d * b.d);
+const ratMul = (a, b) => rational(a.n * b.n, a.d * b.d);
+const ratDiv = (a, b) => rational(a.n * b.d, a.d * b.n);
+const ratNeg = a => rational(-a.n, a.d);
+const ratAbs = a => rational(a.n < 0n ? -a.n : a.n, a.d);
+const ratIsZero = a => a.n === 0n;
+const ratEquals = (a, b) => a.n === b.n && a.d === b.d;
+const ratToNumber = a => Number(a.n) / Number(a.d);
+
+function ratPow(base, exponent) {
+  if (exponent.d !== 1n) throw new Error('Only whole-number powers are supported');
+  const power = exponent.n < 0n ? -exponent.n : exponent.n;
+  if (power > BigInt(MAX_EXPONENT)) throw new Error('Power is too large');
+  const result = rational(base.n ** power, base.d ** power);
+  return exponent.n < 0n ? ratDiv(RATIONAL_ONE, result) : result;
+}
+
+// Exact square root, or null when the result is irrational
+function ratSqrt(a) {
+  if (a.n < 0n) return null;
+  const n = bigIntSqrt(a.n);
+  const d = bigIntSqrt(a.d);
+  return n * n === a.n && d * d === a.d ? rational(n, d) : null;
+}
+
+function formatRational(a) {
+  return a.d === 1n ? String(a.n) : `${a.n}/${a.d}`;
+}
+
+// Writes √(p/q) as coefficient × √radicand with the largest square factors taken out
+function simplifySurd(value) {
+  let radicand = value.n * value.d;
+  let outside = 1n;
+  for (let factor = 2n; factor * factor <= radicand && factor <= 10000n; factor++) {
+    while (radicand % (factor * factor) === 0n) {
+      radicand /= factor * factor;
+      outside *= factor;
+    }
+  }
+  return { coefficient: rational(outside, value.d), radicand };
+}
+
+function formatSurd(coefficient, radicand) {
+  if (ratEquals(coefficient, RATIONAL_ONE)) return `√${radicand}`;
+  return coefficient.d === 1n ? `${coefficient.n}√${radicand}` : `(${formatRational(coefficient)})√${radicand}`;
+}
+
+// Maps the symbols offered by the math modal onto the plain operators the parser reads
+function normalizeMathSymbols(text) {
+  return String(text)
+    .replace(/[×·]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/[{[]/g, '(')
+    .replace(/[}\]]/g, ')');
+}
+
+// Questions and answers may hold LaTeX from the math modal ("$\frac{1}{2}x = 3$"); this
+// rewrites the common commands into the plain notation the parser reads
+function latexToPlainMath(text) {
+  let plain = String(text).replace(/\$+/g, ' ').replace(/\\[()[\]]/g, ' ');
+  let previous;
+  do {
+    previous = plain;
+    plain = plain
+      .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, '(($1)/($2))')
+      .replace(/\\sqrt\{([^{}]*)\}/g, '√($1)')
+      .replace(/\\(?:text|mathrm|mathbf)\{([^{}]*)\}/g, '$1')
+      .replace(/\^\{([^{}]*)\}/g, '^($1)');
+  } while (plain !== previous);
+
+  return plain
+    .replace(/\\(?:times|cdot)/g, '×')
+    .replace(/\\div/g, '÷')
+    .replace(/\\pm/g, '±')
+    .replace(/\\approx/g, '≈')
+    .replace(/\\pi/g, 'π')
+    .replace(/\\alpha/g, 'α')
+    .replace(/\\beta/g, 'β')
+    .replace(/\\theta/g, 'θ')
+    .replace(/\\(?:left|right)/g, '')
+    .replace(/\\[,;:! ]/g, ' ');
+}
+
+// The engine writes steps in plain notation; step math is stored as LaTeX for the client typesetter
+function plainMathToLatex(text) {
+  let latex = String(text);
+  let previous;
+  do {
+    previous = latex;
+    latex = latex.replace(/√\(([^()]*)\)/g, '\\sqrt{$1}').replace(/\^\(([^()]*)\)/g, '^{$1}');
+  } while (latex !== previous);
+
+  return latex
+    .replace(/√(\d+|[a-zα-ω])/gi, '\\sqrt{$1}')
+    .replace(/\^(-?\d{2,}|-\d)/g, '^{$1}')
+    .replace(/×/g, '\\times ')
+    .replace(/÷/g, '\\div ')
+    .replace(/±/g, '\\pm ')
+    .replace(/≈/g, '\\approx ')
+    .replace(/π/g, '\\pi ')
+    .replace(/ or /g, ' \\quad\\text{or}\\quad ');
+}
+
+// Used to tell whether a rewrite changed anything worth showing as a step, so brackets are ignored
+function compactMath(text) {
+  return normalizeMathSymbols(text).replace(/[\s*()]/g, '');
+}
+
+function tokenizeMath(text) {
+  const source = normalizeMathSymbols(text);
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const number = rest.match(/^(?:\d+(?:\.\d+)?|\.\d+)/);
+    const word = rest.match(/^(sqrt|pi)(?![a-z])/i);
+
+    if (/^\s/.test(rest)) {
+      i++;
+    } else if (number) {
+      const [whole, fraction = ''] = number[0].split('.');
+      tokens.push({ type: 'num', value: rational(BigInt((whole || '0') + fraction), 10n ** BigInt(fraction.length)) });
+      i += number[0].length;
+    } else if (word || rest[0] === '√' || rest[0] === 'π') {
+      const name = word ? word[1].toLowerCase() : rest[0] === '√' ? 'sqrt' : 'pi';
+      tokens.push({ type: name, value: name });
+      i += word ? word[0].length : 1;
+    } else if (/^[a-zA-Zα-ω]/.test(rest)) {
+      tokens.push({ type: 'var', value: rest[0] });
+      i++;
+    } else if ('+-*/^()='.includes(rest[0])) {
+      tokens.push({ type: 'op', value: rest[0] });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${rest[0]}"`);
+    }
+  }
+  return tokens;
+}
+
+// Recursive-descent parser; adjacent terms multiply (2x, 3(x + 1), (x + 1)(x - 1)).
+// Returns an expression tree, or { type: 'equation', left, right } for "... = ...".
+function parseMath(text) {
+  const tokens = tokenizeMath(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOp = (token, value) => Boolean(token) && token.type === 'op' && token.value === value;
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const op = tokens[position++].value;
+      node = { type: op === '+' ? 'add' : 'sub', left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (true) {
+      const token = peek();
+      if (isOp(token, '*') || isOp(token, '/')) {
+        position++;
+        node = { type: token.value === '*' ? 'mul' : 'div', left: node, right: parseUnary() };
+      } else if (token && (token.type !== 'op' || token.value === '(')) {
+        node = { type: 'mul', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseUnary() {
+    if (isOp(peek(), '-') || isOp(peek(), '+')) {
+      const op = tokens[position++].value;
+      const arg = parseUnary();
+      if (op === '+') return arg;
+      return arg.type === 'num' ? { type: 'num', value: ratNeg(arg.value) } : { type: 'neg', arg };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parseAtom();
+    if (isOp(peek(), '^')) {
+      position++;
+      return { type: 'pow', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parseAtom() {
+    const token = tokens[position++];
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.type === 'num') return { type: 'num', value: token.value };
+    if (token.type === 'var') return { type: 'var', name: token.value };
+    if (token.type === 'pi') return { type: 'pi' };
+    if (token.type === 'sqrt') return { type: 'sqrt', arg: parsePower() };
+    if (isOp(token, '(')) {
+      const node = parseExpression();
+      if (!isOp(tokens[position++], ')')) throw new Error('Missing closing bracket');
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const left = parseExpression();
+  let node = left;
+  if (isOp(peek(), '=')) {
+    position++;
+    node = { type: 'equation', left, right: parseExpression() };
+  }
+  if (position < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return node;
+}
+
+function nodePrecedence(node) {
+  if (node.type === 'num') return node.value.n < 0n ? 3 : node.value.d !== 1n ? 2 : 5;
+  return MATH_PRECEDENCE[node.type] || 5;
+}
+
+function isNegativeNode(node) {
+  return node.type === 'neg' || (node.type === 'num' && node.value.n < 0n);
+}
+
+// Prints an expression tree with only the brackets it needs; used for arithmetic steps
+function formatMathNode(node) {
+  const wrap = (child, minimum) => (nodePrecedence(child) < minimum ? `(${formatMathNode(child)})` : formatMathNode(child));
+  switch (node.type) {
+    case 'num': return formatRational(node.value);
+    case 'var': return node.name;
+    case 'pi': return 'π';
+    case 'sqrt': return `√${wrap(node.arg, 5)}`;
+    case 'neg': return `-${wrap(node.arg, 4)}`;
+    case 'pow': return `${wrap(node.left, 5)}^${wrap(node.right, 5)}`;
+    default: {
+      const precedence = MATH_PRECEDENCE[node.type];
+      const right = isNegativeNode(node.right) ? `(${formatMathNode(node.right)})` : wrap(node.right, precedence + 1);
+      return `${wrap(node.left, precedence)}${MATH_SYMBOLS[node.type]}${right}`;
+    }
+  }
+}
+
+// Polynomials are { variable, coeffs } with coeffs[i] the rational coefficient of variable^i
+function polyConst(value) {
+  return { variable: null, coeffs: [value] };
+}
+
+function polyTrim(poly) {
+  const coeffs = poly.coeffs.slice();
+  while (coeffs.length > 1 && ratIsZero(coeffs[coeffs.length - 1])) coeffs.pop();
+  if (coeffs.length - 1 > MAX_POLY_DEGREE) throw new Error('Polynomial degree is too high');
+  return { variable: coeffs.length > 1 ? poly.variable : null, coeffs };
+}
+
+function polyVariable(a, b) {
+  if (a.variable && b.variable && a.variable !== b.variable) {
+    throw new Error('Only expressions in one variable are supported');
+  }
+  return a.variable || b.variable;
+}
+
+function polyAdd(a, b) {
+  const coeffs = [];
+  for (let i = 0; i < Math.max(a.coeffs.length, b.coeffs.length); i++) {
+    coeffs.push(ratAdd(a.coeffs[i] || RATIONAL_ZERO, b.coeffs[i] || RATIONAL_ZERO));
+  }
+  return polyTrim({ variable: polyVariable(a, b), coeffs });
+}
+
+function polyNeg(a) {
+  return { variable: a.variable, coeffs: a.coeffs.map(ratNeg) };
+}
+
+function polySub(a, b) {
+  return polyAdd(a, polyNeg(b));
+}
+
+function polyMul(a, b) {
+  if (a.coeffs.length + b.coeffs.length - 2 > MAX_POLY_DEGREE) throw new Error('Polynomial degree is too high');
+  const coeffs = Array.from({ length: a.coeffs.length + b.coeffs.length - 1 }, () => RATIONAL_ZERO);
+  a.coeffs.forEach((x, i) => b.coeffs.forEach((y, j) => {
+    coeffs[i + j] = ratAdd(coeffs[i + j], ratMul(x, y));
+  }));
+  return polyTrim({ variable: polyVariable(a, b), coeffs });
+}
+
+function polyDiv(a, b) {
+  if (b.coeffs.length !== 1) throw new Error('Dividing by an expression with a variable is not supported');
+  return polyTrim({ variable: a.variable, coeffs: a.coeffs.map(c => ratDiv(c, b.coeffs[0])) });
+}
+
+function polyPow(base, exponent) {
+  if (exponent.coeffs.length !== 1) throw new Error('Powers with a variable exponent are not supported');
+  const power = exponent.coeffs[0];
+  if (base.coeffs.length === 1) return polyConst(ratPow(base.coeffs[0], power));
+  if (power.d !== 1n || power.n < 0n || power.n > BigInt(MAX_POLY_DEGREE)) {
+    throw new Error('Only small whole-number powers of a variable are supported');
+  }
+  let result = polyConst(RATIONAL_ONE);
+  for (let i = 0n; i < power.n; i++) result = polyMul(result, base);
+  return result;
+}
+
+function polyEval(poly, value) {
+  return poly.coeffs.reduceRight((total, coeff) => ratAdd(ratMul(total, value), coeff), RATIONAL_ZERO);
+}
+
+function polyEquals(a, b) {
+  const difference = polySub(a, b);
+  return difference.coeffs.length === 1 && ratIsZero(difference.coeffs[0]);
+}
+
+// Converts an expression tree to an exact polynomial; throws for anything outside that
+// (π, irrational roots, dividing by the variable, several variables)
+function toPolynomial(node) {
+  switch (node.type) {
+    case 'num': return polyConst(node.value);
+    case 'var': return { variable: node.name, coeffs: [RATIONAL_ZERO, RATIONAL_ONE] };
+    case 'neg': return polyNeg(toPolynomial(node.arg));
+    case 'add': return polyAdd(toPolynomial(node.left), toPolynomial(node.right));
+    case 'sub': return polySub(toPolynomial(node.left), toPolynomial(node.right));
+    case 'mul': return polyMul(toPolynomial(node.left), toPolynomial(node.right));
+    case 'div': return polyDiv(toPolynomial(node.left), toPolynomial(node.right));
+    case 'pow': return polyPow(toPolynomial(node.left), toPolynomial(node.right));
+    case 'sqrt': {
+      const arg = toPolynomial(node.arg);
+      const root = arg.coeffs.length === 1 ? ratSqrt(arg.coeffs[0]) : null;
+      if (!root) throw new Error('Only exact square roots are supported');
+      return polyConst(root);
+    }
+    default: throw new Error(`Cannot work exactly with ${node.type}`);
+  }
+}
+
+// Floating-point evaluation of a constant expression, for answers such as "1 + √2" or "2π"
+function evaluateNumeric(node) {
+  switch (node.type) {
+    case 'num': return ratToNumber(node.value);
+    case 'pi': return Math.PI;
+    case 'neg': return -evaluateNumeric(node.arg);
+    case 'sqrt': return Math.sqrt(evaluateNumeric(node.arg));
+    case 'add': return evaluateNumeric(node.left) + evaluateNumeric(node.right);
+    case 'sub': return evaluateNumeric(node.left) - evaluateNumeric(node.right);
+    case 'mul': return evaluateNumeric(node.left) * evaluateNumeric(node.right);
+    case 'div': return evaluateNumeric(node.left) / evaluateNumeric(node.right);
+    case 'pow': return evaluateNumeric(node.left) ** evaluateNumeric(node.right);
+    default: throw new Error('Expression has an unknown');
+  }
+}
+
+function evaluateMathValue(text) {
+  try {
+    const node = parseMath(text);
+    if (node.type === 'equation') return null;
+    const value = evaluateNumeric(node);
+    return Number.isFinite(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Lead-in words a final answer may start with, e.g. "Therefore the answer is"
+const ANSWER_PREFIX = /^(?:(?:so|therefore|hence|thus)\b[\s,]*|∴\s*)?(?:(?:the\s+)?(?:final\s+)?answer\s*(?:is|:|=)?\s*)?/i;
+
+// Whether two answers are the same polynomial, e.g. "2(x + 1)" and "2x + 2"; null when
+// either cannot be read as one
+function expressionsEquivalent(a, b) {
+  try {
+    const [p, q] = [a, b].map(text => toPolynomial(parseMath(String(text).replace(ANSWER_PREFIX, '').split('=').pop())));
+    return polyEquals(p, q);
+  } catch (err) {
+    return null;
+  }
+}
+
+function formatPolynomial(poly) {
+  const terms = [];
+  for (let degree = poly.coeffs.length - 1; degree >= 0; degree--) {
+    const coeff = poly.coeffs[degree];
+    if (ratIsZero(coeff) && !(degree === 0 && !terms.length)) continue;
+
+    const size = ratAbs(coeff);
+    const power = degree === 0 ? '' : degree === 1 ? poly.variable : `${poly.variable}^${degree}`;
+    let body;
+    if (degree === 0) body = formatRational(size);
+    else if (ratEquals(size, RATIONAL_ONE)) body = power;
+    else body = size.d === 1n ? `${size.n}${power}` : `(${formatRational(size)})${power}`;
+
+    const negative = coeff.n < 0n;
+    if (!terms.length) terms.push(negative ? `-${body}` : body);
+    else terms.push(negative ? `- ${body}` : `+ ${body}`);
+  }
+  return terms.join(' ');
+}
+
+function formatFactor(variable, root) {
+  if (ratIsZero(root)) return variable;
+  return root.n < 0n ? `(${variable} + ${formatRational(ratNeg(root))})` : `(${variable} - ${formatRational(root)})`;
+}
+
+function formatLeadingCoefficient(a) {
+  if (ratEquals(a, RATIONAL_ONE)) return '';
+  if (ratEquals(a, ratNeg(RATIONAL_ONE))) return '-';
+  return a.d === 1n && a.n > 0n ? String(a.n) : `(${formatRational(a)})`;
+}
+
+// Strips instructions such as "Solve for x:" or "What is" so only the maths is parsed
+function extractMathExpression(question) {
+  const expression = latexToPlainMath(question)
+    .trim()
+    .replace(/^(?:please\s+)?(?:solve|simplify|evaluate|calculate|compute|work\s+out|expand|find\s+the\s+value\s+of|find|what\s+is)\b\s*/i, '')
+    .replace(/^(?:for\s+)?[a-zα-ω]\s*(?:[:,]|\b(?:if|when|given)\b)\s*/i, '')
+    .replace(/^(?:the\s+)?(?:equation|expression)\s*:?\s*/i, '')
+    .replace(/\s*(?:,?\s*(?:for|find)\s+[a-zα-ω])?\s*[?.!]*\s*$/i, '');
+  return expression || null;
+}
+
+function solveLinear(variable, left, right, combined) {
+  const a = combined.coeffs[1];
+  const b = ratNeg(combined.coeffs[0]);
+  const root = ratDiv(b, a);
+  const steps = [];
+
+  if (!ratIsZero(right.coeffs[1] || RATIONAL_ZERO) || !ratIsZero(left.coeffs[0])) {
+    steps.push({
+      text: `Move the ${variable} terms to the left side and the numbers to the right side`,
+      math: `${formatPolynomial({ variable, coeffs: [RATIONAL_ZERO, a] })} = ${formatRational(b)}`,
+      rationale: 'Adding or subtracting the same amount on both sides keeps the equation balanced.'
+    });
+  }
+  if (!ratEquals(a, RATIONAL_ONE)) {
+    steps.push({
+      text: `Divide both sides by ${formatRational(a)}`,
+      math: `${variable} = ${formatRational(root)}`,
+      rationale: `Dividing by the coefficient of ${variable} leaves ${variable} on its own.`
+    });
+  }
+  steps.push({
+    text: `Check: substitute ${variable} = ${formatRational(root)} into the original equation`,
+    math: `${formatRational(polyEval(left, root))} = ${formatRational(polyEval(right, root))}`,
+    rationale: 'Both sides give the same value, so the solution is correct.'
+  });
+
+  return { kind: 'linear', steps, finalAnswer: `${variable} = ${formatRational(root)}`, values: [ratToNumber(root)] };
+}
+
+function solveQuadratic(variable, combined, source) {
+  const [c, b, a] = combined.coeffs;
+  const steps = [];
+  const standardForm = `${formatPolynomial(combined)} = 0`;
+  if (compactMath(standardForm) !== compactMath(source)) {
+    steps.push({
+      text: `Move every term to one side to get the standard form a${variable}^2 + b${variable} + c = 0`,
+      math: standardForm
+    });
+  }
+  steps.push({ text: 'Identify the coefficients', math: `a = ${formatRational(a)}, b = ${formatRational(b)}, c = ${formatRational(c)}` });
+
+  const discriminant = ratSub(ratMul(b, b), ratMul(rational(4n), ratMul(a, c)));
+  steps.push({
+    text: 'Work out the discriminant',
+    math: `D = b^2 - 4ac = (${formatRational(b)})^2 - 4(${formatRational(a)})(${formatRational(c)}) = ${formatRational(discriminant)}`,
+    rationale: 'The sign of the discriminant tells you how many real solutions there are.'
+  });
+
+  const twoA = ratMul(rational(2n), a);
+  if (discriminant.n < 0n) {
+    steps.push({ text: 'Since D < 0, the equation has no real solutions' });
+    return { kind: 'quadratic', steps, finalAnswer: 'No real solutions', values: [] };
+  }
+
+  if (ratIsZero(discriminant)) {
+    const root = ratDiv(ratNeg(b), twoA);
+    steps.push({ text: `Since D = 0 there is one repeated solution, ${variable} = -b / 2a`, math: `${variable} = ${formatRational(root)}` });
+    steps.push({
+      text: 'Check: the equation factorises as a perfect square',
+      math: `${formatLeadingCoefficient(a)}${formatFactor(variable, root)}^2 = 0`
+    });
+    return { kind: 'quadratic', steps, finalAnswer: `${variable} = ${formatRational(root)}`, values: [ratToNumber(root)] };
+  }
+
+  steps.push({
+    text: `Use the quadratic formula ${variable} = (-b ± √D) / 2a`,
+    math: `${variable} = (${formatRational(ratNeg(b))} ± √${formatRational(discriminant)}) / ${formatRational(twoA)}`
+  });
+
+  const root = ratSqrt(discriminant);
+  if (root) {
+    const roots = [ratSub(ratNeg(b), root), ratAdd(ratNeg(b), root)]
+      .map(value => ratDiv(value, twoA))
+      .sort((x, y) => ratToNumber(x) - ratToNumber(y));
+    const answer = roots.map(value => `${variable} = ${formatRational(value)}`).join(' or ');
+    steps.push({ text: 'Work out the two solutions', math: answer });
+    steps.push({
+      text: 'Check: the equation factorises as',
+      math: `${formatLeadingCoefficient(a)}${roots.map(value => formatFactor(variable, value)).join('')} = 0`
+    });
+    return { kind: 'quadratic', steps, finalAnswer: answer, values: roots.map(ratToNumber) };
+  }
+
+  const { coefficient, radicand } = simplifySurd(discriminant);
+  const surd = formatSurd(coefficient, radicand);
+  if (surd !== `√${formatRational(discriminant)}`) {
+    steps.push({ text: 'Simplify the square root', math: `√${formatRational(discriminant)} = ${surd}` });
+  }
+
+  const centre = ratDiv(ratNeg(b), twoA);
+  const spread = ratAbs(ratDiv(coefficient, twoA));
+  const spreadText = formatSurd(spread, radicand);
+  const roots = ratIsZero(centre)
+    ? [`-${spreadText}`, spreadText]
+    : [`${formatRational(centre)} - ${spreadText}`, `${formatRational(centre)} + ${spreadText}`];
+  const values = [-1, 1].map(sign => ratToNumber(centre) + sign * ratToNumber(spread) * Math.sqrt(Number(radicand)));
+  const answer = roots.map(value => `${variable} = ${value}`).join(' or ');
+
+  steps.push({ text: 'Work out the two solutions', math: answer });
+  steps.push({ text: 'As decimals', math: values.map(value => `${variable} ≈ ${Number(value.toFixed(3))}`).join(' or ') });
+  return { kind: 'quadratic', steps, finalAnswer: answer, values };
+}
+
+function solveEquation(node, source) {
+  const left = toPolynomial(node.left);
+  const right = toPolynomial(node.right);
+  const variable = polyVariable(left, right);
+  if (!variable) return null;
+
+  const combined = polySub(left, right);
+  const degree = combined.coeffs.length - 1;
+  if (degree > 2) return null;
+
+  const steps = [];
+  const simplified = `${formatPolynomial(left)} = ${formatPolynomial(right)}`;
+  if (compactMath(simplified) !== compactMath(source)) {
+    steps.push({ text: 'Expand any brackets and collect like terms on each side', math: simplified });
+  }
+
+  let result;
+  if (degree === 0) {
+    const always = ratIsZero(combined.coeffs[0]);
+    steps.push({
+      text: always
+        ? `The ${variable} terms cancel and both sides are always equal`
+        : `The ${variable} terms cancel, leaving a statement that is never true`,
+      math: `${formatRational(combined.coeffs[0])} = 0`
+    });
+    result = always
+      ? { kind: 'linear', steps: [], finalAnswer: `Every value of ${variable} is a solution`, values: null }
+      : { kind: 'linear', steps: [], finalAnswer: 'No solution', values: [] };
+  } else if (degree === 1) {
+    result = solveLinear(variable, left, right, combined);
+  } else {
+    result = solveQuadratic(variable, combined, simplified);
+  }
+  return { ...result, steps: [...steps, ...result.steps] };
+}
+
+// Evaluates the innermost operation first, so each step follows the order of operations
+function reduceArithmetic(node) {
+  if (node.type === 'num') return null;
+  for (const key of ['left', 'right', 'arg']) {
+    if (!node[key]) continue;
+    const reduced = reduceArithmetic(node[key]);
+    if (reduced) return { node: { ...node, [key]: reduced.node }, text: reduced.text };
+  }
+  const value = toPolynomial(node).coeffs[0];
+  return {
+    node: { type: 'num', value },
+    text: `${ARITHMETIC_VERBS[node.type]}: ${formatMathNode(node)} = ${formatRational(value)}`
+  };
+}
+
+function evaluateArithmetic(node) {
+  const value = toPolynomial(node).coeffs[0];
+  let steps = [];
+  let current = node;
+  let reduced;
+  while ((reduced = reduceArithmetic(current))) {
+    current = reduced.node;
+    steps.push({ text: reduced.text, math: formatMathNode(current) });
+  }
+  if (!steps.length) return null;
+
+  if (steps.length > MAX_ARITHMETIC_STEPS) {
+    steps = [{ text: 'Work through the operations in order', math: `${formatMathNode(node)} = ${formatRational(value)}` }];
+  } else {
+    steps[0].rationale = 'Brackets first, then powers, then × and ÷, then + and -, each from left to right.';
+  }
+
+  if (value.d !== 1n) {
+    // Only denominators made of 2s and 5s give a terminating decimal
+    let d = value.d;
+    while (d % 2n === 0n) d /= 2n;
+    while (d % 5n === 0n) d /= 5n;
+    steps.push({
+      text: 'Write the fraction as a decimal',
+      math: `${formatRational(value)} ${d === 1n ? '=' : '≈'} ${Number(ratToNumber(value).toFixed(6))}`
+    });
+  }
+  return { kind: 'arithmetic', steps, finalAnswer: formatRational(value), values: [ratToNumber(value)] };
+}
+
+function additiveTerms(node, negative = false) {
+  if (node.type === 'add') return [...additiveTerms(node.left, negative), ...additiveTerms(node.right, negative)];
+  if (node.type === 'sub') return [...additiveTerms(node.left, negative), ...additiveTerms(node.right, !negative)];
+  if (node.type === 'neg') return additiveTerms(node.arg, !negative);
+  return [{ node, negative }];
+}
+
+function simplifyExpression(node, poly, source) {
+  const result = formatPolynomial(poly);
+  if (compactMath(result) === compactMath(source)) return null;
+
+  const steps = [];
+  const expanded = additiveTerms(node)
+    .map(term => formatPolynomial(term.negative ? polyNeg(toPolynomial(term.node)) : toPolynomial(term.node)))
+    .map((text, index) => (index === 0 ? text : text.startsWith('-') ? `- ${text.slice(1)}` : `+ ${text}`))
+    .join(' ');
+  if (compactMath(expanded) !== compactMath(source) && compactMath(expanded) !== compactMath(result)) {
+    steps.push({ text: 'Expand the brackets and powers', math: expanded });
+  }
+  steps.push({
+    text: 'Collect like terms',
+    math: result,
+    rationale: `Only terms with the same power of ${poly.variable} can be added together.`
+  });
+  return { kind: 'simplify', steps, finalAnswer: result, values: null, expression: poly };
+}
+
+// Entry point: returns { kind, steps, finalAnswer, values } for questions the engine can
+// work exactly (linear and quadratic equations, polynomial simplification, arithmetic),
+// or null so the question is left to the solver provider
+function solveMathProblem(question) {
+  const source = extractMathExpression(question);
+  if (!source) return null;
+  try {
+    const node = parseMath(source);
+    let result;
+    if (node.type === 'equation') {
+      result = solveEquation(node, source);
+    } else {
+      const poly = toPolynomial(node);
+      result = poly.variable ? simplifyExpression(node, poly, source) : evaluateArithmetic(node);
+    }
+    return result && {
+      ...result,
+      steps: result.steps.map(step => (step.math ? { ...step, math: plainMathToLatex(step.math) } : step))
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  rational, RATIONAL_ONE, latexToPlainMath, evaluateMathValue, ANSWER_PREFIX,
+  expressionsEquivalent, formatPolynomial, solveMathProblem
+};
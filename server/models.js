@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const { validateStructuredSolution } = require('./solutions');
+
+// Models
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  name: { type: String, trim: true },
+  role: { type: String, enum: ['student', 'teacher', 'admin'], default: 'student' },
+  createdAt: { type: Date, default: Date.now }
+});
+userSchema.methods.toJSON = function () {
+  return { id: this._id, email: this.email, name: this.name, role: this.role, createdAt: this.createdAt };
+};
+const User = mongoose.model('User', userSchema);
+
+// Solutions belong to an account (userId) or, for anonymous students, to a session.
+// `solution` holds a structured solution (see validateStructuredSolution); records
+// saved before the structured format hold an HTML string instead.
+const solutionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  question: { type: String, required: true },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true },
+  method: { type: String, enum: ['text', 'image', 'voice'], required: true },
+  imagePath: { type: String },
+  audioPath: { type: String },
+  extractedText: { type: String },
+  ocrConfidence: { type: Number, min: 0, max: 100 },
+  transcript: { type: String },
+  detectedLanguage: { type: String },
+  solution: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: value => validateStructuredSolution(value).length === 0,
+      message: props => `Invalid structured solution: ${validateStructuredSolution(props.value).join('; ')}`
+    }
+  },
+  explanation: { type: String, required: true },
+  resources: { type: [String], required: true },
+  bookmarked: { type: Boolean, default: false },
+  hintMode: { type: Boolean, default: false },
+  hintsUsed: { type: Number, default: 0, min: 0 },
+  // Set on answers produced by POST /api/solutions/:id/regenerate
+  regeneratedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' },
+  // Set on answers saved by a background job, which saves at most one per job
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  // Set when the question was answered for a classroom assignment
+  assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' },
+  assignmentQuestion: { type: Number, min: 0 },
+  // Where the question sits in the syllabus, from tagQuestion
+  chapter: {
+    board: String,
+    number: Number,
+    title: String
+  },
+  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Topic' }],
+  // Set when the math engine worked the question exactly; see applyMathVerification
+  verification: {
+    status: { type: String, enum: ['verified', 'corrected', 'computed'] },
+    modelAnswer: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+solutionSchema.index({ sessionId: 1, createdAt: -1 });
+solutionSchema.index({ userId: 1, createdAt: -1 });
+solutionSchema.index({ assignmentId: 1, userId: 1 });
+solutionSchema.index({ jobId: 1 }, { unique: true, sparse: true });
+const Solution = mongoose.model('Solution', solutionSchema);
+
+const sessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+  lastActivity: { type: Date, default: Date.now }
+});
+const UserSession = mongoose.model('UserSession', sessionSchema);
+
+// Machine-read text for an uploaded image or recording, awaiting the student's confirmation
+const extractionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  method: { type: String, enum: ['image', 'voice'], required: true },
+  filePath: { type: String, required: true },
+  text: { type: String, default: '' },
+  confidence: { type: Number, min: 0, max: 100 },
+  language: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+const Extraction = mongoose.model('Extraction', extractionSchema);
+
+// A student's own answer to a solved question and how it was graded
+const attemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution', required: true },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true },
+  answer: { type: String, required: true },
+  verdict: { type: String, enum: ['correct', 'partial', 'incorrect'], required: true },
+  score: { type: Number, min: 0, max: 1, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+attemptSchema.index({ solutionId: 1, createdAt: -1 });
+attemptSchema.index({ userId: 1, createdAt: -1 });
+attemptSchema.index({ sessionId: 1, createdAt: -1 });
+const Attempt = mongoose.model('Attempt', attemptSchema);
+
+// A generated practice quiz; answers and grading are filled in when it is submitted
+const quizQuestionSchema = new mongoose.Schema({
+  type: { type: String, enum: ['multiple-choice', 'short-answer', 'numeric'], required: true },
+  prompt: { type: String, required: true },
+  options: { type: [String], default: undefined },
+  answer: { type: String, required: true },
+  response: { type: String },
+  verdict: { type: String, enum: ['correct', 'partial', 'incorrect'] },
+  feedback: { type: [String], default: undefined },
+  // Full solution generated on request from the results review
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' }
+}, { _id: false });
+
+const quizSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true },
+  topic: { type: String, trim: true },
+  questions: { type: [quizQuestionSchema], required: true },
+  timeLimitSeconds: { type: Number, min: 0 },
+  score: { type: Number, min: 0, max: 100 },
+  durationSeconds: { type: Number, min: 0 },
+  createdAt: { type: Date, default: Date.now },
+  submittedAt: { type: Date }
+});
+quizSchema.index({ userId: 1, createdAt: -1 });
+quizSchema.index({ sessionId: 1, createdAt: -1 });
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+// A solved question scheduled for spaced-repetition review; see scheduleReview
+const reviewCardSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution', required: true, unique: true },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true },
+  question: { type: String, required: true },
+  repetitions: { type: Number, default: 0, min: 0 },
+  interval: { type: Number, default: 0, min: 0 },
+  easeFactor: { type: Number, default: 2.5, min: 1.3 },
+  dueAt: { type: Date, default: Date.now },
+  lastGrade: { type: Number, min: 0, max: 5 },
+  lastReviewedAt: { type: Date },
+  reviewCount: { type: Number, default: 0, min: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+reviewCardSchema.index({ userId: 1, dueAt: 1 });
+reviewCardSchema.index({ sessionId: 1, dueAt: 1 });
+const ReviewCard = mongoose.model('ReviewCard', reviewCardSchema);
+
+// A student's thumbs up or down on a solution; one per student and solution
+const feedbackSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution', required: true },
+  subject: { type: String, required: true },
+  rating: { type: String, enum: ['helpful', 'not-helpful'], required: true },
+  reason: { type: String, trim: true, maxlength: 1000 },
+  category: { type: String, enum: ['wrong', 'unclear', 'too-advanced'] },
+  // The answer generated in response to this complaint, if the student asked for one
+  regeneratedSolutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' },
+  createdAt: { type: Date, default: Date.now }
+});
+feedbackSchema.index({ rating: 1, subject: 1 });
+feedbackSchema.index({ solutionId: 1 });
+feedbackSchema.index({ userId: 1, createdAt: -1 });
+feedbackSchema.index({ sessionId: 1, createdAt: -1 });
+const Feedback = mongoose.model('Feedback', feedbackSchema);
+
+// A conversation with the AI helper, tied to the solution it was about when there was one
+const chatMessageSchema = new mongoose.Schema({
+  role: { type: String, enum: ['user', 'assistant'], required: true },
+  content: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const chatThreadSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: String },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' },
+  subject: { type: String },
+  classLevel: { type: Number },
+  messages: { type: [chatMessageSchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+chatThreadSchema.index({ solutionId: 1, updatedAt: -1 });
+chatThreadSchema.index({ userId: 1, updatedAt: -1 });
+chatThreadSchema.index({ sessionId: 1, updatedAt: -1 });
+const ChatThread = mongoose.model('ChatThread', chatThreadSchema);
+
+// A teacher's class; students join it with joinCode
+const classroomSchema = new mongoose.Schema({
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  joinCode: { type: String, required: true, unique: true },
+  students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  createdAt: { type: Date, default: Date.now }
+});
+classroomSchema.index({ teacherId: 1, createdAt: -1 });
+classroomSchema.index({ students: 1 });
+const Classroom = mongoose.model('Classroom', classroomSchema);
+
+// A set of questions published to a classroom; answers are Solutions carrying its id
+const assignmentSchema = new mongoose.Schema({
+  classroomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true, trim: true },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true, min: 1, max: 12 },
+  dueAt: { type: Date, required: true },
+  questions: {
+    type: [new mongoose.Schema({ text: { type: String, required: true } }, { _id: false })],
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+assignmentSchema.index({ classroomId: 1, dueAt: 1 });
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+// One syllabus topic, filed under a board's numbered chapter for a subject and class
+const topicSchema = new mongoose.Schema({
+  board: { type: String, required: true, trim: true },
+  subject: { type: String, required: true },
+  classLevel: { type: Number, required: true, min: 1, max: 12 },
+  chapterNumber: { type: Number, required: true, min: 1 },
+  chapterTitle: { type: String, required: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  // Lower-case words and phrases that mark a question as being about this topic
+  keywords: [String]
+});
+topicSchema.index({ board: 1, subject: 1, classLevel: 1, chapterNumber: 1, name: 1 }, { unique: true });
+const Topic = mongoose.model('Topic', topicSchema);
+
+// A curated link shown in the resources tab for questions in its subject, class range and topics
+const resourceSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  url: { type: String, required: true },
+  type: { type: String, enum: ['video', 'article', 'textbook'], required: true },
+  subject: { type: String, required: true },
+  classMin: { type: Number, min: 1, max: 12, default: 1 },
+  classMax: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 12,
+    validate: {
+      validator(value) {
+        return value >= this.classMin;
+      },
+      message: 'classMax must not be below classMin'
+    }
+  },
+  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Topic' }],
+  // Lower-case words and phrases matched against the question when it has no syllabus topics in common
+  keywords: [String],
+  clicks: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+resourceSchema.index({ subject: 1, classMin: 1, classMax: 1 });
+const Resource = mongoose.model('Resource', resourceSchema);
+
+// One student opening a library resource, optionally from a solution's resources tab
+const resourceClickSchema = new mongoose.Schema({
+  sessionId: { type: String, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Resource', required: true, index: true },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' },
+  createdAt: { type: Date, default: Date.now }
+});
+const ResourceClick = mongoose.model('ResourceClick', resourceClickSchema);
+
+// A public read-only link to a solution; see the Shared Links routes
+const shareSchema = new mongoose.Schema({
+  sessionId: { type: String, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution', required: true, index: true },
+  slug: { type: String, required: true, unique: true },
+  hideImage: { type: Boolean, default: false },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date },
+  views: { type: Number, default: 0, min: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+const Share = mongoose.model('Share', shareSchema);
+
+// Slow image and voice work queued by the solve routes; see Background Jobs
+const jobSchema = new mongoose.Schema({
+  sessionId: { type: String, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  type: { type: String, enum: ['solve-image', 'solve-voice'], required: true },
+  status: { type: String, enum: ['queued', 'running', 'succeeded', 'failed'], default: 'queued' },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  progress: { type: Number, default: 0, min: 0, max: 100 },
+  stage: { type: String, default: 'queued' },
+  result: { type: mongoose.Schema.Types.Mixed },
+  // Set as soon as the job has saved its Solution, so a retry does not save it again
+  solutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Solution' },
+  lastError: { type: String },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAt: { type: Date, default: Date.now },
+  workerId: { type: String },
+  lockedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+jobSchema.index({ status: 1, runAt: 1 });
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = {
+  User, Solution, UserSession, Extraction, Attempt, Quiz, ReviewCard, Feedback, ChatThread,
+  Classroom, Assignment, Topic, Resource, ResourceClick, Share, Job
+};
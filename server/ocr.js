@@ -0,0 +1,105 @@
+const sharp = require('sharp');
+const { createWorker } = require('tesseract.js');
+
+// OCR Pipeline
+// Configured through OCR_LANGS (Tesseract language codes, default: eng) and
+// OCR_LANG_PATH (directory or URL holding the traineddata files).
+const ocrConfig = {
+  langs: process.env.OCR_LANGS || 'eng',
+  langPath: process.env.OCR_LANG_PATH
+};
+
+let ocrWorkerPromise = null;
+
+// A single Tesseract worker is shared across requests; loading the language data is the slow part
+function getOcrWorker() {
+  if (!ocrWorkerPromise) {
+    const options = ocrConfig.langPath ? { langPath: ocrConfig.langPath } : {};
+    ocrWorkerPromise = createWorker(ocrConfig.langs, 1, options).catch(err => {
+      ocrWorkerPromise = null;
+      throw err;
+    });
+  }
+  return ocrWorkerPromise;
+}
+
+// Finds the rotation (in degrees) that makes text lines horizontal by maximising
+// the sharpness of the horizontal projection profile of dark pixels
+async function estimateSkewAngle(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .greyscale()
+    .normalise()
+    .resize({ width: 600, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 100) return 0;
+
+  const offset = info.width;
+  const bins = new Float64Array(info.width + info.height + 1);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -15; angle <= 15; angle += 0.5) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+    }
+
+    let score = 0;
+    for (let i = 1; i < bins.length; i++) {
+      const diff = bins[i] - bins[i - 1];
+      score += diff * diff;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
+
+// Deskews and boosts contrast so Tesseract sees dark, horizontal text on a white page
+async function preprocessForOcr(imagePath) {
+  // Apply EXIF orientation first; sharp only honours one rotation per pipeline
+  const oriented = await sharp(imagePath).rotate().toBuffer();
+  const skewAngle = await estimateSkewAngle(oriented);
+
+  const buffer = await sharp(oriented)
+    .rotate(-skewAngle, { background: '#ffffff' })
+    .greyscale()
+    .normalise()
+    .sharpen()
+    .png()
+    .toBuffer();
+
+  return { buffer, skewAngle };
+}
+
+// Runs OCR on a stored upload; confidence is Tesseract's 0-100 page score
+async function extractTextFromImage(imagePath) {
+  const { buffer } = await preprocessForOcr(imagePath);
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(buffer);
+
+  return {
+    text: data.text.replace(/[ \t]+\n/g, '\n').trim(),
+    confidence: Math.round(data.confidence)
+  };
+}
+
+module.exports = { extractTextFromImage };
@@ -0,0 +1,149 @@
+const express = require('express');
+
+const router = express.Router();
+
+// Offline Support
+// The app installs as a PWA. The service worker keeps the app shell and the CDN assets it
+// loads, and keeps the last copy of each solution the student read so history works offline.
+// Questions asked while offline are queued by the page itself in IndexedDB.
+const OFFLINE_CACHE_VERSION = 'v1';
+const APP_SHELL_ASSETS = ['/', '/app.js', '/manifest.webmanifest', '/icon.svg'];
+const KATEX_CDN = 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist';
+const CDN_ASSETS = [
+  'https://cdn.tailwindcss.com',
+  'https://unpkg.com/@lottiefiles/lottie-player@2.0.12/dist/lottie-player.js',
+  'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  `${KATEX_CDN}/katex.min.css`,
+  `${KATEX_CDN}/katex.min.js`
+];
+
+const webManifest = {
+  name: 'Learnify Pro - AI Homework Helper',
+  short_name: 'Learnify Pro',
+  description: 'Get instant solutions, explanations, and learning resources',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  background_color: '#f3f4f6',
+  theme_color: '#7c3aed',
+  icons: [{ src: '/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }]
+};
+
+const appIcon = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+<rect width="512" height="512" rx="96" fill="#7c3aed"/>
+<path d="M256 120 64 216l192 96 160-80v112h32V216z" fill="#fff"/>
+<path d="M144 280v72c0 36 50 64 112 64s112-28 112-64v-72l-112 56z" fill="#fff" opacity=".85"/>
+</svg>`;
+
+// Pages load network-first so a deploy is picked up as soon as the student is online;
+// CDN assets are served from the cache first. Most are pinned to a release; Tailwind's play CDN
+// and the font stylesheet are not, so their installed copy is kept until OFFLINE_CACHE_VERSION changes.
+const serviceWorkerScript = `
+const SHELL_CACHE = 'learnify-shell-${OFFLINE_CACHE_VERSION}';
+const DATA_CACHE = 'learnify-data-${OFFLINE_CACHE_VERSION}';
+const APP_SHELL_ASSETS = ${JSON.stringify(APP_SHELL_ASSETS)};
+const CDN_ASSETS = ${JSON.stringify(CDN_ASSETS)};
+const OFFLINE_API = [/^\\/api\\/me\\/solutions$/, /^\\/api\\/solutions\\/[^/]+(\\/(resources|chat))?$/];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(async cache => {
+    await cache.addAll(APP_SHELL_ASSETS);
+    // CDN assets are best-effort; a blocked CDN must not stop the app from installing
+    await Promise.all(CDN_ASSETS.map(url => fetch(url, { mode: 'no-cors' })
+      .then(response => cache.put(url, response))
+      .catch(() => {})));
+  }).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('learnify-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    if (request.mode === 'navigate') throw error;
+    return new Response(JSON.stringify({ error: 'You are offline' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Every page, including shared links, is the same app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.origin === self.location.origin) {
+    if (OFFLINE_API.some(pattern => pattern.test(url.pathname))) {
+      event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (APP_SHELL_ASSETS.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// The page asks for the cached solutions to be dropped when the student signs out
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'clear-data') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+});
+
+// Notifications about answers to queued questions open them in the app
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const solutionIds = (event.notification.data && event.notification.data.solutionIds) || [];
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    if (clients.length) {
+      clients[0].postMessage({ type: 'open-answers', solutionIds });
+      return clients[0].focus();
+    }
+    return self.clients.openWindow(solutionIds.length === 1 ? '/?solution=' + solutionIds[0] : '/?history=1');
+  }));
+});
+`;
+
+router.get('/manifest.webmanifest', (req, res) => {
+  res.type('application/manifest+json').send(JSON.stringify(webManifest));
+});
+
+router.get('/icon.svg', (req, res) => {
+  res.type('image/svg+xml').send(appIcon);
+});
+
+// Never cached by the browser, so a new version of the worker is found on the next visit
+router.get('/sw.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.type('application/javascript').send(serviceWorkerScript);
+});
+
+module.exports = { router };
@@ -0,0 +1,45 @@
+// Quiz questions as the solver model writes them: the reply format providers ask for and
+// the checks each generated question must pass before it reaches a student
+const { parseNumericAnswer } = require('./grading');
+
+const QUIZ_TYPES = ['multiple-choice', 'short-answer', 'numeric'];
+
+const quizReplyFormat = 'Reply with a single JSON object and nothing else, of the form ' +
+  '{"questions":[{"type":...,"prompt":...,"options":[...],"answer":...}]}. ' +
+  '"type" is one of "multiple-choice", "short-answer" or "numeric"; mix all three. ' +
+  'Multiple-choice questions have 4 "options" and an "answer" copied exactly from them. ' +
+  'Numeric answers are a single number, with units if the question needs them. ' +
+  'Short answers are a word, phrase or expression that can be checked against the student\'s reply.';
+
+// Checks one generated question; returns null for anything that could not be graded
+function normalizeQuizQuestion(item) {
+  if (!item || typeof item !== 'object' || !QUIZ_TYPES.includes(item.type)) return null;
+  const prompt = String(item.prompt || '').trim();
+  let answer = String(item.answer === undefined ? '' : item.answer).trim();
+  if (!prompt || !answer) return null;
+
+  if (item.type === 'multiple-choice') {
+    const options = Array.isArray(item.options) ? item.options.map(option => String(option).trim()).filter(Boolean) : [];
+    // Models sometimes answer with the option letter instead of its text
+    if (/^[A-F]$/i.test(answer) && !options.includes(answer)) {
+      answer = options[answer.toUpperCase().charCodeAt(0) - 65] || answer;
+    }
+    if (options.length < 2 || options.length > 6 || !options.includes(answer)) return null;
+    return { type: item.type, prompt, options, answer };
+  }
+  if (item.type === 'numeric' && !parseNumericAnswer(answer)) return null;
+  return { type: item.type, prompt, answer };
+}
+
+function formatModelQuiz(prompt, reply) {
+  const questions = (Array.isArray(reply.questions) ? reply.questions : [])
+    .map(normalizeQuizQuestion)
+    .filter(Boolean)
+    .slice(0, prompt.count);
+  if (!questions.length) {
+    throw new Error('Model response did not contain any usable quiz questions');
+  }
+  return questions;
+}
+
+module.exports = { QUIZ_TYPES, quizReplyFormat, formatModelQuiz };
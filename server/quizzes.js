@@ -0,0 +1,304 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Quiz, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const {
+  gradeAnswer, gradeNumericAnswer, MAX_ATTEMPT_LENGTH, parseNumericAnswer, VERDICT_SCORES
+} = require('./grading');
+const { formatPolynomial, rational, RATIONAL_ONE } = require('./math');
+const { activeSolverProvider, generateSolution, templateProvider } = require('./solver');
+const { languageInstruction, localize, requestLanguage } = require('./i18n');
+const { QUIZ_TYPES } = require('./quiz-format');
+const { curriculumFields } = require('./curriculum');
+
+const router = express.Router();
+
+// Practice Quizzes
+const DEFAULT_QUIZ_QUESTIONS = 5;
+const MAX_QUIZ_QUESTIONS = 20;
+const QUIZ_SECONDS_PER_QUESTION = 60;
+
+function buildQuizPrompt(subject, classLevel, topic, count, language = 'en') {
+  const level = Number(classLevel);
+  const details = { subject, classLevel: level, count };
+  if (topic) details.topic = topic;
+  const system = `You are Learnify Pro, writing a practice quiz of ${count} questions for Class ${level} students ` +
+    `studying ${subject}${topic ? `, on the topic "${topic}"` : ''}. Pitch every question at that class level. ` +
+    'Put any maths between single $ signs as LaTeX.' + languageInstruction(language);
+  return { subject, classLevel: level, topic, count, language, system, details };
+}
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+function shuffle(items) {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = randomInt(0, i);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Four distinct options with the answer in a random position
+function multipleChoice(prompt, answer, distractors) {
+  const options = [answer];
+  distractors.forEach(option => {
+    if (options.length < 4 && !options.includes(option)) options.push(option);
+  });
+  return { type: 'multiple-choice', prompt, options: shuffle(options), answer };
+}
+
+function linearEquationText(a, b, c) {
+  return `${formatPolynomial({ variable: 'x', coeffs: [rational(BigInt(b)), rational(BigInt(a))] })} = ${c}`;
+}
+
+// Offline Mathematics questions, generated so every answer is exact
+function generateMathQuizQuestion(type, classLevel) {
+  if (classLevel <= 5) {
+    const [a, b, c] = [randomInt(2, 12), randomInt(2, 12), randomInt(1, 50)];
+    if (type === 'numeric') {
+      return { type, prompt: `What is $${a} \\times ${b} + ${c}$?`, answer: String(a * b + c) };
+    }
+    if (type === 'multiple-choice') {
+      const total = a * b;
+      return multipleChoice(`What is $${a} \\times ${b}$?`, String(total), [total + a, total - b, a + b, total + 10].map(String));
+    }
+    const n = randomInt(101, 999);
+    return { type, prompt: `Round ${n} to the nearest ten.`, answer: String(Math.round(n / 10) * 10) };
+  }
+
+  const x = randomInt(-9, 9);
+  const a = randomInt(2, 9);
+  const b = randomInt(1, 20) * (Math.random() < 0.5 ? -1 : 1);
+  const c = a * x + b;
+  if (type === 'numeric') {
+    return { type, prompt: `Solve $${linearEquationText(a, b, c)}$ for $x$.`, answer: `x = ${x}` };
+  }
+  if (type === 'multiple-choice' && classLevel >= 9) {
+    const [p, q] = [randomInt(-9, 9), randomInt(1, 9)];
+    const roots = [Math.min(p, q), Math.max(p, q)];
+    const equation = formatPolynomial({ variable: 'x', coeffs: [rational(BigInt(p * q)), rational(BigInt(-(p + q))), RATIONAL_ONE] });
+    const format = ([r, s]) => (r === s ? `x = ${r}` : `x = ${r} or x = ${s}`);
+    return multipleChoice(`Which values of $x$ solve $${equation} = 0$?`, format(roots), [
+      format([-roots[1], -roots[0]]),
+      format([roots[0], -roots[1]].sort((m, n) => m - n)),
+      format([roots[0] + 1, roots[1] + 1])
+    ]);
+  }
+  if (type === 'multiple-choice') {
+    return multipleChoice(`Which value of $x$ solves $${linearEquationText(a, b, c)}$?`, `x = ${x}`,
+      [-x, x + 1, x - 1, c - b].map(value => `x = ${value}`));
+  }
+  const [k, m, n] = [randomInt(2, 6), randomInt(1, 9), randomInt(2, 6)];
+  const expanded = formatPolynomial({ variable: 'x', coeffs: [rational(BigInt(k * m)), rational(BigInt(k + n))] });
+  return { type, prompt: `Simplify $${k}(x + ${m}) + ${n}x$.`, answer: expanded };
+}
+
+const quizQuestionBank = {
+  'Science': [
+    { type: 'multiple-choice', prompt: 'Which gas do plants take in for photosynthesis?', options: ['Oxygen', 'Carbon dioxide', 'Nitrogen', 'Hydrogen'], answer: 'Carbon dioxide' },
+    { type: 'numeric', prompt: 'At sea level, water boils at how many degrees Celsius?', answer: '100 °C' },
+    { type: 'short-answer', prompt: 'Which part of the cell is known as its powerhouse?', answer: 'Mitochondria' },
+    { type: 'multiple-choice', prompt: 'Which of these materials conducts electricity?', options: ['Copper', 'Rubber', 'Glass', 'Wood'], answer: 'Copper' },
+    { type: 'numeric', prompt: 'How many planets are there in our solar system?', answer: '8' }
+  ],
+  'English': [
+    { type: 'multiple-choice', prompt: 'Which word is a noun in "The cat sleeps on the mat"?', options: ['sleeps', 'on', 'cat', 'the'], answer: 'cat' },
+    { type: 'short-answer', prompt: 'What is the past tense of "go"?', answer: 'went' },
+    { type: 'multiple-choice', prompt: 'Choose the correct article: "___ apple a day keeps the doctor away."', options: ['A', 'An', 'The', 'No article'], answer: 'An' },
+    { type: 'short-answer', prompt: 'What is the plural of "child"?', answer: 'children' },
+    { type: 'numeric', prompt: 'How many vowels are there in the English alphabet?', answer: '5' }
+  ],
+  'Nepali': [
+    { type: 'short-answer', prompt: 'नेपालको राजधानी कुन हो?', answer: 'काठमाडौं' },
+    { type: 'multiple-choice', prompt: '"मुनामदन" कसले लेखेका हुन्?', options: ['लक्ष्मीप्रसाद देवकोटा', 'भानुभक्त आचार्य', 'लेखनाथ पौड्याल', 'बालकृष्ण सम'], answer: 'लक्ष्मीप्रसाद देवकोटा' },
+    { type: 'numeric', prompt: 'एक हप्तामा कति दिन हुन्छन्?', answer: '7' },
+    { type: 'multiple-choice', prompt: '"आमा" शब्दको पर्यायवाची शब्द कुन हो?', options: ['माता', 'पिता', 'दाजु', 'बहिनी'], answer: 'माता' }
+  ],
+  'Social Studies': [
+    { type: 'multiple-choice', prompt: 'Which is the highest mountain in the world?', options: ['K2', 'Mount Everest', 'Kangchenjunga', 'Lhotse'], answer: 'Mount Everest' },
+    { type: 'numeric', prompt: 'How many provinces does Nepal have?', answer: '7' },
+    { type: 'numeric', prompt: 'In which year did the French Revolution begin?', answer: '1789' },
+    { type: 'short-answer', prompt: 'What is the capital city of Nepal?', answer: 'Kathmandu' },
+    { type: 'multiple-choice', prompt: 'Which is the longest river in Nepal?', options: ['Karnali', 'Bagmati', 'Koshi', 'Gandaki'], answer: 'Karnali' }
+  ],
+  'General Knowledge': [
+    { type: 'multiple-choice', prompt: 'Which is the largest ocean on Earth?', options: ['Atlantic', 'Indian', 'Pacific', 'Arctic'], answer: 'Pacific' },
+    { type: 'numeric', prompt: 'How many continents are there?', answer: '7' },
+    { type: 'short-answer', prompt: 'Which planet is known as the Red Planet?', answer: 'Mars' },
+    { type: 'numeric', prompt: 'How many days are there in a leap year?', answer: '366' },
+    { type: 'multiple-choice', prompt: 'Which instrument measures temperature?', options: ['Barometer', 'Thermometer', 'Hygrometer', 'Anemometer'], answer: 'Thermometer' }
+  ]
+};
+
+// Template quizzes: generated questions for Mathematics, the question bank for other subjects
+function templateQuiz(prompt) {
+  if (prompt.subject === 'Mathematics') {
+    return Array.from({ length: prompt.count }, (_, i) => generateMathQuizQuestion(QUIZ_TYPES[i % QUIZ_TYPES.length], prompt.classLevel));
+  }
+  const bank = quizQuestionBank[prompt.subject] || quizQuestionBank['General Knowledge'];
+  return shuffle(bank)
+    .slice(0, prompt.count)
+    .map(question => (question.options ? { ...question, options: shuffle(question.options) } : { ...question }));
+}
+
+async function generateQuiz(subject, classLevel, topic, count, language) {
+  const prompt = buildQuizPrompt(subject, classLevel, topic, count, language);
+  const provider = activeSolverProvider();
+  if (!provider.quiz || provider === templateProvider) return templateQuiz(prompt);
+  try {
+    return await provider.quiz(prompt);
+  } catch (err) {
+    console.error(`Solver provider "${provider.name}" failed to write a quiz, falling back to templates:`, err.message);
+    return templateQuiz(prompt);
+  }
+}
+
+function gradeQuizResponse(question, response, subject, language = 'en') {
+  if (!response) {
+    return { verdict: 'incorrect', feedback: [localize(language, 'quiz.noAnswer')] };
+  }
+  if (question.type === 'multiple-choice') {
+    return response.toLowerCase() === question.answer.toLowerCase()
+      ? { verdict: 'correct', feedback: [] }
+      : { verdict: 'incorrect', feedback: [localize(language, 'quiz.correctAnswer', { answer: question.answer })] };
+  }
+  if (question.type === 'numeric') {
+    const submitted = parseNumericAnswer(response);
+    if (!submitted) {
+      return { verdict: 'incorrect', feedback: [localize(language, 'quiz.needsNumber')] };
+    }
+    return gradeNumericAnswer(submitted, parseNumericAnswer(question.answer), language);
+  }
+  const { verdict, feedback } = gradeAnswer(response, { finalAnswer: question.answer, hints: [] }, { subject, language });
+  const praise = localize(language, 'grade.correct');
+  return { verdict, feedback: feedback.filter(message => message !== praise) };
+}
+
+// Answers stay on the server until the quiz has been submitted
+function serializeQuiz(quiz) {
+  const data = quiz.toObject();
+  if (!data.submittedAt) {
+    data.questions = data.questions.map(({ type, prompt, options }) => ({ type, prompt, options }));
+  }
+  return data;
+}
+
+async function findQuiz(req, quizId) {
+  if (!mongoose.Types.ObjectId.isValid(quizId)) return null;
+  return Quiz.findOne({ _id: quizId, ...ownerFilter(req) });
+}
+
+router.post('/api/quizzes', authenticate, async (req, res) => {
+  try {
+    const { subject, classLevel } = req.body;
+    const topic = typeof req.body.topic === 'string' ? req.body.topic.trim() : '';
+    const count = Math.min(Math.max(parseInt(req.body.count, 10) || DEFAULT_QUIZ_QUESTIONS, 1), MAX_QUIZ_QUESTIONS);
+
+    if (!subject || !classLevel) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const questions = await generateQuiz(subject, classLevel, topic, count, requestLanguage(req));
+    const quiz = new Quiz({
+      ...ownerFields(req),
+      subject,
+      classLevel,
+      topic: topic || undefined,
+      questions,
+      timeLimitSeconds: req.body.timed === false ? undefined : questions.length * QUIZ_SECONDS_PER_QUESTION
+    });
+    await quiz.save();
+
+    res.status(201).json(serializeQuiz(quiz));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/api/quizzes/:id', authenticate, async (req, res) => {
+  try {
+    const quiz = await findQuiz(req, req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    res.json(serializeQuiz(quiz));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/quizzes/:id/submit', authenticate, async (req, res) => {
+  try {
+    const { responses } = req.body;
+    if (!Array.isArray(responses)) {
+      return res.status(400).json({ error: 'responses must be a list of answers' });
+    }
+    const quiz = await findQuiz(req, req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    if (quiz.submittedAt) {
+      return res.status(409).json({ error: 'This quiz has already been submitted' });
+    }
+
+    const language = requestLanguage(req);
+    let total = 0;
+    quiz.questions.forEach((question, index) => {
+      const response = typeof responses[index] === 'string' ? responses[index].trim().slice(0, MAX_ATTEMPT_LENGTH) : '';
+      const { verdict, feedback } = gradeQuizResponse(question, response, quiz.subject, language);
+      Object.assign(question, { response, verdict, feedback });
+      total += VERDICT_SCORES[verdict];
+    });
+
+    quiz.submittedAt = new Date();
+    quiz.durationSeconds = Math.round((quiz.submittedAt - quiz.createdAt) / 1000);
+    quiz.score = Math.round((100 * total) / quiz.questions.length);
+    await quiz.save();
+
+    res.json(serializeQuiz(quiz));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Solves a quiz question in full so a wrong answer can be reviewed on the results page
+router.post('/api/quizzes/:id/questions/:index/explain', authenticate, async (req, res) => {
+  try {
+    const quiz = await findQuiz(req, req.params.id);
+    const question = quiz && quiz.questions[Number(req.params.index)];
+    if (!question) {
+      return res.status(404).json({ error: 'Quiz question not found' });
+    }
+    if (!quiz.submittedAt) {
+      return res.status(409).json({ error: 'Submit the quiz before asking for explanations' });
+    }
+    if (question.solutionId) {
+      return res.json({ solutionId: question.solutionId });
+    }
+
+    const solution = await generateSolution(question.prompt, quiz.subject, quiz.classLevel, { language: requestLanguage(req) });
+    const newSolution = new Solution({
+      ...ownerFields(req),
+      question: question.prompt,
+      subject: quiz.subject,
+      classLevel: quiz.classLevel,
+      method: 'text',
+      solution: solution.solution,
+      explanation: solution.explanation,
+      resources: solution.resources,
+      verification: solution.verification,
+      ...curriculumFields(solution.curriculum)
+    });
+    await newSolution.save();
+
+    question.solutionId = newSolution._id;
+    await quiz.save();
+
+    res.json({ solutionId: newSolution._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, gradeQuizResponse };
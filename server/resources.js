@@ -0,0 +1,219 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Resource, ResourceClick, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter, requireAdmin } = require('./auth');
+const { HISTORY_MAX_PAGE_SIZE, HISTORY_PAGE_SIZE } = require('./history');
+
+const router = express.Router();
+
+// Resource Library
+const RESOURCE_TYPES = ['video', 'article', 'textbook'];
+const MAX_RESOURCE_MATCHES = 5;
+const MAX_RESOURCE_KEYWORDS = 30;
+
+// Checks an admin's resource fields; `partial` allows leaving fields out when updating.
+// Returns { fields } with the cleaned values, or { error }.
+function resourceFields(body, partial = false) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+
+  if (!partial || has('title')) {
+    fields.title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!fields.title) return { error: 'title is required' };
+  }
+  if (!partial || has('url')) {
+    let url;
+    try {
+      url = new URL(String(body.url));
+    } catch (err) {
+      return { error: 'url must be a full http or https address' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: 'url must be a full http or https address' };
+    }
+    fields.url = url.href;
+  }
+  if (!partial || has('type')) {
+    if (!RESOURCE_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${RESOURCE_TYPES.join(', ')}` };
+    }
+    fields.type = body.type;
+  }
+  if (!partial || has('subject')) {
+    if (!body.subject) return { error: 'subject is required' };
+    fields.subject = String(body.subject);
+  }
+  ['classMin', 'classMax'].forEach(key => {
+    if (has(key)) fields[key] = Number(body[key]);
+  });
+  if (has('topics')) {
+    if (!Array.isArray(body.topics) || !body.topics.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'topics must be a list of topic ids' };
+    }
+    fields.topics = body.topics;
+  }
+  if (has('keywords')) {
+    if (!Array.isArray(body.keywords) || body.keywords.length > MAX_RESOURCE_KEYWORDS) {
+      return { error: `keywords must be a list of at most ${MAX_RESOURCE_KEYWORDS} words or phrases` };
+    }
+    fields.keywords = body.keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean);
+  }
+  return { fields };
+}
+
+// Library resources for a question, best first: shared syllabus topics count most, then
+// keywords found in the question, with how often students open a resource breaking ties
+async function findResources({ question, subject, classLevel, topics = [] }) {
+  const level = Number(classLevel);
+  const candidates = await Resource.find({ subject, classMin: { $lte: level }, classMax: { $gte: level } });
+  const topicIds = new Set(topics.map(String));
+  const text = String(question).toLowerCase();
+
+  return candidates
+    .map(resource => {
+      const sharedTopics = resource.topics.filter(topic => topicIds.has(String(topic))).length;
+      const keywordHits = resource.keywords.filter(keyword => text.includes(keyword)).length;
+      return { resource, score: sharedTopics * 3 + keywordHits };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || b.resource.clicks - a.resource.clicks)
+    .slice(0, MAX_RESOURCE_MATCHES)
+    .map(({ resource }) => serializeResource(resource));
+}
+
+function serializeResource(resource) {
+  return {
+    _id: resource._id,
+    title: resource.title,
+    url: resource.url,
+    type: resource.type
+  };
+}
+
+router.get('/api/solutions/:id/resources', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) })
+      .select('question subject classLevel topics');
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+
+    res.json({ resources: await findResources(solution) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Records that a student opened a resource; the client follows the link itself
+router.post('/api/resources/:id/click', authenticate, async (req, res) => {
+  try {
+    const { solutionId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    if (solutionId !== undefined && !mongoose.Types.ObjectId.isValid(solutionId)) {
+      return res.status(400).json({ error: 'solutionId must be a solution id' });
+    }
+    const resource = await Resource.findByIdAndUpdate(req.params.id, { $inc: { clicks: 1 } });
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    // The click is still counted, but only tied to a solution the caller owns
+    const solution = solutionId ? await Solution.exists({ _id: solutionId, ...ownerFilter(req) }) : null;
+    const click = new ResourceClick({ ...ownerFields(req), resourceId: resource._id, solutionId: solution ? solution._id : undefined });
+    await click.save();
+
+    res.status(201).json({ resourceId: resource._id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/api/admin/resources', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    const filter = {};
+    if (req.query.subject) filter.subject = req.query.subject;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.classLevel) {
+      filter.classMin = { $lte: Number(req.query.classLevel) };
+      filter.classMax = { $gte: Number(req.query.classLevel) };
+    }
+
+    const [resources, total] = await Promise.all([
+      Resource.find(filter).sort({ subject: 1, title: 1 }).skip((page - 1) * limit).limit(limit),
+      Resource.countDocuments(filter)
+    ]);
+
+    res.json({ resources, page, limit, total, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/admin/resources', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { fields, error } = resourceFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const resource = new Resource(fields);
+    try {
+      await resource.save();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.status(201).json(resource);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.patch('/api/admin/resources/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const resource = mongoose.Types.ObjectId.isValid(req.params.id) ? await Resource.findById(req.params.id) : null;
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    const { fields, error } = resourceFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    resource.set({ ...fields, updatedAt: new Date() });
+    try {
+      await resource.save();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.json(resource);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/api/admin/resources/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const resource = mongoose.Types.ObjectId.isValid(req.params.id) ? await Resource.findByIdAndDelete(req.params.id) : null;
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    await ResourceClick.deleteMany({ resourceId: resource._id });
+
+    res.json({ resourceId: resource._id, deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, findResources };
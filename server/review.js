@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Quiz, ReviewCard, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const { HISTORY_MAX_PAGE_SIZE } = require('./history');
+const { serializeSolution } = require('./solutions');
+
+const router = express.Router();
+
+// Spaced Repetition
+// Every solved question becomes a review card, scheduled with the SM-2 algorithm. Grades
+// are SM-2 recall qualities from 0 (forgot completely) to 5 (perfect recall).
+const REVIEW_PAGE_SIZE = 20;
+const REVIEW_MAX_GRADE = 5;
+const REVIEW_PASSING_GRADE = 3;
+const REVIEW_MIN_EASE = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns the card's next { repetitions, interval, easeFactor, dueAt } after a grade
+function scheduleReview(card, grade, now = new Date()) {
+  let { repetitions, interval, easeFactor } = card;
+  if (grade < REVIEW_PASSING_GRADE) {
+    // A lapse starts the card over without touching its ease
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * easeFactor);
+    easeFactor = Math.max(REVIEW_MIN_EASE, easeFactor + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  }
+  return { repetitions, interval, easeFactor, dueAt: new Date(now.getTime() + interval * DAY_MS) };
+}
+
+// Questions that differ only in case or spacing share one review card
+function reviewQuestionKey(question) {
+  return String(question).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Adds a card for each of the caller's questions that does not have one yet. Regenerated
+// answers and quiz explanations are copies of questions asked elsewhere, so they are skipped.
+async function syncReviewCards(req) {
+  const owner = ownerFilter(req);
+  const [cards, quizSolutions] = await Promise.all([
+    ReviewCard.find(owner).select('solutionId question'),
+    Quiz.find(owner).distinct('questions.solutionId')
+  ]);
+  const solutions = await Solution.find({
+    ...owner,
+    _id: { $nin: [...cards.map(card => card.solutionId), ...quizSolutions] },
+    regeneratedFrom: null
+  }).sort({ createdAt: 1 }).select('subject classLevel question createdAt');
+
+  const seen = new Set(cards.map(card => reviewQuestionKey(card.question)));
+  const fresh = solutions.filter(solution => {
+    const key = reviewQuestionKey(solution.question);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (!fresh.length) return;
+
+  await ReviewCard.insertMany(fresh.map(solution => ({
+    ...ownerFields(req),
+    solutionId: solution._id,
+    subject: solution.subject,
+    classLevel: solution.classLevel,
+    question: solution.question,
+    dueAt: solution.createdAt
+  })), { ordered: false }).catch(err => {
+    // A concurrent request may have added some of the same cards
+    if (err.code !== 11000) throw err;
+  });
+}
+
+// Card with the answer side read from its solution
+function serializeReviewCard(card) {
+  const data = card.toObject();
+  if (card.solutionId && card.solutionId.solution !== undefined) {
+    data.solutionId = card.solutionId._id;
+    data.finalAnswer = serializeSolution(card.solutionId).solution.finalAnswer;
+  }
+  return data;
+}
+
+router.get('/api/review/due', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || REVIEW_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    await syncReviewCards(req);
+
+    const now = new Date();
+    const due = { ...ownerFilter(req), dueAt: { $lte: now } };
+    const [cards, dueCount, next] = await Promise.all([
+      ReviewCard.find(due)
+        .sort({ dueAt: 1 })
+        .limit(limit)
+        .populate('solutionId', 'question solution'),
+      ReviewCard.countDocuments(due),
+      ReviewCard.findOne({ ...ownerFilter(req), dueAt: { $gt: now } }).sort({ dueAt: 1 }).select('dueAt')
+    ]);
+
+    res.json({
+      cards: cards.filter(card => card.solutionId).map(serializeReviewCard),
+      dueCount,
+      nextDueAt: next ? next.dueAt : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/api/review/:id/grade', authenticate, async (req, res) => {
+  try {
+    const grade = Number(req.body.grade);
+    if (!Number.isInteger(grade) || grade < 0 || grade > REVIEW_MAX_GRADE) {
+      return res.status(400).json({ error: `grade must be an integer from 0 to ${REVIEW_MAX_GRADE}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Review card not found' });
+    }
+    const card = await ReviewCard.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!card) {
+      return res.status(404).json({ error: 'Review card not found' });
+    }
+
+    const now = new Date();
+    Object.assign(card, scheduleReview(card, grade, now), {
+      lastGrade: grade,
+      lastReviewedAt: now,
+      reviewCount: card.reviewCount + 1
+    });
+    await card.save();
+
+    res.json(card);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, DAY_MS, scheduleReview };
@@ -0,0 +1,148 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const crypto = require('crypto');
+const { Share, Solution } = require('./models');
+const { authenticate, ownerFields, ownerFilter } = require('./auth');
+const { serializeSolution } = require('./solutions');
+const { findResources } = require('./resources');
+
+const router = express.Router();
+
+// Shared Links
+// A student shares a solution through an unguessable slug. Anyone with the link can read the
+// solution at /s/:slug until the link expires or is revoked; every read counts as a view.
+// The original photo is only shown when the student did not ask for it to be hidden.
+const SHARE_SLUG_BYTES = 12;
+const MAX_SHARE_DAYS = 365;
+
+function shareStatus(share) {
+  if (share.revokedAt) return 'revoked';
+  if (share.expiresAt && share.expiresAt <= new Date()) return 'expired';
+  return 'active';
+}
+
+function serializeShare(share) {
+  return {
+    slug: share.slug,
+    url: `/s/${share.slug}`,
+    solutionId: share.solutionId,
+    hideImage: share.hideImage,
+    expiresAt: share.expiresAt,
+    revokedAt: share.revokedAt,
+    views: share.views,
+    status: shareStatus(share),
+    createdAt: share.createdAt
+  };
+}
+
+router.post('/api/solutions/:id/shares', authenticate, async (req, res) => {
+  try {
+    const { expiresInDays, hideImage } = req.body;
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        !(Number(expiresInDays) > 0 && Number(expiresInDays) <= MAX_SHARE_DAYS)) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_SHARE_DAYS}` });
+    }
+    if (hideImage !== undefined && typeof hideImage !== 'boolean') {
+      return res.status(400).json({ error: 'hideImage must be true or false' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const solution = await Solution.findOne({ _id: req.params.id, ...ownerFilter(req) }).select('_id');
+    if (!solution) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+
+    const share = new Share({
+      ...ownerFields(req),
+      solutionId: solution._id,
+      slug: crypto.randomBytes(SHARE_SLUG_BYTES).toString('base64url'),
+      hideImage: Boolean(hideImage),
+      expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : undefined
+    });
+    await share.save();
+
+    res.status(201).json(serializeShare(share));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The caller's links for one of their solutions, newest first, with their view counts
+router.get('/api/solutions/:id/shares', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Solution not found' });
+    }
+    const shares = await Share.find({ solutionId: req.params.id, ...ownerFilter(req) }).sort({ createdAt: -1 });
+    res.json({ shares: shares.map(serializeShare) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoked links stay on record so their view counts are kept
+router.delete('/api/shares/:slug', authenticate, async (req, res) => {
+  try {
+    const share = await Share.findOne({ slug: req.params.slug, ...ownerFilter(req) });
+    if (!share) {
+      return res.status(404).json({ error: 'Shared link not found' });
+    }
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      await share.save();
+    }
+    res.json(serializeShare(share));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public, read-only view of a shared solution; no token needed
+router.get('/api/shares/:slug', async (req, res) => {
+  try {
+    const now = new Date();
+    const share = await Share.findOneAndUpdate(
+      { slug: req.params.slug, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $inc: { views: 1 } },
+      { new: true }
+    );
+    if (!share) {
+      const inactive = await Share.findOne({ slug: req.params.slug });
+      if (!inactive) {
+        return res.status(404).json({ error: 'Shared solution not found' });
+      }
+      return res.status(410).json({ error: `This link has ${shareStatus(inactive) === 'revoked' ? 'been revoked' : 'expired'}` });
+    }
+    const solution = await Solution.findById(share.solutionId);
+    if (!solution) {
+      return res.status(404).json({ error: 'Shared solution not found' });
+    }
+
+    const data = serializeSolution(solution);
+    res.json({
+      slug: share.slug,
+      views: share.views,
+      expiresAt: share.expiresAt,
+      question: data.question,
+      subject: data.subject,
+      classLevel: data.classLevel,
+      method: data.method,
+      chapter: data.chapter,
+      solution: data.solution,
+      explanation: data.explanation,
+      resources: data.resources,
+      verification: data.verification,
+      library: await findResources(data),
+      imageUrl: !share.hideImage && data.imagePath
+        ? `/uploads/${encodeURIComponent(path.basename(data.imagePath))}`
+        : undefined,
+      createdAt: data.createdAt
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,86 @@
+// Structured Solutions
+// Every provider produces a solution in this shape; the client renders it, nothing ships as HTML.
+// Any text field may hold inline LaTeX between $ signs, which the client typesets:
+//   {
+//     problem: string,                 the question restated
+//     steps: [{ text, math?, rationale? }],  ordered working; math is the LaTeX source for the step
+//     finalAnswer: string,
+//     hints: [string]                  nudges that lead towards the answer without giving it away
+//   }
+const MAX_SOLUTION_STEPS = 30;
+const MAX_SOLUTION_HINTS = 5;
+
+// Returns a list of problems with a structured solution; an empty list means it is valid
+function validateStructuredSolution(value) {
+  const errors = [];
+  const isText = field => typeof field === 'string' && field.trim().length > 0;
+  const isOptionalText = field => field === undefined || field === null || typeof field === 'string';
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['solution must be an object'];
+  }
+  if (!isText(value.problem)) errors.push('problem must be a non-empty string');
+  if (!isText(value.finalAnswer)) errors.push('finalAnswer must be a non-empty string');
+
+  if (!Array.isArray(value.steps) || value.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+  } else if (value.steps.length > MAX_SOLUTION_STEPS) {
+    errors.push(`steps must have at most ${MAX_SOLUTION_STEPS} entries`);
+  } else {
+    value.steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') {
+        errors.push(`steps[${index}] must be an object`);
+        return;
+      }
+      if (!isText(step.text)) errors.push(`steps[${index}].text must be a non-empty string`);
+      if (!isOptionalText(step.math)) errors.push(`steps[${index}].math must be a string`);
+      if (!isOptionalText(step.rationale)) errors.push(`steps[${index}].rationale must be a string`);
+    });
+  }
+
+  if (!Array.isArray(value.hints) || value.hints.some(hint => typeof hint !== 'string')) {
+    errors.push('hints must be an array of strings');
+  } else if (value.hints.length > MAX_SOLUTION_HINTS) {
+    errors.push(`hints must have at most ${MAX_SOLUTION_HINTS} entries`);
+  }
+
+  return errors;
+}
+
+function normalizeStep(step) {
+  if (typeof step === 'string') {
+    return { text: step.trim() };
+  }
+  const normalized = { text: String(step && step.text || '').trim() };
+  if (step && step.math) normalized.math = String(step.math).trim();
+  if (step && step.rationale) normalized.rationale = String(step.rationale).trim();
+  return normalized;
+}
+
+// Converts pre-structured HTML solutions so old history entries still render
+function legacySolutionToStructured(question, html) {
+  const stripTags = value => value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const steps = (html.match(/<li>[\s\S]*?<\/li>/g) || []).map(item => ({ text: stripTags(item) }));
+  const answer = html.match(/Answer:<\/div>\s*<p>([\s\S]*?)<\/p>/);
+
+  return {
+    problem: question,
+    steps: steps.length ? steps : [{ text: stripTags(html) }],
+    finalAnswer: answer ? stripTags(answer[1]) : '',
+    hints: []
+  };
+}
+
+// Plain-object view of a Solution document with the solution always in structured form
+function serializeSolution(doc) {
+  const data = doc.toObject();
+  if (typeof data.solution === 'string') {
+    data.solution = legacySolutionToStructured(data.question, data.solution);
+  }
+  return data;
+}
+
+module.exports = {
+  MAX_SOLUTION_STEPS, MAX_SOLUTION_HINTS, validateStructuredSolution, normalizeStep,
+  serializeSolution
+};
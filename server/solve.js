@@ -0,0 +1,167 @@
+const express = require('express');
+const { Extraction, Solution } = require('./models');
+const { upload } = require('./uploads');
+const { authenticate, ownerFields } = require('./auth');
+const { isHintModeRequested } = require('./hints');
+const { extractTextFromImage } = require('./ocr');
+const { isSupportedLanguageHint, transcribeAudio } = require('./transcription');
+const { generateSolution, streamSolution } = require('./solver');
+const { requestLanguage } = require('./i18n');
+const { curriculumFields } = require('./curriculum');
+const { findAssignmentLink, assignmentLinkError } = require('./classrooms');
+
+const router = express.Router();
+
+router.post('/api/solve/text', authenticate, async (req, res) => {
+  try {
+    const { question, subject, classLevel } = req.body;
+    const hintMode = isHintModeRequested(req.body);
+    
+    if (!question || !subject || !classLevel) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const assignmentLink = await findAssignmentLink(req);
+    if (!assignmentLink) {
+      return res.status(404).json({ error: 'Assignment question not found' });
+    }
+    const linkError = await assignmentLinkError(assignmentLink, { subject, classLevel, question });
+    if (linkError) {
+      return res.status(400).json({ error: linkError });
+    }
+
+    const solution = await generateSolution(question, subject, classLevel, { chapter: req.body.chapter, language: requestLanguage(req) });
+    
+    const newSolution = new Solution({
+      ...ownerFields(req),
+      question,
+      subject,
+      classLevel,
+      method: 'text',
+      solution: solution.solution,
+      explanation: solution.explanation,
+      resources: solution.resources,
+      verification: solution.verification,
+      ...curriculumFields(solution.curriculum),
+      hintMode,
+      ...assignmentLink
+    });
+    await newSolution.save();
+
+    res.json({ ...solution, solutionId: newSolution._id, hintMode });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Server-Sent Events variant of /api/solve/text; closing the connection cancels generation
+router.post('/api/solve/text/stream', authenticate, async (req, res) => {
+  const { question, subject, classLevel } = req.body;
+  const hintMode = isHintModeRequested(req.body);
+
+  if (!question || !subject || !classLevel) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  let assignmentLink;
+  let linkError;
+  try {
+    assignmentLink = await findAssignmentLink(req);
+    linkError = assignmentLink && await assignmentLinkError(assignmentLink, { subject, classLevel, question });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  if (!assignmentLink) {
+    return res.status(404).json({ error: 'Assignment question not found' });
+  }
+  if (linkError) {
+    return res.status(400).json({ error: linkError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const solution = await streamSolution(question, subject, classLevel, send, controller.signal, { chapter: req.body.chapter, language: requestLanguage(req) });
+    if (controller.signal.aborted) return;
+
+    const newSolution = new Solution({
+      ...ownerFields(req),
+      question,
+      subject,
+      classLevel,
+      method: 'text',
+      solution: solution.solution,
+      explanation: solution.explanation,
+      resources: solution.resources,
+      verification: solution.verification,
+      ...curriculumFields(solution.curriculum),
+      hintMode,
+      ...assignmentLink
+    });
+    await newSolution.save();
+
+    send('done', { solutionId: newSolution._id, hintMode });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    send('error', { error: err.message });
+  }
+  res.end();
+});
+
+router.post('/api/extract', authenticate, upload.fields([{ name: 'image', maxCount: 1 }, { name: 'audio', maxCount: 1 }]), async (req, res) => {
+  try {
+    const language = req.body.language || 'auto';
+    const image = req.files && req.files.image && req.files.image[0];
+    const audio = req.files && req.files.audio && req.files.audio[0];
+
+    if (!image && !audio) {
+      return res.status(400).json({ error: 'Missing image or audio file' });
+    }
+    if (audio && !isSupportedLanguageHint(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+
+    const extraction = new Extraction({
+      ...ownerFields(req),
+      method: image ? 'image' : 'voice',
+      filePath: (image || audio).path
+    });
+
+    if (image) {
+      const { text, confidence } = await extractTextFromImage(image.path);
+      extraction.text = text;
+      extraction.confidence = confidence;
+    } else {
+      const { text, language: detectedLanguage } = await transcribeAudio(audio.path, language);
+      extraction.text = text;
+      extraction.language = detectedLanguage;
+    }
+    await extraction.save();
+
+    res.json({
+      extractionId: extraction._id,
+      method: extraction.method,
+      text: extraction.text,
+      confidence: extraction.confidence,
+      language: extraction.language
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router };
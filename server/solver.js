@@ -0,0 +1,504 @@
+const { applyMathVerification } = require('./grading');
+const { solveMathProblem } = require('./math');
+const {
+  MAX_SOLUTION_HINTS, MAX_SOLUTION_STEPS, normalizeStep, validateStructuredSolution
+} = require('./solutions');
+const { languageInstruction, localize, localSubjectName } = require('./i18n');
+const { formatModelQuiz, quizReplyFormat } = require('./quiz-format');
+const { chapterReference, tagQuestion } = require('./curriculum');
+
+// Solver Providers
+// Provider selection is driven by environment config:
+//   SOLVER_PROVIDER    openai | local | template | stub (default: template)
+//   OPENAI_BASE_URL    OpenAI-compatible API root (default: https://api.openai.com/v1)
+//   OPENAI_API_KEY     API key for the openai provider
+//   OPENAI_MODEL       chat model for the openai provider (default: gpt-4o-mini)
+//   LOCAL_MODEL_URL    local chat-completions endpoint root (default: http://localhost:11434/v1)
+//   LOCAL_MODEL_NAME   model served by the local endpoint (default: llama3)
+//   SOLVER_TIMEOUT_MS  request timeout for network providers (default: 30000)
+//   SOLVER_STREAM_TIMEOUT_MS  time limit for a whole streamed answer (default: 120000)
+const solverConfig = {
+  provider: process.env.SOLVER_PROVIDER || 'template',
+  timeoutMs: Number(process.env.SOLVER_TIMEOUT_MS) || 30000,
+  streamTimeoutMs: Number(process.env.SOLVER_STREAM_TIMEOUT_MS) || 120000,
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  },
+  local: {
+    baseUrl: process.env.LOCAL_MODEL_URL || 'http://localhost:11434/v1',
+    model: process.env.LOCAL_MODEL_NAME || 'llama3'
+  }
+};
+
+// Reply formats a provider can ask the model for: one JSON object, or JSON Lines for streaming
+const solverReplyFormats = {
+  json: 'Reply with a single JSON object and nothing else, using the keys: ' +
+    '"problem" (string, the question restated clearly), ' +
+    '"steps" (array of objects, one per solution step, each with "text" describing the step, ' +
+    'optional "math" holding the expression or equation for that step, and optional "rationale" saying why it is done), ' +
+    '"finalAnswer" (string), "hints" (array of up to 3 short strings that nudge towards the answer without giving it away), ' +
+    '"explanation" (string, the underlying concepts in plain language) and ' +
+    '"resources" (array of up to 3 strings naming textbooks, courses or videos for further study).',
+  jsonl: 'Reply in JSON Lines and nothing else: one JSON object per line, in this order: ' +
+    '{"type":"problem","text":...} restating the question clearly, then one ' +
+    '{"type":"step","text":...,"math":...,"rationale":...} line per solution step ("math" and "rationale" are optional), then ' +
+    '{"type":"answer","text":...} with the final answer, then {"type":"hints","items":[...]} with up to 3 short hints ' +
+    'that nudge towards the answer without giving it away, then {"type":"explanation","text":...} explaining the ' +
+    'underlying concepts in plain language, then {"type":"resources","items":[...]} naming up to 3 textbooks, ' +
+    'courses or videos for further study.'
+};
+
+// How a regenerated answer should differ, by feedback category
+const complaintInstructions = {
+  'wrong': 'They say it was wrong: work the question again from the start and check the final answer.',
+  'unclear': 'They found it unclear: use simpler words, smaller steps and say why each step is done.',
+  'too-advanced': 'They found it too advanced: only use methods a Class {level} student has been taught.'
+};
+
+// Builds the structured prompt handed to every provider.
+// `context.ocrConfidence` marks a question that was read from a photo; `context.complaint`
+// ({ category, reason, previousAnswer }) asks for a better answer after negative feedback;
+// `context.curriculum` is the syllabus placement from tagQuestion; `context.language` is the
+// answer language from requestLanguage.
+function buildSolverPrompt(question, subject, classLevel, context = {}) {
+  const level = Number(classLevel);
+  const details = { subject, classLevel: level, question };
+  let system = `You are Learnify Pro, a patient homework tutor for Class ${level} students studying ${subject}. ` +
+    'Explain at a level suitable for that class. The question may contain LaTeX between $ signs. ' +
+    'Write every "math" field as LaTeX without $ delimiters, and put any maths inside other text between single $ signs.';
+
+  if (context.ocrConfidence !== undefined) {
+    details.ocrConfidence = context.ocrConfidence;
+    system += ' The question was read from a photo by OCR (ocrConfidence is 0-100), so it may contain ' +
+      'recognition errors; if the text looks garbled, solve the most likely intended question.';
+  }
+
+  if (context.complaint) {
+    const { category, reason, previousAnswer } = context.complaint;
+    details.previousAnswer = previousAnswer;
+    if (reason) details.studentComplaint = reason;
+    system += ' The student rated a previous answer to this question (previousAnswer) as not helpful' +
+      (reason ? ' and explained why in studentComplaint' : '') + '. ' +
+      (complaintInstructions[category] || 'Write a clearer answer that addresses their complaint.').replace('{level}', level);
+  }
+
+  if (context.curriculum) {
+    const { chapter, topics } = context.curriculum;
+    details.chapter = `Chapter ${chapter.number}: ${chapter.title}`;
+    if (topics.length) details.topics = topics.map(topic => topic.name);
+    system += ` The question is from ${details.chapter} of the ${chapter.board} Class ${level} ${subject} syllabus` +
+      (topics.length ? ' (topics listed in topics)' : '') + '; use the methods taught in that chapter.';
+  }
+  system += languageInstruction(context.language);
+
+  return {
+    question,
+    subject,
+    classLevel: level,
+    context,
+    system,
+    details
+  };
+}
+
+// Chat messages for a prompt in one of the solverReplyFormats
+function solverMessages(prompt, format = 'json') {
+  return [
+    { role: 'system', content: `${prompt.system} ${solverReplyFormats[format]}` },
+    { role: 'user', content: JSON.stringify(prompt.details) }
+  ];
+}
+
+// Models sometimes wrap JSON in code fences or add a sentence around it
+function parseModelJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model response did not contain a JSON object');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Maps a model reply onto the { solution, explanation, resources } response shape
+function formatModelSolution(prompt, reply) {
+  const steps = Array.isArray(reply.steps) ? reply.steps.map(normalizeStep).filter(step => step.text) : [];
+  const solution = {
+    problem: String(reply.problem || prompt.question).trim(),
+    steps: steps.slice(0, MAX_SOLUTION_STEPS),
+    finalAnswer: String(reply.finalAnswer || reply.answer || '').trim(),
+    hints: Array.isArray(reply.hints) ? reply.hints.map(String).slice(0, MAX_SOLUTION_HINTS) : []
+  };
+
+  const errors = validateStructuredSolution(solution);
+  if (errors.length) {
+    throw new Error(`Model response was not a valid solution: ${errors.join('; ')}`);
+  }
+
+  return {
+    solution,
+    explanation: String(reply.explanation || ''),
+    resources: Array.isArray(reply.resources) ? reply.resources.map(String).slice(0, 3) : []
+  };
+}
+
+// OpenAI-compatible chat-completions client, shared by the openai and local providers
+function createChatCompletionsProvider(name, { baseUrl, apiKey, model }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  // Returns the text of a single (non-streamed) completion
+  async function complete(messages, temperature = 0.2) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, messages, temperature }),
+      signal: AbortSignal.timeout(solverConfig.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`${name} provider responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (!content) {
+      throw new Error(`${name} provider returned an empty completion`);
+    }
+    return content;
+  }
+
+  return {
+    name,
+    async solve(prompt) {
+      const content = await complete(solverMessages(prompt, 'json'));
+      return formatModelSolution(prompt, parseModelJson(content));
+    },
+
+    async quiz(prompt) {
+      const content = await complete([
+        { role: 'system', content: `${prompt.system} ${quizReplyFormat}` },
+        { role: 'user', content: JSON.stringify(prompt.details) }
+      ], 0.7);
+      return formatModelQuiz(prompt, parseModelJson(content));
+    },
+
+    // Returns the helper's reply to a buildChatPrompt conversation
+    async chat(prompt) {
+      return complete([{ role: 'system', content: prompt.system }, ...prompt.messages], 0.5);
+    },
+
+    // Streams the reply as JSON Lines and emits each completed line as it arrives
+    async stream(prompt, emit, signal) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: solverMessages(prompt, 'jsonl'),
+          temperature: 0.2,
+          stream: true
+        }),
+        signal: AbortSignal.any([signal, AbortSignal.timeout(solverConfig.streamTimeoutMs)])
+      });
+      if (!response.ok) {
+        throw new Error(`${name} provider responded with ${response.status}`);
+      }
+
+      const reply = { steps: [], hints: [], resources: [] };
+      const handleLine = line => {
+        let item;
+        try {
+          item = JSON.parse(line.trim());
+        } catch (err) {
+          return; // Blank lines and stray prose between objects are ignored
+        }
+        if (!item || typeof item !== 'object') return;
+
+        if (item.type === 'problem') {
+          reply.problem = String(item.text);
+          emit('problem', { text: reply.problem });
+        } else if (item.type === 'step') {
+          const step = normalizeStep(item);
+          if (!step.text) return;
+          reply.steps.push(step);
+          emit('step', { index: reply.steps.length - 1, step });
+        } else if (item.type === 'answer') {
+          reply.finalAnswer = String(item.text);
+          emit('answer', { text: reply.finalAnswer });
+        } else if (item.type === 'hints' && Array.isArray(item.items)) {
+          reply.hints = item.items.map(String).slice(0, MAX_SOLUTION_HINTS);
+          emit('hints', { items: reply.hints });
+        } else if (item.type === 'explanation') {
+          reply.explanation = String(item.text);
+          emit('explanation', { text: reply.explanation });
+        } else if (item.type === 'resources' && Array.isArray(item.items)) {
+          reply.resources = item.items.map(String).slice(0, 3);
+          emit('resources', { items: reply.resources });
+        }
+      };
+
+      // The body is itself an SSE stream of completion deltas
+      const decoder = new TextDecoder();
+      let events = '';
+      let content = '';
+      for await (const chunk of response.body) {
+        events += decoder.decode(chunk, { stream: true });
+        const lines = events.split('\n');
+        events = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') continue;
+
+          let choice;
+          try {
+            choice = (JSON.parse(data).choices || [])[0];
+          } catch (err) {
+            continue; // Keep-alive comments and malformed chunks are skipped
+          }
+          content += (choice && choice.delta && choice.delta.content) || '';
+          const completed = content.split('\n');
+          content = completed.pop();
+          completed.forEach(handleLine);
+        }
+      }
+      handleLine(content);
+
+      return formatModelSolution(prompt, reply);
+    }
+  };
+}
+
+// Offline template engine, also used as the fallback when a network provider fails
+const templateProvider = {
+  name: 'template',
+  async solve({ question, subject, classLevel, context }) {
+    const textbook = context.curriculum
+      ? chapterReference(subject, classLevel, context.curriculum.chapter, context.language)
+      : localize(context.language, 'textbook', { level: classLevel, subject: localSubjectName(context.language, subject) });
+    if (context.language === 'ne') {
+      return nepaliTemplateSolution(question, subject, classLevel, textbook);
+    }
+    const solutions = {
+      'Mathematics': {
+        solution: {
+          problem: question,
+          steps: [
+            { text: 'Identify the variables and constants', math: question },
+            { text: 'Apply appropriate mathematical operations', rationale: 'Do the same operation to both sides to keep the equation balanced.' },
+            { text: 'Solve step by step' }
+          ],
+          finalAnswer: `Solution for ${question}`,
+          hints: [
+            'Which quantity is the question asking you to find?',
+            'Try isolating the unknown on one side.'
+          ]
+        },
+        explanation: "This is a mathematical problem that requires understanding of core concepts. The solution involves breaking down the problem into smaller steps and applying appropriate operations.",
+        resources: [
+          textbook,
+          "Khan Academy - Algebra Basics",
+          "YouTube: Math Problem Solving Techniques"
+        ]
+      },
+      'Science': {
+        solution: {
+          problem: question,
+          steps: [
+            { text: `Based on scientific principles, the answer involves understanding core concepts in ${subject}.` }
+          ],
+          finalAnswer: `Apply the core ${subject} principles behind the question.`,
+          hints: ['Which scientific law or principle does this question relate to?']
+        },
+        explanation: "This scientific question requires application of fundamental principles. The explanation breaks down the phenomena into understandable parts.",
+        resources: [
+          "Science Journal - Vol. 12",
+          `MIT OpenCourseWare - ${subject}`,
+          "ScienceDirect Research Papers"
+        ]
+      },
+      // Other subjects...
+      'default': {
+        solution: {
+          problem: question,
+          steps: [
+            { text: `Comprehensive solution for this ${subject} question.` }
+          ],
+          finalAnswer: `Comprehensive solution for this ${subject} question.`,
+          hints: ['Re-read the question and underline the key words.']
+        },
+        explanation: "Detailed explanation of the concepts involved in this question.",
+        resources: [
+          `${subject} Textbook Reference`,
+          "Online Learning Resources",
+          "Educational Videos"
+        ]
+      }
+    };
+
+    return solutions[subject] || solutions['default'];
+  }
+};
+
+// The template answer for students who chose Nepali
+function nepaliTemplateSolution(question, subject, classLevel, textbook) {
+  const subjectName = localSubjectName('ne', subject);
+  return {
+    solution: {
+      problem: question,
+      steps: [
+        { text: 'प्रश्नले के सोधेको छ र के-के दिइएको छ पहिचान गर्नुहोस्।', math: subject === 'Mathematics' ? question : undefined },
+        { text: 'सम्बन्धित नियम, सूत्र वा अवधारणा प्रयोग गर्नुहोस्।', rationale: 'सही अवधारणा छानेपछि बाँकी चरण सजिलो हुन्छ।' },
+        { text: 'एक-एक चरण गरी हल गर्नुहोस् र अन्तमा उत्तर जाँच गर्नुहोस्।' }
+      ],
+      finalAnswer: `माथिका चरणहरू पछ्याएर ${subjectName}को यो प्रश्न हल गर्नुहोस्।`,
+      hints: [
+        'प्रश्नले कुन कुरा पत्ता लगाउन भनेको छ?',
+        'प्रश्नका मुख्य शब्दहरूमुनि रेखा तान्नुहोस्।'
+      ]
+    },
+    explanation: `यो कक्षा ${classLevel}को ${subjectName} प्रश्न हो। यसलाई साना चरणमा बाँडेर, हरेक चरणमा सम्बन्धित अवधारणा प्रयोग गरी हल गरिन्छ।`,
+    resources: [textbook, 'खान एकेडेमी (Khan Academy)', 'शैक्षिक भिडियोहरू']
+  };
+}
+
+// Deterministic provider for exercising the /api/solve/* routes without network access
+const stubProvider = {
+  name: 'stub',
+  async solve(prompt) {
+    return formatModelSolution(prompt, {
+      steps: [
+        { text: `Read the Class ${prompt.classLevel} ${prompt.subject} question carefully` },
+        { text: 'Work through it one step at a time', rationale: 'Small steps are easier to check.' }
+      ],
+      finalAnswer: `Stub answer for: ${prompt.question}`,
+      hints: ['Start with what the question gives you.'],
+      explanation: `Stub explanation for a Class ${prompt.classLevel} ${prompt.subject} question.`,
+      resources: [`${prompt.subject} Textbook Reference`]
+    });
+  },
+
+  async quiz(prompt) {
+    return formatModelQuiz(prompt, {
+      questions: Array.from({ length: prompt.count }, (_, i) => ({
+        type: 'numeric',
+        prompt: `Stub question ${i + 1} for Class ${prompt.classLevel} ${prompt.subject}: what is ${i + 1} + ${i + 1}?`,
+        answer: String(2 * (i + 1))
+      }))
+    });
+  },
+
+  async chat(prompt) {
+    return `Stub reply to: ${prompt.messages[prompt.messages.length - 1].content}`;
+  }
+};
+
+const solverProviders = {
+  openai: createChatCompletionsProvider('openai', solverConfig.openai),
+  local: createChatCompletionsProvider('local', solverConfig.local),
+  template: templateProvider,
+  stub: stubProvider
+};
+
+if (!solverProviders[solverConfig.provider]) {
+  console.warn(`Unknown SOLVER_PROVIDER "${solverConfig.provider}", using the template provider`);
+}
+
+function activeSolverProvider() {
+  return solverProviders[solverConfig.provider] || templateProvider;
+}
+
+async function solveWithFallback(provider, prompt) {
+  try {
+    return await provider.solve(prompt);
+  } catch (err) {
+    if (provider === templateProvider) throw err;
+    console.error(`Solver provider "${provider.name}" failed, falling back to templates:`, err.message);
+    return templateProvider.solve(prompt);
+  }
+}
+
+// Helper function to generate solutions
+// `context.chapter` is the chapter number the student picked, if any; the question is tagged
+// with syllabus topics and the result carries that placement as `curriculum`.
+async function generateSolution(question, subject, classLevel, context = {}) {
+  const curriculum = await tagQuestion(question, subject, classLevel, context.chapter);
+  const prompt = buildSolverPrompt(question, subject, classLevel, { ...context, curriculum });
+  const solution = await solveWithFallback(activeSolverProvider(), prompt);
+  const exact = subject === 'Mathematics' ? solveMathProblem(question) : null;
+  const checked = exact ? applyMathVerification(solution, exact) : solution;
+  return { ...checked, resources: citeChapter(checked.resources, prompt), curriculum };
+}
+
+// Puts the tagged chapter's textbook at the top of a solution's resources
+function citeChapter(resources, prompt) {
+  const curriculum = prompt.context.curriculum;
+  if (!curriculum) return resources;
+  const reference = chapterReference(prompt.subject, prompt.classLevel, curriculum.chapter, prompt.context.language);
+  return [reference, ...(resources || []).filter(resource => resource !== reference)];
+}
+
+// Streaming variant of generateSolution. `emitEvent(event, data)` receives problem, step,
+// answer, hints, explanation and resources events as they are produced; for providers
+// that cannot stream, the same events are sent once the whole solution is ready.
+// When the math engine can work the question, its steps are sent straight away in place
+// of the model's, and the answer follows with a verification event once the model's own
+// answer has been cross-checked.
+async function streamSolution(question, subject, classLevel, emitEvent, signal, context = {}) {
+  const curriculum = await tagQuestion(question, subject, classLevel, context.chapter);
+  const prompt = buildSolverPrompt(question, subject, classLevel, { ...context, curriculum });
+  const emit = (event, data) => emitEvent(event, event === 'resources' ? { items: citeChapter(data.items, prompt) } : data);
+  const provider = activeSolverProvider();
+  const exact = subject === 'Mathematics' ? solveMathProblem(question) : null;
+  const forward = exact
+    ? (event, data) => {
+      if (event !== 'step' && event !== 'answer') emit(event, data);
+    }
+    : emit;
+  if (exact) exact.steps.forEach((step, index) => emit('step', { index, step }));
+  let solution;
+
+  if (provider.stream) {
+    let started = false;
+    try {
+      solution = await provider.stream(prompt, (event, data) => {
+        started = true;
+        forward(event, data);
+      }, signal);
+    } catch (err) {
+      // Once part of an answer has been shown there is nothing sensible to fall back to
+      if (started || signal.aborted) throw err;
+      console.error(`Solver provider "${provider.name}" failed to stream, falling back to templates:`, err.message);
+      solution = await templateProvider.solve(prompt);
+      emitSolution(forward, solution);
+    }
+  } else {
+    solution = await solveWithFallback(provider, prompt);
+    emitSolution(forward, solution);
+  }
+
+  const result = { ...solution, resources: citeChapter(solution.resources, prompt), curriculum };
+  if (!exact) return result;
+  const verified = applyMathVerification(result, exact);
+  emit('answer', { text: verified.solution.finalAnswer });
+  emit('verification', verified.verification);
+  return verified;
+}
+
+function emitSolution(emit, solution) {
+  emit('problem', { text: solution.solution.problem });
+  solution.solution.steps.forEach((step, index) => emit('step', { index, step }));
+  emit('answer', { text: solution.solution.finalAnswer });
+  emit('hints', { items: solution.solution.hints });
+  emit('explanation', { text: solution.explanation });
+  emit('resources', { items: solution.resources });
+}
+
+module.exports = {
+  solverConfig, templateProvider, activeSolverProvider, generateSolution, streamSolution
+};
@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Attempt, Feedback, Quiz, Solution, Topic } = require('./models');
+const { authenticate, ownerFilter } = require('./auth');
+const { VERDICT_SCORES } = require('./grading');
+const { DAY_MS } = require('./review');
+
+const router = express.Router();
+
+// Progress Dashboard
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 365;
+const WEAK_TOPIC_MIN_ATTEMPTS = 2;
+const WEAK_TOPIC_MAX_SCORE = 0.6;
+const WEAK_TOPIC_LIMIT = 5;
+
+// Aggregation pipelines skip Mongoose's casting, so the account id is cast here
+function ownerMatch(req) {
+  const filter = ownerFilter(req);
+  if (filter.userId) filter.userId = new mongoose.Types.ObjectId(filter.userId);
+  return filter;
+}
+
+// Average verdict score of quiz questions, as a pipeline expression
+const quizVerdictScore = {
+  $switch: {
+    branches: ['correct', 'partial'].map(verdict => ({
+      case: { $eq: ['$questions.verdict', verdict] },
+      then: VERDICT_SCORES[verdict]
+    })),
+    default: VERDICT_SCORES.incorrect
+  }
+};
+
+// Pipeline stages that give each answer the syllabus topics of the solution it is linked
+// through solutionField, one document per topic; answers without topics keep a null topic
+function solutionTopicStages(solutionField) {
+  return [
+    { $lookup: { from: Solution.collection.name, localField: solutionField, foreignField: '_id', as: 'linked' } },
+    { $unwind: { path: '$linked', preserveNullAndEmptyArrays: true } },
+    { $unwind: { path: '$linked.topics', preserveNullAndEmptyArrays: true } }
+  ];
+}
+
+// Merges answer-check and quiz results per subject, class and syllabus topic, and keeps the
+// groups the student has practised enough to judge but mostly gets wrong. Answers whose
+// solution has no topics are judged per subject and class.
+function findWeakTopics(groups) {
+  const topics = new Map();
+  groups.forEach(({ _id, attempts, score }) => {
+    const key = `${_id.subject}|${_id.classLevel}|${_id.topicId || ''}`;
+    const topic = topics.get(key) || { subject: _id.subject, classLevel: _id.classLevel, topicId: _id.topicId || null, attempts: 0, total: 0 };
+    topic.attempts += attempts;
+    topic.total += score * attempts;
+    topics.set(key, topic);
+  });
+
+  return [...topics.values()]
+    .map(({ total, ...topic }) => ({ ...topic, score: Math.round((100 * total) / topic.attempts) / 100 }))
+    .filter(topic => topic.attempts >= WEAK_TOPIC_MIN_ATTEMPTS && topic.score < WEAK_TOPIC_MAX_SCORE)
+    .sort((a, b) => a.score - b.score || b.attempts - a.attempts)
+    .slice(0, WEAK_TOPIC_LIMIT);
+}
+
+// Adds the topic name and chapter to each weak topic
+async function describeWeakTopics(weakTopics) {
+  const ids = weakTopics.map(topic => topic.topicId).filter(Boolean);
+  const topics = ids.length ? await Topic.find({ _id: { $in: ids } }).select('name chapterNumber chapterTitle') : [];
+  const byId = new Map(topics.map(topic => [String(topic._id), topic]));
+  return weakTopics.map(weak => {
+    const topic = weak.topicId && byId.get(String(weak.topicId));
+    return {
+      ...weak,
+      topic: topic ? topic.name : null,
+      chapter: topic ? { number: topic.chapterNumber, title: topic.chapterTitle } : null
+    };
+  });
+}
+
+router.get('/api/me/stats', authenticate, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || STATS_DEFAULT_DAYS, 1), STATS_MAX_DAYS);
+    // Whole UTC days, so the first bucket is not cut short
+    const since = new Date(Date.now() - (days - 1) * DAY_MS);
+    since.setUTCHours(0, 0, 0, 0);
+    const recent = { ...ownerMatch(req), createdAt: { $gte: since } };
+
+    const [daily, methods, feedback, answersChecked, attempts, quizQuestions, quizzes] = await Promise.all([
+      Solution.aggregate([
+        { $match: recent },
+        { $group: { _id: { date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, subject: '$subject' }, count: { $sum: 1 } } },
+        { $sort: { '_id.date': 1 } }
+      ]),
+      Solution.aggregate([
+        { $match: recent },
+        { $group: { _id: '$method', count: { $sum: 1 } } }
+      ]),
+      Feedback.aggregate([
+        { $match: recent },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]),
+      Attempt.countDocuments(recent),
+      Attempt.aggregate([
+        { $match: recent },
+        ...solutionTopicStages('solutionId'),
+        { $group: { _id: { subject: '$subject', classLevel: '$classLevel', topicId: '$linked.topics' }, attempts: { $sum: 1 }, score: { $avg: '$score' } } }
+      ]),
+      // Quiz questions only have syllabus topics once the student has opened their explanation
+      Quiz.aggregate([
+        { $match: { ...recent, submittedAt: { $ne: null } } },
+        { $unwind: '$questions' },
+        ...solutionTopicStages('questions.solutionId'),
+        { $group: { _id: { subject: '$subject', classLevel: '$classLevel', topicId: '$linked.topics' }, attempts: { $sum: 1 }, score: { $avg: quizVerdictScore } } }
+      ]),
+      Quiz.aggregate([
+        { $match: { ...recent, submittedAt: { $ne: null } } },
+        { $group: { _id: null, count: { $sum: 1 }, score: { $avg: '$score' } } }
+      ])
+    ]);
+
+    const subjects = {};
+    daily.forEach(({ _id, count }) => {
+      subjects[_id.subject] = (subjects[_id.subject] || 0) + count;
+    });
+    const methodCounts = { text: 0, image: 0, voice: 0 };
+    methods.forEach(({ _id, count }) => {
+      methodCounts[_id] = count;
+    });
+    const ratings = { helpful: 0, 'not-helpful': 0 };
+    feedback.forEach(({ _id, count }) => {
+      ratings[_id] = count;
+    });
+    const rated = ratings.helpful + ratings['not-helpful'];
+
+    res.json({
+      days,
+      since,
+      totals: {
+        questions: daily.reduce((sum, { count }) => sum + count, 0),
+        answersChecked,
+        quizzes: quizzes.length ? quizzes[0].count : 0,
+        averageQuizScore: quizzes.length ? Math.round(quizzes[0].score) : null
+      },
+      daily: daily.map(({ _id, count }) => ({ date: _id.date, subject: _id.subject, count })),
+      subjects: Object.entries(subjects)
+        .map(([subject, count]) => ({ subject, count }))
+        .sort((a, b) => b.count - a.count),
+      methods: methodCounts,
+      feedback: {
+        helpful: ratings.helpful,
+        notHelpful: ratings['not-helpful'],
+        helpfulRate: rated ? Math.round((100 * ratings.helpful) / rated) : null
+      },
+      weakTopics: await describeWeakTopics(findWeakTopics([...attempts, ...quizQuestions]))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router };
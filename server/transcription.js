@@ -0,0 +1,139 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { solverConfig } = require('./solver');
+
+// Speech-to-Text
+// Engine selection is driven by environment config:
+//   TRANSCRIBE_ENGINE  whisper-local | openai | stub (default: openai when OPENAI_API_KEY is set,
+//                      otherwise stub, which answers every recording with a fixed question)
+//   WHISPER_BIN        whisper.cpp CLI binary for whisper-local, which needs it and ffmpeg
+//                      installed (default: whisper-cli)
+//   WHISPER_MODEL      ggml model file for whisper.cpp (default: models/ggml-base.bin)
+//   FFMPEG_BIN         ffmpeg binary used to convert recordings to 16 kHz WAV (default: ffmpeg)
+//   TRANSCRIBE_MODEL   model name for the openai engine (default: whisper-1)
+// The openai engine reuses OPENAI_BASE_URL and OPENAI_API_KEY from the solver config.
+const execFileAsync = promisify(execFile);
+
+const transcriptionConfig = {
+  engine: process.env.TRANSCRIBE_ENGINE || (process.env.OPENAI_API_KEY ? 'openai' : 'stub'),
+  whisperBin: process.env.WHISPER_BIN || 'whisper-cli',
+  whisperModel: process.env.WHISPER_MODEL || path.join(__dirname, '..', 'models', 'ggml-base.bin'),
+  ffmpegBin: process.env.FFMPEG_BIN || 'ffmpeg',
+  model: process.env.TRANSCRIBE_MODEL || 'whisper-1'
+};
+
+// Languages students can ask questions in, keyed by ISO 639-1 code
+const transcriptionLanguages = {
+  en: 'english',
+  ne: 'nepali'
+};
+
+function isSupportedLanguageHint(language) {
+  return language === 'auto' || Object.prototype.hasOwnProperty.call(transcriptionLanguages, language);
+}
+
+// Browsers record WebM/Ogg; whisper.cpp wants 16 kHz mono PCM
+async function convertToWav(audioPath) {
+  const wavPath = `${audioPath}.16k.wav`;
+  await execFileAsync(transcriptionConfig.ffmpegBin, [
+    '-y', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath
+  ], { timeout: 120000 });
+  return wavPath;
+}
+
+// Offline engine backed by a local whisper.cpp install
+const whisperLocalEngine = {
+  name: 'whisper-local',
+  async transcribe(audioPath, language) {
+    const wavPath = await convertToWav(audioPath);
+    const outputBase = `${wavPath}.out`;
+
+    try {
+      await execFileAsync(transcriptionConfig.whisperBin, [
+        '-m', transcriptionConfig.whisperModel,
+        '-f', wavPath,
+        '-l', language,
+        '-oj',
+        '-of', outputBase,
+        '-np'
+      ], { timeout: 120000 });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+      return {
+        text: output.transcription.map(segment => segment.text).join('').trim(),
+        language: (output.result && output.result.language) || (language === 'auto' ? undefined : language)
+      };
+    } finally {
+      await Promise.all([wavPath, `${outputBase}.json`].map(file => fs.promises.unlink(file).catch(() => {})));
+    }
+  }
+};
+
+// Hosted engine for any OpenAI-compatible /audio/transcriptions endpoint
+const openaiTranscriptionEngine = {
+  name: 'openai',
+  async transcribe(audioPath, language) {
+    const { baseUrl, apiKey } = solverConfig.openai;
+    const form = new FormData();
+    form.append('file', new Blob([await fs.promises.readFile(audioPath)]), path.basename(audioPath));
+    form.append('model', transcriptionConfig.model);
+    form.append('response_format', 'verbose_json');
+    if (language !== 'auto') {
+      form.append('language', language);
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+      method: 'POST',
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: form,
+      signal: AbortSignal.timeout(solverConfig.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`openai transcription engine responded with ${response.status}`);
+    }
+
+    // verbose_json reports the language by name ("nepali"), not by code
+    const data = await response.json();
+    const detected = Object.keys(transcriptionLanguages)
+      .find(code => transcriptionLanguages[code] === String(data.language).toLowerCase());
+    return {
+      text: String(data.text || '').trim(),
+      language: detected || data.language || (language === 'auto' ? undefined : language)
+    };
+  }
+};
+
+// Deterministic engine for exercising the voice routes without audio tooling
+const stubTranscriptionEngine = {
+  name: 'stub',
+  async transcribe(audioPath, language) {
+    return {
+      text: language === 'ne' ? 'मुनामदन कविताको विषयवस्तु के हो?' : 'How do I solve quadratic equations?',
+      language: language === 'auto' ? 'en' : language
+    };
+  }
+};
+
+const transcriptionEngines = {
+  'whisper-local': whisperLocalEngine,
+  openai: openaiTranscriptionEngine,
+  stub: stubTranscriptionEngine
+};
+
+if (!process.env.TRANSCRIBE_ENGINE && transcriptionConfig.engine === 'stub') {
+  console.warn('Neither TRANSCRIBE_ENGINE nor OPENAI_API_KEY is set; voice questions will be transcribed by the stub engine');
+}
+
+// Returns { text, language } for a stored recording; `language` is a code from
+// transcriptionLanguages or 'auto' to let the engine detect it
+async function transcribeAudio(audioPath, language = 'auto') {
+  const engine = transcriptionEngines[transcriptionConfig.engine];
+  if (!engine) {
+    throw new Error(`Unknown TRANSCRIBE_ENGINE "${transcriptionConfig.engine}"`);
+  }
+  return engine.transcribe(audioPath, language);
+}
+
+module.exports = { isSupportedLanguageHint, transcribeAudio };
@@ -0,0 +1,88 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { Extraction, Share, Solution } = require('./models');
+const { optionalAuth, ownerFilter, signFileToken, readFileToken } = require('./auth');
+
+const router = express.Router();
+
+// File Upload Configuration
+const uploadDir = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadDir);
+  },
+  // Random names, so a file cannot be found by guessing; see GET /uploads/:file for access
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const upload = multer({ 
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or audio files are allowed!'), false);
+    }
+  }
+});
+
+// Link that lets the owner's <img> or <audio> tag load an upload for a short while
+function uploadUrl(filePath) {
+  const fileName = path.basename(filePath);
+  return `/uploads/${encodeURIComponent(fileName)}?token=${signFileToken(fileName)}`;
+}
+
+// Uploaded photos and recordings are only served to the student who uploaded them (with their
+// API token, or a link from uploadUrl), or through an active share of the solution that did not
+// hide its photo
+async function canReadUpload(req, filePath) {
+  if (req.query.token && readFileToken(req.query.token) === path.basename(filePath)) {
+    return true;
+  }
+  if (req.auth) {
+    const owner = ownerFilter(req);
+    const [solution, extraction] = await Promise.all([
+      Solution.exists({ ...owner, $or: [{ imagePath: filePath }, { audioPath: filePath }] }),
+      Extraction.exists({ ...owner, filePath })
+    ]);
+    if (solution || extraction) return true;
+  }
+
+  const solutionIds = await Solution.find({ imagePath: filePath }).distinct('_id');
+  if (!solutionIds.length) return false;
+  const now = new Date();
+  return Boolean(await Share.exists({
+    solutionId: { $in: solutionIds },
+    hideImage: false,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }));
+}
+
+router.get('/uploads/:file', optionalAuth, async (req, res) => {
+  try {
+    const fileName = path.basename(req.params.file);
+    const filePath = path.join(uploadDir, fileName);
+    if (fileName !== req.params.file || !(await canReadUpload(req, filePath))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.set('Cache-Control', 'private, no-cache');
+    res.sendFile(filePath, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'File not found' });
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, upload, uploadUrl };
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesAssignmentQuestion } = require('../server/classrooms');
+
+const assignmentQuestion = 'Find the area of a circle with radius 7 cm.';
+
+test('a retyped or misread assignment question still answers it', () => {
+  assert.strictEqual(matchesAssignmentQuestion('Find the area of a circle with radius 7 cm.', assignmentQuestion), true);
+  assert.strictEqual(matchesAssignmentQuestion('find area of circle, radius 7cm', assignmentQuestion), true);
+});
+
+test('a different question does not answer the assignment question', () => {
+  assert.strictEqual(matchesAssignmentQuestion('What is photosynthesis?', assignmentQuestion), false);
+  assert.strictEqual(matchesAssignmentQuestion('Find the perimeter of a square', assignmentQuestion), false);
+});
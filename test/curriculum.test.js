@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { curriculumTopics, topicMatchScore } = require('../server/curriculum');
+
+test('flattens subjects, chapters and topics into Topic fields', () => {
+  const topics = curriculumTopics({
+    board: 'CDC',
+    subjects: [{
+      subject: 'Mathematics',
+      classLevel: '8',
+      chapters: [{
+        number: 5,
+        title: ' Equations ',
+        topics: [
+          { name: 'Linear equations', keywords: ['Equation', ' solve for x ', ''] },
+          'Simultaneous equations'
+        ]
+      }]
+    }]
+  });
+
+  assert.deepStrictEqual(topics, [
+    {
+      board: 'CDC',
+      subject: 'Mathematics',
+      classLevel: 8,
+      chapterNumber: 5,
+      chapterTitle: 'Equations',
+      name: 'Linear equations',
+      keywords: ['equation', 'solve for x']
+    },
+    {
+      board: 'CDC',
+      subject: 'Mathematics',
+      classLevel: 8,
+      chapterNumber: 5,
+      chapterTitle: 'Equations',
+      name: 'Simultaneous equations',
+      keywords: []
+    }
+  ]);
+});
+
+test('rejects a document without a subjects list', () => {
+  assert.throws(() => curriculumTopics({}), /must have a "subjects" list/);
+});
+
+test('names the first malformed entry', () => {
+  assert.throws(
+    () => curriculumTopics({ subjects: [{ subject: 'Science', classLevel: 13, chapters: [] }] }),
+    /subjects\[0\] needs a subject and a classLevel from 1 to 12/
+  );
+  assert.throws(
+    () => curriculumTopics({ subjects: [{ subject: 'Science', classLevel: 7, chapters: [{ number: 1, title: 'Cells', topics: [] }] }] }),
+    /subjects\[0\]\.chapters\[0\] needs a non-empty "topics" list/
+  );
+});
+
+test('names an entry that is not an object instead of failing on it', () => {
+  assert.throws(() => curriculumTopics({ subjects: [null] }), /subjects\[0\] must be an object/);
+  assert.throws(
+    () => curriculumTopics({ subjects: [{ subject: 'Science', classLevel: 7, chapters: [{ number: 1, title: 'Cells', topics: ['Cell'] }, null] }] }),
+    /subjects\[0\]\.chapters\[1\] must be an object/
+  );
+  assert.throws(
+    () => curriculumTopics({ subjects: [{ subject: 'Science', classLevel: 7, chapters: [{ number: 1, title: 'Cells', topics: ['Cell', 42] }] }] }),
+    /subjects\[0\]\.chapters\[0\]\.topics\[1\] must be a name or an object/
+  );
+  assert.throws(
+    () => curriculumTopics({ subjects: [{ subject: 'Science', classLevel: 7, chapters: [{ number: 1, title: 'Cells', topics: [{ name: 'Cell', keywords: [null] }] }] }] }),
+    /subjects\[0\]\.chapters\[0\]\.topics\[0\] needs a name and an optional list of keyword strings/
+  );
+});
+
+test('scores a topic only for whole-word mentions', () => {
+  const topic = { name: 'Ratio', keywords: ['unit rate', 'x^2'] };
+  assert.strictEqual(topicMatchScore(topic, 'what is the order of operations?'), 0);
+  assert.strictEqual(topicMatchScore(topic, 'find the ratio, then the unit rate.'), 3);
+  assert.strictEqual(topicMatchScore(topic, 'expand (x^2 + 1)'), 1);
+  assert.strictEqual(topicMatchScore({ name: 'भिन्न', keywords: [] }, 'भिन्नता के हो?'), 0);
+  assert.strictEqual(topicMatchScore({ name: 'भिन्न', keywords: [] }, 'यो भिन्न सरल गर।'), 1);
+});
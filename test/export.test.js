@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solutionHtml, exportDocument } = require('../server/export');
+
+const content = {
+  question: 'Solve $x^2 = 4$ for x < 0',
+  meta: 'Mathematics · Class 9',
+  solution: {
+    steps: [{ text: 'Take the square root of both sides', math: 'x = \\pm\\sqrt{4}' }],
+    finalAnswer: '$x = -2$',
+    hints: []
+  },
+  explanation: 'Only the negative root satisfies x < 0.',
+  resources: [],
+  library: [],
+  heading: key => key
+};
+
+test('typesets math on the server and escapes the text around it', () => {
+  const html = solutionHtml(content);
+  assert.ok(html.includes('class="katex"'));
+  assert.ok(html.includes('class="katex-display"'));
+  assert.ok(html.includes('for x &lt; 0'));
+  assert.ok(!html.includes('$x'));
+});
+
+test('the export page loads nothing from the network', () => {
+  const page = exportDocument('Study sheet', [solutionHtml(content)], 'en');
+  assert.ok(!/<script|<link|https?:\/\/cdn/i.test(page));
+  assert.ok(page.includes('src:url(data:font/woff2;base64,'));
+  assert.ok(!page.includes('url(fonts/'));
+});
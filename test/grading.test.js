@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gradeAnswer } = require('../server/grading');
+const { gradeQuizResponse } = require('../server/quizzes');
+
+const solution = (finalAnswer, hints = []) => ({ finalAnswer, hints });
+
+test('marks a matching numeric answer correct', () => {
+  const result = gradeAnswer('x = 5', solution('x = 5', ['Subtract 5 first']), { subject: 'Mathematics' });
+  assert.strictEqual(result.verdict, 'correct');
+  assert.strictEqual(result.score, 1);
+  assert.deepStrictEqual(result.feedback, ['Correct! Well done.']);
+});
+
+test('takes the last line of pasted working as the answer', () => {
+  const result = gradeAnswer('2x = 10\nx = 5', solution('x = 5'), { subject: 'Mathematics' });
+  assert.strictEqual(result.verdict, 'correct');
+});
+
+test('gives partial credit for the right value in the wrong unit', () => {
+  const result = gradeAnswer('5 m', solution('5 cm'), { subject: 'Science' });
+  assert.strictEqual(result.verdict, 'partial');
+  assert.strictEqual(result.score, 0.5);
+  assert.match(result.feedback[0], /answer is in cm/);
+});
+
+test('gives partial credit for some of several roots', () => {
+  const result = gradeAnswer('x = 2', solution('x = 2 or x = 3'), { subject: 'Mathematics' });
+  assert.strictEqual(result.verdict, 'partial');
+  assert.deepStrictEqual(result.feedback, ['You found 1 of the 2 values that answer this question.']);
+});
+
+test('points out a sign error and reveals the hint for the attempt', () => {
+  const result = gradeAnswer('x = -5', solution('x = 5', ['one', 'two']), { subject: 'Mathematics', attemptNumber: 2 });
+  assert.strictEqual(result.verdict, 'incorrect');
+  assert.deepStrictEqual(result.feedback, [
+    'Check your signs: your answer has the opposite sign to the correct one.',
+    'Hint: two'
+  ]);
+});
+
+test('calls an answer close when it is just off, even when the answer is zero', () => {
+  for (const [answer, expected] of [['x = 5.02', 'x = 5'], ['x = 0.001', 'x = 0']]) {
+    const result = gradeAnswer(answer, solution(expected), { subject: 'Mathematics' });
+    assert.strictEqual(result.verdict, 'partial');
+    assert.deepStrictEqual(result.feedback, ['Very close. Check your rounding and the arithmetic in the last step.']);
+  }
+  assert.strictEqual(gradeAnswer('x = 0.5', solution('x = 0'), { subject: 'Mathematics' }).verdict, 'incorrect');
+});
+
+test('grades written answers by their key terms', () => {
+  const result = gradeAnswer(
+    'Plants make food using sunlight',
+    solution('Plants make food from sunlight, water and carbon dioxide'),
+    { subject: 'Science' }
+  );
+  assert.strictEqual(result.verdict, 'partial');
+});
+
+test('accepts Devanagari digits and gives feedback in Nepali', () => {
+  const result = gradeAnswer('x = ५', solution('x = 5'), { subject: 'Mathematics', language: 'ne' });
+  assert.strictEqual(result.verdict, 'correct');
+  assert.deepStrictEqual(result.feedback, ['सही! स्याबास।']);
+});
+
+test('quiz grading leaves out the praise and reports blank answers', () => {
+  assert.deepStrictEqual(
+    gradeQuizResponse({ type: 'short-answer', answer: 'went' }, 'went', 'English'),
+    { verdict: 'correct', feedback: [] }
+  );
+  assert.deepStrictEqual(
+    gradeQuizResponse({ type: 'short-answer', answer: 'went' }, '', 'English', 'ne'),
+    { verdict: 'incorrect', feedback: ['उत्तर दिइएको छैन।'] }
+  );
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Job, Solution } = require('../server/models');
+const { claimJob, processJob, jobHandlers, jobConfig } = require('../server/jobs');
+
+function recordUpdates(t) {
+  const updates = [];
+  t.mock.method(Job, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  return updates;
+}
+
+test('claimJob takes the oldest due job, or a stale running one, for the worker', async t => {
+  let query;
+  t.mock.method(Job, 'findOneAndUpdate', async (...args) => {
+    query = args;
+    return null;
+  });
+
+  const before = Date.now();
+  assert.strictEqual(await claimJob('worker-1'), null);
+
+  const [filter, update, options] = query;
+  const [due, stale] = filter.$or;
+  assert.strictEqual(due.status, 'queued');
+  assert.ok(due.runAt.$lte.getTime() >= before);
+  assert.strictEqual(stale.status, 'running');
+  assert.strictEqual(due.runAt.$lte.getTime() - stale.lockedAt.$lt.getTime(), jobConfig.staleAfterMs);
+  assert.strictEqual(update.$set.status, 'running');
+  assert.strictEqual(update.$set.workerId, 'worker-1');
+  assert.deepStrictEqual(update.$inc, { attempts: 1 });
+  assert.deepStrictEqual(options, { sort: { runAt: 1 }, new: true });
+});
+
+test('a successful job stores its result, scoped to the claiming worker', async t => {
+  const updates = recordUpdates(t);
+  t.mock.method(jobHandlers, 'solve-image', async () => ({ solutionId: 'solution-1' }));
+
+  await processJob({ _id: 'job-1', workerId: 'worker-1', type: 'solve-image', attempts: 1, maxAttempts: 3, payload: {} });
+
+  assert.strictEqual(updates.length, 1);
+  assert.deepStrictEqual(updates[0].filter, { _id: 'job-1', workerId: 'worker-1' });
+  assert.strictEqual(updates[0].update.status, 'succeeded');
+  assert.deepStrictEqual(updates[0].update.result, { solutionId: 'solution-1' });
+});
+
+test('a failed job is retried with a growing delay until it runs out of attempts', async t => {
+  const updates = recordUpdates(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(jobHandlers, 'solve-image', async () => {
+    throw new Error('Solver timed out');
+  });
+
+  const before = Date.now();
+  await processJob({ _id: 'job-1', workerId: 'worker-1', type: 'solve-image', attempts: 2, maxAttempts: 3, payload: {} });
+  await processJob({ _id: 'job-1', workerId: 'worker-1', type: 'solve-image', attempts: 3, maxAttempts: 3, payload: {} });
+
+  const [retry, failure] = updates.map(({ update }) => update);
+  assert.strictEqual(retry.status, 'queued');
+  assert.ok(retry.runAt.getTime() - before >= jobConfig.retryDelayMs * 2);
+  assert.strictEqual(failure.status, 'failed');
+  assert.strictEqual(failure.lastError, 'Solver timed out');
+});
+
+test('a job whose solution was already saved finishes without running again', async t => {
+  const updates = recordUpdates(t);
+  const handler = t.mock.method(jobHandlers, 'solve-image', async () => ({}));
+
+  await processJob({
+    _id: 'job-1',
+    workerId: 'worker-2',
+    type: 'solve-image',
+    attempts: 2,
+    maxAttempts: 3,
+    payload: {},
+    solutionId: 'solution-1',
+    result: { solutionId: 'solution-1' }
+  });
+
+  assert.strictEqual(handler.mock.callCount(), 0);
+  assert.strictEqual(updates[0].update.status, 'succeeded');
+  assert.deepStrictEqual(updates[0].update.result, { solutionId: 'solution-1' });
+});
+
+test('a job saves one solution, even when a second worker runs it too', async t => {
+  const updates = recordUpdates(t);
+  const savedId = new Solution()._id;
+  const userId = new Solution()._id;
+  t.mock.method(Job, 'findById', async () => ({ userId, sessionId: 'session-1' }));
+  const upsert = t.mock.method(Solution, 'findOneAndUpdate', async () => ({ _id: savedId }));
+  t.mock.method(jobHandlers, 'solve-image', async (payload, reportProgress, recordSolution) => recordSolution(new Solution({
+    question: 'What is 2 + 2?',
+    subject: 'Mathematics',
+    classLevel: 5,
+    method: 'image',
+    solution: { problem: 'What is 2 + 2?', steps: [{ text: 'Add' }], finalAnswer: '4', hints: [] },
+    explanation: 'Addition',
+    resources: []
+  }), { hintMode: false }));
+
+  const jobId = new Job()._id;
+  await processJob({ _id: jobId, workerId: 'worker-2', type: 'solve-image', attempts: 1, maxAttempts: 3, payload: {} });
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { jobId });
+  assert.strictEqual(update.$setOnInsert.jobId, jobId);
+  // Saved for the job's owner at the time, not when it was queued
+  assert.deepStrictEqual(update.$setOnInsert.userId, userId);
+  assert.deepStrictEqual(options, { upsert: true, new: true });
+  // The result points at the Solution that was kept, whichever worker saved it
+  assert.deepStrictEqual(updates[0].filter, { _id: jobId, workerId: 'worker-2' });
+  assert.strictEqual(updates[0].update.solutionId, savedId);
+  assert.strictEqual(updates[1].update.status, 'succeeded');
+  assert.strictEqual(updates[1].update.result.solutionId, savedId);
+});
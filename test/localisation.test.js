@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLocalNumber, localize } = require('../server/i18n');
+
+test('reads Devanagari digits as numbers', () => {
+  assert.strictEqual(parseLocalNumber('१२३'), 123);
+  assert.strictEqual(parseLocalNumber('४.५'), 4.5);
+});
+
+test('leaves ASCII digits as they are', () => {
+  assert.strictEqual(parseLocalNumber('42'), 42);
+});
+
+test('fills in placeholders in the requested language', () => {
+  assert.strictEqual(localize('en', 'chat.hint', { hint: 'Start with x' }), "Here's a hint: Start with x");
+  assert.strictEqual(localize('ne', 'chat.hint', { hint: 'Start with x' }), 'एउटा सङ्केत: Start with x');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMathProblem, expressionsEquivalent, evaluateMathValue } = require('../server/math');
+const { crossCheckMathAnswer } = require('../server/grading');
+
+test('solves a linear equation and checks the answer by substitution', () => {
+  const result = solveMathProblem('Solve 2x + 5 = 15');
+  assert.strictEqual(result.kind, 'linear');
+  assert.strictEqual(result.finalAnswer, 'x = 5');
+  assert.deepStrictEqual(result.values, [5]);
+  assert.match(result.steps[result.steps.length - 1].text, /^Check: substitute x = 5/);
+});
+
+test('solves a quadratic with two real roots', () => {
+  const result = solveMathProblem('Solve x^2 - 5x + 6 = 0');
+  assert.strictEqual(result.kind, 'quadratic');
+  assert.strictEqual(result.finalAnswer, 'x = 2 or x = 3');
+  assert.deepStrictEqual(result.values, [2, 3]);
+});
+
+test('reports a quadratic with a negative discriminant as having no real solutions', () => {
+  const result = solveMathProblem('Solve x^2 + 1 = 0');
+  assert.strictEqual(result.finalAnswer, 'No real solutions');
+  assert.deepStrictEqual(result.values, []);
+});
+
+test('keeps fractions exact in arithmetic', () => {
+  const result = solveMathProblem('Calculate 1/3 + 1/6');
+  assert.strictEqual(result.kind, 'arithmetic');
+  assert.strictEqual(result.finalAnswer, '1/2');
+  assert.deepStrictEqual(result.values, [0.5]);
+});
+
+test('simplifies an expression by collecting like terms', () => {
+  const result = solveMathProblem('Simplify 2(x + 1) + 3x');
+  assert.strictEqual(result.kind, 'simplify');
+  assert.strictEqual(result.finalAnswer, '5x + 2');
+});
+
+test('leaves questions without any maths to the model', () => {
+  assert.strictEqual(solveMathProblem('What is photosynthesis?'), null);
+});
+
+test('compares expressions as polynomials', () => {
+  assert.strictEqual(expressionsEquivalent('2(x + 1)', '2x + 2'), true);
+  assert.strictEqual(expressionsEquivalent('x + 1', 'x + 2'), false);
+  assert.strictEqual(expressionsEquivalent('hello', 'x'), null);
+});
+
+test('evaluates numeric expressions but not equations', () => {
+  assert.strictEqual(evaluateMathValue('3/4 + 1/4'), 1);
+  assert.strictEqual(evaluateMathValue('x = 2'), null);
+});
+
+test('cross-checks the model answer against the exact one', () => {
+  const exact = solveMathProblem('Solve 2x + 5 = 15');
+  assert.strictEqual(crossCheckMathAnswer(exact, 'x = 5'), 'verified');
+  assert.strictEqual(crossCheckMathAnswer(exact, 'x = 4'), 'corrected');
+  assert.strictEqual(crossCheckMathAnswer(exact, 'I am not sure'), 'computed');
+});
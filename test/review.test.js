@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scheduleReview } = require('../server/review');
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+const newCard = { repetitions: 0, interval: 0, easeFactor: 2.5 };
+
+test('schedules the first two reviews one and six days out', () => {
+  const first = scheduleReview(newCard, 4, NOW);
+  assert.deepStrictEqual(first, { repetitions: 1, interval: 1, easeFactor: 2.5, dueAt: new Date('2026-01-02T00:00:00Z') });
+
+  const second = scheduleReview(first, 4, NOW);
+  assert.strictEqual(second.repetitions, 2);
+  assert.strictEqual(second.interval, 6);
+});
+
+test('later intervals grow by the ease factor', () => {
+  const result = scheduleReview({ repetitions: 2, interval: 6, easeFactor: 2.5 }, 5, NOW);
+  assert.strictEqual(result.interval, 15);
+  assert.strictEqual(result.easeFactor, 2.6);
+});
+
+test('a lapse starts the card over without changing its ease', () => {
+  const result = scheduleReview({ repetitions: 4, interval: 30, easeFactor: 2.2 }, 2, NOW);
+  assert.deepStrictEqual(result, { repetitions: 0, interval: 1, easeFactor: 2.2, dueAt: new Date('2026-01-02T00:00:00Z') });
+});
+
+test('the ease factor never drops below 1.3', () => {
+  const result = scheduleReview({ repetitions: 3, interval: 10, easeFactor: 1.35 }, 3, NOW);
+  assert.strictEqual(result.easeFactor, 1.3);
+});
@@ -0,0 +1,246 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { startTestDatabase } = require('./helpers/database');
+
+process.env.SOLVER_PROVIDER = 'stub';
+process.env.TRANSCRIBE_ENGINE = 'stub';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = require('../server/app');
+const { Assignment, Classroom, Extraction, Solution } = require('../server/models');
+const { claimJob, processJob } = require('../server/jobs');
+
+let database;
+test.before(async () => {
+  database = await startTestDatabase();
+});
+test.after(async () => {
+  if (database.stop) await database.stop();
+});
+
+// Every test needs the database, so they all skip together when there is none
+function routeTest(name, fn) {
+  test(name, t => (database.skip ? t.skip(database.skip) : fn(t)));
+}
+
+async function newSession() {
+  const res = await request(app).post('/api/sessions').expect(200);
+  return res.body.token;
+}
+
+// Runs the next queued job the way a worker would
+async function runNextJob() {
+  const job = await claimJob('test-worker');
+  assert.ok(job, 'expected a queued job');
+  await processJob(job);
+}
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 2));
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+routeTest('solving needs a session token and the required fields', async () => {
+  await request(app).post('/api/solve/text').send({ question: 'q', subject: 'Science', classLevel: 8 }).expect(401);
+
+  const token = await newSession();
+  const res = await request(app)
+    .post('/api/solve/text')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ question: 'What is photosynthesis?', subject: 'Science' })
+    .expect(400);
+  assert.strictEqual(res.body.error, 'Missing required fields');
+});
+
+routeTest('a text question is solved by the stub provider and saved for the session', async () => {
+  const token = await newSession();
+  const res = await request(app)
+    .post('/api/solve/text')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ question: 'What is photosynthesis?', subject: 'Science', classLevel: 8 })
+    .expect(200);
+
+  assert.strictEqual(res.body.solution.finalAnswer, 'Stub answer for: What is photosynthesis?');
+  assert.strictEqual(res.body.solution.steps.length, 2);
+  assert.strictEqual(res.body.hintMode, false);
+
+  const saved = await Solution.findById(res.body.solutionId);
+  assert.strictEqual(saved.method, 'text');
+  assert.strictEqual(saved.solution.finalAnswer, res.body.solution.finalAnswer);
+
+  const history = await request(app).get('/api/me/solutions').set('Authorization', `Bearer ${token}`).expect(200);
+  assert.deepStrictEqual(history.body.solutions.map(item => item._id), [String(saved._id)]);
+});
+
+routeTest('the streaming route sends the solution as events and then its id', async () => {
+  const token = await newSession();
+  const res = await request(app)
+    .post('/api/solve/text/stream')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ question: 'What is photosynthesis?', subject: 'Science', classLevel: 8 })
+    .expect(200)
+    .expect('Content-Type', /text\/event-stream/);
+
+  const events = parseEvents(res.text);
+  assert.strictEqual(events.filter(({ event }) => event === 'step').length, 2);
+  assert.strictEqual(events.find(({ event }) => event === 'answer').data.text, 'Stub answer for: What is photosynthesis?');
+  const done = events[events.length - 1];
+  assert.strictEqual(done.event, 'done');
+  assert.ok(await Solution.exists({ _id: done.data.solutionId }));
+});
+
+routeTest('image and voice questions with a bad class level are refused before they are queued', async () => {
+  const token = await newSession();
+  for (const route of ['/api/solve/image', '/api/solve/voice']) {
+    const res = await request(app)
+      .post(route)
+      .set('Authorization', `Bearer ${token}`)
+      .field('subject', 'Science')
+      .field('classLevel', 'ten')
+      .attach(route.endsWith('image') ? 'image' : 'audio', Buffer.from('not really a file'), {
+        filename: route.endsWith('image') ? 'photo.png' : 'question.webm',
+        contentType: route.endsWith('image') ? 'image/png' : 'audio/webm'
+      })
+      .expect(400);
+    assert.strictEqual(res.body.error, 'classLevel must be a class from 1 to 12');
+  }
+  assert.strictEqual(await claimJob('test-worker'), null);
+});
+
+routeTest('a voice question is queued, transcribed and solved by a worker', async () => {
+  const token = await newSession();
+  const queued = await request(app)
+    .post('/api/solve/voice')
+    .set('Authorization', `Bearer ${token}`)
+    .field('subject', 'Mathematics')
+    .field('classLevel', '10')
+    .field('language', 'en')
+    .attach('audio', Buffer.from('not really audio'), { filename: 'question.webm', contentType: 'audio/webm' })
+    .expect(202);
+  assert.strictEqual(queued.body.status, 'queued');
+
+  await runNextJob();
+
+  const job = await request(app).get(queued.body.statusUrl).set('Authorization', `Bearer ${token}`).expect(200);
+  assert.strictEqual(job.body.status, 'succeeded');
+  assert.strictEqual(job.body.result.transcript, 'How do I solve quadratic equations?');
+  const saved = await Solution.findById(job.body.result.solutionId);
+  assert.strictEqual(saved.method, 'voice');
+  assert.strictEqual(saved.question, 'How do I solve quadratic equations?');
+
+  const otherToken = await newSession();
+  await request(app).get(queued.body.statusUrl).set('Authorization', `Bearer ${otherToken}`).expect(404);
+});
+
+routeTest('an image question confirmed through an extraction is solved without reading it again', async () => {
+  const token = await newSession();
+  const { body: me } = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+  const extraction = await Extraction.create({
+    sessionId: me.sessionId,
+    method: 'image',
+    filePath: 'uploads/photo.png',
+    text: 'Name the largest planet.',
+    confidence: 91
+  });
+
+  const queued = await request(app)
+    .post('/api/solve/image')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ extractionId: String(extraction._id), subject: 'Science', classLevel: 7 })
+    .expect(202);
+
+  await runNextJob();
+
+  const job = await request(app).get(queued.body.statusUrl).set('Authorization', `Bearer ${token}`).expect(200);
+  assert.strictEqual(job.body.status, 'succeeded');
+  assert.strictEqual(job.body.result.solution.finalAnswer, 'Stub answer for: Name the largest planet.');
+  const saved = await Solution.findById(job.body.result.solutionId);
+  assert.strictEqual(saved.method, 'image');
+  assert.strictEqual(saved.extractedText, 'Name the largest planet.');
+});
+
+routeTest('a question queued before signing up is saved to the new account', async () => {
+  const token = await newSession();
+  await request(app)
+    .post('/api/solve/voice')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ question: 'What is a prime number?', subject: 'Mathematics', classLevel: 6 })
+    .expect(202);
+
+  const signup = await request(app)
+    .post('/api/auth/signup')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ email: 'queued@example.com', password: 'correct horse' })
+    .expect(201);
+  await runNextJob();
+
+  const history = await request(app).get('/api/me/solutions').set('Authorization', `Bearer ${signup.body.token}`).expect(200);
+  assert.deepStrictEqual(history.body.solutions.map(item => item.question), ['What is a prime number?']);
+});
+
+routeTest('an answer is only linked to an assignment question it matches', async () => {
+  const signup = await request(app)
+    .post('/api/auth/signup')
+    .send({ email: 'student@example.com', password: 'correct horse' })
+    .expect(201);
+  const token = signup.body.token;
+  const classroom = await Classroom.create({ teacherId: signup.body.user.id, name: 'Class 8A', joinCode: 'ROUTES', students: [signup.body.user.id] });
+  const assignment = await Assignment.create({
+    classroomId: classroom._id,
+    teacherId: classroom.teacherId,
+    title: 'Plants',
+    subject: 'Science',
+    classLevel: 8,
+    dueAt: new Date(Date.now() + 86400000),
+    questions: [{ text: 'Explain how plants make food by photosynthesis.' }]
+  });
+  const answer = fields => request(app)
+    .post('/api/solve/text')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ subject: 'Science', classLevel: 8, assignmentId: String(assignment._id), questionIndex: 0, ...fields });
+
+  const unrelated = await answer({ question: 'What is the capital of Nepal?' }).expect(400);
+  assert.strictEqual(unrelated.body.error, 'The question does not match the assignment question');
+  const otherSubject = await answer({ question: 'How do plants make food by photosynthesis?', subject: 'English' }).expect(400);
+  assert.strictEqual(otherSubject.body.error, 'subject and classLevel must be those of the assignment');
+
+  const linked = await answer({ question: 'How do plants make food by photosynthesis?' }).expect(200);
+  const saved = await Solution.findById(linked.body.solutionId);
+  assert.strictEqual(String(saved.assignmentId), String(assignment._id));
+  assert.strictEqual(saved.assignmentQuestion, 0);
+});
+
+routeTest('a saved photo is served to its owner through a short-lived link', async t => {
+  const token = await newSession();
+  const { body: me } = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+  const imagePath = path.join(__dirname, '..', 'uploads', 'route-test-photo.png');
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, 'not really a photo');
+  t.after(() => fs.rmSync(imagePath, { force: true }));
+  const solution = await Solution.create({
+    sessionId: me.sessionId,
+    question: 'Name the largest planet.',
+    subject: 'Science',
+    classLevel: 7,
+    method: 'image',
+    imagePath,
+    solution: { problem: 'Name the largest planet.', steps: [{ text: 'Recall the planets' }], finalAnswer: 'Jupiter', hints: [] },
+    explanation: 'Jupiter is the largest planet.',
+    resources: []
+  });
+
+  const { body } = await request(app).get(`/api/solutions/${solution._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+  const photo = await request(app).get(body.imageUrl).expect(200);
+  assert.strictEqual(photo.headers['cache-control'], 'private, no-cache');
+
+  await request(app).get('/uploads/route-test-photo.png').expect(404);
+  const fileToken = new URL(body.imageUrl, 'http://localhost').searchParams.get('token');
+  await request(app).get(`/uploads/other-photo.png?token=${fileToken}`).expect(404);
+  // The link's token only opens the file, not the API
+  await request(app).get(`/api/solutions/${solution._id}`).set('Authorization', `Bearer ${fileToken}`).expect(401);
+});